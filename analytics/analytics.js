@@ -17,8 +17,16 @@ var AnalyticsState = {
         energyChart: true,
         moodChart: true,
         anxietyChart: true,
-        irritabilityChart: true
-    }
+        irritabilityChart: true,
+        episodes: true
+    },
+    episodeSettings: null, // 'episodeDetection' user setting; only overridden keys are stored
+    correlationOptions: {
+        method: 'spearman',
+        lag: 0,
+        minSamples: 10
+    },
+    exportRange: null
 };
 
 var analyticsListenersBound = false;
@@ -67,10 +75,45 @@ function initAnalytics() {
         AnalyticsState.printMonth = now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0');
     }
 
+    if (AnalyticsState.episodeSettings === null) loadEpisodeSettings();
+
     // Load initial data
     loadAnalyticsData();
 }
 
+/**
+ * Load the episode detection thresholds; re-renders once they arrive
+ */
+function loadEpisodeSettings() {
+    AnalyticsState.episodeSettings = {};
+    var uid = currentUser && currentUser.uid;
+    loadUserSetting(uid, EPISODE_SETTING_KEY).then(function(value) {
+        if (!value || typeof value !== 'object' || !currentUser || currentUser.uid !== uid) return;
+        AnalyticsState.episodeSettings = value;
+        if (AnalyticsState.cachedData && AnalyticsState.currentCategoryTab === 'mood') renderCurrentView();
+    }).catch(function(error) {
+        console.warn('Episode settings load failed:', error);
+    });
+}
+
+/**
+ * Change one episode threshold. An empty value goes back to the default.
+ */
+function updateEpisodeSetting(key, value) {
+    var next = Object.assign({}, AnalyticsState.episodeSettings);
+    if (value === '' || value === null) delete next[key];
+    else next[key] = Number(value);
+    AnalyticsState.episodeSettings = next;
+    renderCurrentView();
+
+    if (!currentUser) return;
+    saveUserSetting(currentUser.uid, EPISODE_SETTING_KEY, next).catch(function(error) {
+        console.error('Episode settings save failed:', error);
+    });
+}
+
+window.updateEpisodeSetting = updateEpisodeSetting;
+
 /**
  * Set up event listeners for tabs and periods
  */
@@ -262,29 +305,23 @@ function loadAnalyticsData() {
 }
 
 /**
- * Fetch analytics data from Firestore
+ * Fetch analytics data from the active tracker repository
  */
 function fetchAnalyticsData() {
-    if (!window.firebaseDb || !window.firebaseQuery) {
-        return Promise.reject(new Error('Firebase is not initialized'));
+    if (!window.trackerRepository) {
+        return Promise.reject(new Error('Storage is not initialized'));
     }
 
     if (!currentUser) {
         return Promise.reject(new Error('User not authenticated'));
     }
 
-    console.log('Fetching analytics data from Firestore...');
-
-    // Query Firestore for all of the user's symptom entries (user-scoped subcollection)
-    var entriesRef = window.firebaseCollection(window.firebaseDb, 'users', currentUser.uid, 'entriesSymptoms');
-
-    return window.firebaseGetDocs(entriesRef).then(function(querySnapshot) {
-        var entries = [];
-        querySnapshot.forEach(function(doc) {
-            entries.push(doc.data());
-        });
+    console.log('Fetching analytics data...');
 
-        console.log('Fetched ' + entries.length + ' entries from Firestore');
+    // Read the user's symptom entries through the active repository (local-first
+    // on Firestore), so analytics keep working offline
+    return window.trackerRepository.listEntries(currentUser.uid).then(function(entries) {
+        console.log('Fetched ' + entries.length + ' entries');
 
         // Sort by date ascending
         entries.sort(function(a, b) {
@@ -293,11 +330,11 @@ function fetchAnalyticsData() {
             return 0;
         });
 
-        // Store all entries in cache
-        AnalyticsState.cachedData = entries;
+        // Store all entries in cache; older sleep arrays are read with the day before
+        AnalyticsState.cachedData = convertLegacySleepEntries(entries);
         AnalyticsState.lastFetch = Date.now();
     }).catch(function(error) {
-        console.error('Firestore query error:', error);
+        console.error('Entries query error:', error);
         throw new Error('Failed to fetch data from database');
     });
 }
@@ -318,12 +355,17 @@ function renderCurrentView() {
     // Update navigator label and button states
     updatePeriodNavigator();
 
-    if (AnalyticsState.currentCategoryTab !== 'print' && filteredData.length === 0) {
+    // Print, Export and Import pick their own date range
+    var isPanelTab = AnalyticsState.currentCategoryTab === 'print' ||
+        AnalyticsState.currentCategoryTab === 'export' ||
+        AnalyticsState.currentCategoryTab === 'import';
+
+    if (!isPanelTab && filteredData.length === 0) {
         showAnalyticsMessage('No data for this time period.');
         return;
     }
 
-    if (AnalyticsState.currentCategoryTab !== 'print') {
+    if (!isPanelTab) {
         filteredData = fillMissingDates(filteredData, dateRange.startDate, dateRange.endDate);
     }
 
@@ -334,15 +376,33 @@ function renderCurrentView() {
     if (AnalyticsState.currentCategoryTab === 'print') {
         setAnalyticsPrintTabState(true);
         renderPrintTab(container);
+    } else if (AnalyticsState.currentCategoryTab === 'export') {
+        setAnalyticsPrintTabState(true);
+        renderExportTab(container);
+    } else if (AnalyticsState.currentCategoryTab === 'import') {
+        setAnalyticsPrintTabState(true);
+        renderImportTab(container);
     } else if (AnalyticsState.currentCategoryTab === 'energy') {
         setAnalyticsPrintTabState(false);
         renderEnergyTab(container, filteredData);
     } else if (AnalyticsState.currentCategoryTab === 'mood') {
         setAnalyticsPrintTabState(false);
         renderMoodTab(container, filteredData);
+    } else if (AnalyticsState.currentCategoryTab === 'caffeine') {
+        setAnalyticsPrintTabState(false);
+        renderCaffeineTab(container, filteredData);
+    } else if (AnalyticsState.currentCategoryTab === 'correlations') {
+        setAnalyticsPrintTabState(false);
+        renderCorrelationTab(container, filteredData);
+    } else if (AnalyticsState.currentCategoryTab === 'intraday') {
+        setAnalyticsPrintTabState(false);
+        renderIntradayTab(container, filteredData);
+    } else if (AnalyticsState.currentCategoryTab === 'activities') {
+        setAnalyticsPrintTabState(false);
+        renderActivitiesTab(container, filteredData);
     }
 
-    if (AnalyticsState.currentCategoryTab === 'print') return;
+    if (isPanelTab) return;
 
     // Trigger animations after rendering
     setTimeout(function() {
@@ -386,6 +446,7 @@ function renderPrintTab(container) {
                         '<label class="print-check"><input type="checkbox" id="printSectionMood" ' + (s.moodChart ? 'checked' : '') + '><span>' + t.includeMoodChart + '</span></label>' +
                         '<label class="print-check"><input type="checkbox" id="printSectionAnxiety" ' + (s.anxietyChart ? 'checked' : '') + '><span>' + t.includeAnxietyChart + '</span></label>' +
                         '<label class="print-check"><input type="checkbox" id="printSectionIrritability" ' + (s.irritabilityChart ? 'checked' : '') + '><span>' + t.includeIrritabilityChart + '</span></label>' +
+                        '<label class="print-check"><input type="checkbox" id="printSectionEpisodes" ' + (s.episodes ? 'checked' : '') + '><span>' + t.includeEpisodes + '</span></label>' +
                     '</div>' +
                 '</div>' +
                 '<button type="button" class="print-generate-btn" onclick="generateAnalyticsMonthlyPdf()">' + t.generateButton + '</button>' +
@@ -425,6 +486,14 @@ function getPrintI18n(lang) {
             includeMoodChart: 'Mood chart',
             includeAnxietyChart: 'Anxiety chart',
             includeIrritabilityChart: 'Irritability chart',
+            includeEpisodes: 'Mood episodes',
+            episodes: 'Mood Episodes',
+            episodeType: 'Episode',
+            episodeDays: 'Tracked days',
+            episodeShortSleep: 'Short-sleep days',
+            episodeElevated: 'Elevated',
+            episodeDepressed: 'Depressed',
+            noEpisodes: 'No sustained elevated or depressed stretches this month.',
             noData: 'No data for selected month.',
             selectMonthAlert: 'Please select a month.',
             popupBlockedAlert: 'Please allow popups to print.',
@@ -460,6 +529,14 @@ function getPrintI18n(lang) {
             includeMoodChart: 'График настроения',
             includeAnxietyChart: 'График тревожности',
             includeIrritabilityChart: 'График раздражительности',
+            includeEpisodes: 'Эпизоды настроения',
+            episodes: 'Эпизоды настроения',
+            episodeType: 'Эпизод',
+            episodeDays: 'Дней с записями',
+            episodeShortSleep: 'Дней с коротким сном',
+            episodeElevated: 'Подъём',
+            episodeDepressed: 'Спад',
+            noEpisodes: 'За месяц не найдено устойчивых подъёмов или спадов.',
             noData: 'Нет данных за выбранный месяц.',
             selectMonthAlert: 'Пожалуйста, выберите месяц.',
             popupBlockedAlert: 'Разрешите всплывающие окна для печати.',
@@ -521,8 +598,8 @@ function buildWeeklyAveragesForMonth(monthData, startDate, endDate) {
             }
             if (Number.isFinite(e.anxiety)) anx.push(e.anxiety);
             if (Number.isFinite(e.irritability)) irr.push(e.irritability);
-            if (Array.isArray(e.sleep) && typeof analyzeSleepData === 'function') {
-                var s = analyzeSleepData(e.sleep);
+            if (typeof analyzeSleepData === 'function') {
+                var s = analyzeSleepData(getEntrySleepSessions(e), e.date);
                 if (s && Number.isFinite(s.duration) && s.duration > 0) sleepHours.push(s.duration);
             }
         }
@@ -546,7 +623,7 @@ function buildWeeklyAveragesForMonth(monthData, startDate, endDate) {
     return rows;
 }
 
-function makeMonthChartsSvg(monthData) {
+function makeMonthChartsSvg(monthData, moodBands) {
     var holder = document.createElement('div');
     holder.style.position = 'fixed';
     holder.style.left = '-99999px';
@@ -582,6 +659,7 @@ function makeMonthChartsSvg(monthData) {
         });
         renderBarChart(ids.mood, monthData, {
             metric: 'mood',
+            bands: moodBands || [],
             colorLow: '#8d95b7',
             colorHigh: '#8d95b7',
             colorLowNeg: '#8d95b7',
@@ -676,10 +754,11 @@ function generateAnalyticsMonthlyPdf() {
         energyChart: !!(document.getElementById('printSectionEnergy') && document.getElementById('printSectionEnergy').checked),
         moodChart: !!(document.getElementById('printSectionMood') && document.getElementById('printSectionMood').checked),
         anxietyChart: !!(document.getElementById('printSectionAnxiety') && document.getElementById('printSectionAnxiety').checked),
-        irritabilityChart: !!(document.getElementById('printSectionIrritability') && document.getElementById('printSectionIrritability').checked)
+        irritabilityChart: !!(document.getElementById('printSectionIrritability') && document.getElementById('printSectionIrritability').checked),
+        episodes: !!(document.getElementById('printSectionEpisodes') && document.getElementById('printSectionEpisodes').checked)
     };
     var sections = AnalyticsState.printSections;
-    if (!sections.weeklyAverages && !sections.energyChart && !sections.moodChart && !sections.anxietyChart && !sections.irritabilityChart) {
+    if (!sections.weeklyAverages && !sections.energyChart && !sections.moodChart && !sections.anxietyChart && !sections.irritabilityChart && !sections.episodes) {
         alert(t.selectAtLeastOneBlock);
         return;
     }
@@ -697,7 +776,10 @@ function generateAnalyticsMonthlyPdf() {
     }
     var monthData = fillMissingDates(monthDataRaw, range.startDate, range.endDate);
     var weeklyRows = buildWeeklyAveragesForMonth(monthData, range.startDate, range.endDate);
-    var charts = makeMonthChartsSvg(monthData);
+    // Detect on all entries so episodes that started last month keep their full length
+    var episodes = filterEpisodesByRange(detectMoodEpisodes(AnalyticsState.cachedData),
+        formatDate(range.startDate, 'YYYY-MM-DD'), formatDate(range.endDate, 'YYYY-MM-DD'));
+    var charts = makeMonthChartsSvg(monthData, getEpisodeBands(episodes, { elevated: '#f3e3bd', depressed: '#d9e0f4' }));
 
     var customMonthName = formatDate(range.startDate, 'MMM DD').split(' ')[0] + ' ' + range.startDate.getFullYear();
     if (/^\d{4}-\d{2}$/.test(monthValue)) {
@@ -752,6 +834,29 @@ function generateAnalyticsMonthlyPdf() {
     }
     var chartSectionHtml = chartBlocks.length ? ('<h3>' + t.monthlyCharts + '</h3>' + chartBlocks.join('')) : '';
 
+    var episodeSectionHtml = '';
+    if (sections.episodes) {
+        var locale = lang === 'ru' ? 'ru-RU' : 'en-US';
+        var episodeDate = function(dateStr) {
+            return parseDate(dateStr).toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+        };
+        episodeSectionHtml = '<h3>' + t.episodes + '</h3>' + (episodes.length
+            ? '<table><thead><tr>' +
+                '<th>' + t.episodeType + '</th>' +
+                '<th>' + t.weekRange + '</th>' +
+                '<th>' + t.episodeDays + '</th>' +
+                '<th>' + t.episodeShortSleep + '</th>' +
+            '</tr></thead><tbody>' + episodes.map(function(episode) {
+                return '<tr>' +
+                    '<td><span class="episode-swatch episode-' + episode.type + '"></span>' + (episode.type === 'elevated' ? t.episodeElevated : t.episodeDepressed) + '</td>' +
+                    '<td>' + episodeDate(episode.start) + ' - ' + episodeDate(episode.end) + '</td>' +
+                    '<td>' + episode.days + '</td>' +
+                    '<td>' + episode.shortSleepDays + '</td>' +
+                '</tr>';
+            }).join('') + '</tbody></table>'
+            : '<p class="meta">' + t.noEpisodes + '</p>');
+    }
+
     var reportHtml =
         '<!doctype html><html><head><meta charset="UTF-8"><title>' + t.reportTitle + '</title>' +
         '<style>' +
@@ -777,6 +882,9 @@ function generateAnalyticsMonthlyPdf() {
         '.chart-block svg line{stroke:#d0d5e5 !important;opacity:1 !important;}' +
         '.chart-block svg .baseline-line{stroke:#9aa2bf !important;opacity:1 !important;}' +
         '.chart-block svg path[fill^=\"url(\"]{fill:#cfd4e6 !important;opacity:0.2 !important;}' +
+        '.episode-swatch{display:inline-block;width:10px;height:10px;border-radius:3px;margin-right:6px;vertical-align:middle;}' +
+        '.episode-elevated{background:#e9cf8f;}' +
+        '.episode-depressed{background:#aab7e4;}' +
         '@page{size:A4 portrait;margin:8mm;}' +
         '</style></head><body>' +
         '<h1>' + t.reportTitle + '</h1>' +
@@ -784,6 +892,7 @@ function generateAnalyticsMonthlyPdf() {
         '<h2>' + t.monthHeading + ': ' + customMonthName + '</h2>' +
         weeklySectionHtml +
         chartSectionHtml +
+        episodeSectionHtml +
         '<script>window.onload=function(){if(window.history&&window.history.replaceState){try{window.history.replaceState({},document.title,\"/analytics-report\");}catch(e){}}setTimeout(function(){window.print();},120);};<\/script>' +
         '</body></html>';
 
@@ -806,15 +915,20 @@ window.generateAnalyticsMonthlyPdf = generateAnalyticsMonthlyPdf;
  * Render Energy tab content
  */
 function renderEnergyTab(container, data) {
-    container.innerHTML = '<div class="chart-wrapper"><div id="energyInsights"></div><div id="energyChart" class="chart-container"></div></div>' +
+    // Energy can be removed from the metric schema; sleep is always shown
+    var hasEnergy = !!getMetricDefinition('energy');
+    container.innerHTML = (hasEnergy ? '<div class="chart-wrapper"><div id="energyInsights"></div><div id="energyChart" class="chart-container"></div></div>' : '') +
         '<div class="chart-wrapper"><h3>Sleep Patterns</h3><div id="sleepInsights"></div><div id="sleepChart" class="chart-container"></div></div>';
 
     // Render energy insights
-    var energyInsightsHtml = renderInsightsHTML('energy', data);
-    document.getElementById('energyInsights').innerHTML = energyInsightsHtml;
+    if (hasEnergy) {
+        var energyInsightsHtml = renderInsightsHTML('energy', data);
+        document.getElementById('energyInsights').innerHTML = energyInsightsHtml;
+    }
 
     // Render energy chart
-    renderBarChart('energyChart', data, {
+    if (hasEnergy) renderBarChart('energyChart', data, {
+        markers: getDoseChangeMarkers(data),
         metric: 'energy',
         colorLow: 'rgba(197,230,168,0.66)',
         colorHigh: 'rgba(197,230,168,0.88)',
@@ -836,50 +950,156 @@ function renderEnergyTab(container, data) {
     renderSleepBarChart('sleepChart', data);
 }
 
+// Chart colours for the built-in metrics; added metrics take the next palette colour
+var METRIC_CHART_COLORS = {
+    mood: '237,191,231',
+    anxiety: '244,227,179',
+    irritability: '200,180,255'
+};
+var METRIC_CHART_PALETTE = ['168,214,230', '230,190,160', '190,230,200', '220,200,160', '180,190,240'];
+
+function getMetricChartColor(metricId, index) {
+    return METRIC_CHART_COLORS[metricId] || METRIC_CHART_PALETTE[index % METRIC_CHART_PALETTE.length];
+}
+
 /**
- * Render Mood tab content
+ * Render Mood tab content: one chart per schema metric except energy,
+ * which has its own tab. Highest/lowest metrics get a bar chart, single
+ * values a line chart.
  */
 function renderMoodTab(container, data) {
-    container.innerHTML = '<div class="chart-wrapper"><div id="moodInsights"></div><div id="moodChart" class="chart-container"></div></div>' +
-        '<div class="chart-wrapper"><div id="anxietyInsights"></div><div id="anxietyChart" class="chart-container"></div></div>' +
-        '<div class="chart-wrapper"><div id="irritabilityInsights"></div><div id="irritabilityChart" class="chart-container"></div></div>';
-
-    // Render insights
-    var insightsHtml = renderInsightsHTML('mood', data);
-    document.getElementById('moodInsights').innerHTML = insightsHtml;
-
-    // Render anxiety insights
-    var anxietyInsightsHtml = renderInsightsHTML('anxiety', data);
-    var anxietyInsightsEl = document.getElementById('anxietyInsights');
-    if (anxietyInsightsEl) anxietyInsightsEl.innerHTML = anxietyInsightsHtml;
-
-    // Render irritability insights
-    var irritabilityInsightsHtml = renderInsightsHTML('irritability', data);
-    var irritabilityInsightsEl = document.getElementById('irritabilityInsights');
-    if (irritabilityInsightsEl) irritabilityInsightsEl.innerHTML = irritabilityInsightsHtml;
-
-    // Render mood chart
-    renderBarChart('moodChart', data, {
-        metric: 'mood',
-        colorLow: 'rgba(237,191,231,0.66)',
-        colorHigh: 'rgba(237,191,231,0.88)',
-        colorLowNeg: 'rgba(237,191,231,0.66)',
-        colorHighNeg: 'rgba(237,191,231,0.88)',
-        outlineColor: 'rgba(237,191,231,0.38)'
-    });
+    var metrics = getMetricSchema().filter(function(metric) { return metric.id !== 'energy'; });
+    if (!metrics.length) {
+        container.innerHTML = '<div class="chart-wrapper"><p style="color: #A7ADD9; text-align: center; padding: 40px;">No mood metrics are set up. Add some from the States tab.</p></div>';
+        return;
+    }
 
-    // Render anxiety chart
-    renderLineChart('anxietyChart', data, {
-        metric: 'anxiety',
-        color: 'rgba(244,227,179,0.8)',
-        fillColor: 'rgba(244,227,179,0.2)'
+    var adherence = calculateMedicationAdherence(data);
+    var markers = getDoseChangeMarkers(data);
+    // Detect on all entries so an episode that started before the period keeps its full length
+    var episodes = data.length
+        ? filterEpisodesByRange(detectMoodEpisodes(AnalyticsState.cachedData), data[0].date, data[data.length - 1].date)
+        : [];
+    container.innerHTML = (adherence.html
+        ? '<div class="chart-wrapper"><div class="insights-section"><h4 class="insights-title">Medication Adherence</h4>' + adherence.html + '</div></div>'
+        : '') +
+        (getMetricDefinition('mood')
+            ? '<div class="chart-wrapper"><div class="insights-section"><h4 class="insights-title">Mood Episodes</h4>' +
+                renderEpisodesHTML(episodes) + renderEpisodeSettingsHTML() + '</div></div>'
+            : '') +
+        metrics.map(function(metric) {
+            return '<div class="chart-wrapper"><div id="' + metric.id + 'Insights"></div><div id="' + metric.id + 'Chart" class="chart-container"></div></div>';
+        }).join('');
+
+    metrics.forEach(function(metric, index) {
+        var insightsEl = document.getElementById(metric.id + 'Insights');
+        if (insightsEl) insightsEl.innerHTML = renderInsightsHTML(metric.id, data);
+
+        var rgb = getMetricChartColor(metric.id, index);
+        if (metric.range) {
+            renderBarChart(metric.id + 'Chart', data, {
+                metric: metric.id,
+                markers: markers,
+                bands: metric.id === 'mood' ? getEpisodeBands(episodes) : [],
+                colorLow: 'rgba(' + rgb + ',0.66)',
+                colorHigh: 'rgba(' + rgb + ',0.88)',
+                colorLowNeg: 'rgba(' + rgb + ',0.66)',
+                colorHighNeg: 'rgba(' + rgb + ',0.88)',
+                outlineColor: 'rgba(' + rgb + ',0.38)'
+            });
+        } else {
+            renderLineChart(metric.id + 'Chart', data, {
+                metric: metric.id,
+                color: 'rgba(' + rgb + ',0.8)',
+                fillColor: 'rgba(' + rgb + ',0.2)'
+            });
+        }
     });
+}
+
+/**
+ * Threshold form under the episode list; empty fields use the defaults
+ */
+function renderEpisodeSettingsHTML() {
+    var settings = getEpisodeSettings();
+    var saved = AnalyticsState.episodeSettings || {};
+    var mood = getMetricDefinition('mood');
+    var field = function(key, label, min, max, step) {
+        return '<label>' + label + ' <input type="number" min="' + min + '" max="' + max + '" step="' + (step || 1) + '"' +
+            ' value="' + (saved[key] != null ? settings[key] : '') + '" placeholder="' + settings[key] + '"' +
+            ' onchange="updateEpisodeSetting(\'' + key + '\', this.value)"></label>';
+    };
+    return '<details class="episode-settings">' +
+        '<summary>Detection settings</summary>' +
+        '<div class="episode-settings-grid">' +
+            field('elevatedAt', 'Elevated at or above', mood.min, mood.max) +
+            field('minElevatedDays', 'for at least (days)', 1, 60) +
+            field('depressedAt', 'Depressed at or below', mood.min, mood.max) +
+            field('minDepressedDays', 'for at least (days)', 1, 90) +
+            field('shortSleepHours', 'Short sleep under (h)', 0, 12) +
+        '</div>' +
+        '<p class="episode-settings-note">Elevated uses the higher of mood and energy; a short night lowers that threshold by one point. Clear a field to use its default.</p>' +
+    '</details>';
+}
+
+/**
+ * Render Caffeine tab content
+ */
+function renderCaffeineTab(container, data) {
+    container.innerHTML = '<div class="chart-wrapper"><div id="caffeineInsights"></div><div id="caffeineChart" class="chart-container"></div></div>' +
+        '<div class="chart-wrapper"><h3>Caffeine Patterns</h3><div id="caffeinePatterns"></div></div>';
+
+    // Render caffeine insights
+    var caffeineInsights = calculateCaffeineInsights(data);
+    document.getElementById('caffeineInsights').innerHTML = '<div class="insights-section">' +
+        '<h4 class="insights-title">Caffeine Insights</h4>' +
+        caffeineInsights.html +
+        '</div>';
+
+    // Render caffeine chart
+    renderCaffeineBarChart('caffeineChart', data);
+
+    // Render impact on the other metrics (tracked days only)
+    var patterns = analyzeCaffeineImpact(data.filter(function(entry) { return !entry.isMissing; }));
+    var patternsEl = document.getElementById('caffeinePatterns');
+    if (patternsEl) {
+        patternsEl.innerHTML = '<div class="insights-section">' +
+            (patterns.length
+                ? '<div class="insights-list">' +
+                    patterns.map(function(insight) { return '<div class="insight-item">&bull; ' + insight + '</div>'; }).join('') +
+                    '</div>'
+                : '<p style="color: #888; font-style: italic;">No clear caffeine effect yet. Comparisons need at least ' +
+                    CORRELATION_MIN_GROUP + ' days with and ' + CORRELATION_MIN_GROUP + ' without caffeine.</p>') +
+            '</div>';
+    }
+}
+
+/**
+ * Render Activities tab content: a star jar each for activities and people,
+ * with how they line up with mood
+ */
+function renderActivitiesTab(container, data) {
+    var tracked = data.filter(function(entry) { return !entry.isMissing; });
+    var groups = [
+        { field: 'activities', title: 'Activities', patterns: analyzeActivityImpact(tracked) },
+        { field: 'people', title: 'People', patterns: analyzePeopleImpact(tracked) }
+    ];
+
+    container.innerHTML = groups.map(function(group) {
+        return '<div class="chart-wrapper"><h3>' + group.title + '</h3>' +
+            '<div id="' + group.field + 'Jar" class="chart-container"></div>' +
+            '<div class="insights-section">' +
+                (group.patterns.length
+                    ? '<div class="insights-list">' +
+                        group.patterns.map(function(insight) { return '<div class="insight-item">&bull; ' + insight + '</div>'; }).join('') +
+                        '</div>'
+                    : '<p style="color: #888; font-style: italic;">No clear link with mood yet. Comparisons need at least ' +
+                        CORRELATION_MIN_GROUP + ' days with and ' + CORRELATION_MIN_GROUP + ' without a tag.</p>') +
+            '</div></div>';
+    }).join('');
 
-    // Render irritability chart
-    renderLineChart('irritabilityChart', data, {
-        metric: 'irritability',
-        color: 'rgba(200,180,255,0.8)',
-        fillColor: 'rgba(200,180,255,0.2)'
+    groups.forEach(function(group) {
+        renderPieChart(group.field + 'Jar', tracked, group.field);
     });
 }
 
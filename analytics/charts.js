@@ -1,5 +1,5 @@
 // Analytics Charts
-// SVG rendering for bar charts (energy/mood) and line charts (anxiety/irritability)
+// SVG rendering for bar charts (highest/lowest metrics) and line charts (single-value metrics)
 
 /**
  * Create SVG element with attributes
@@ -16,73 +16,101 @@ function createSVGElement(type, attributes = {}) {
 }
 
 /**
- * Aggregate daily data into N-day chunks, averaging each metric.
- * Used to display weekly (chunkSize=7) or bi-weekly (chunkSize=14) averages.
+ * Scale of a schema metric for chart axes (defaults to the original 1-7 scale)
+ * @param {string} metric - Metric id
+ * @returns {Object} - { min, max, baseline, span }
  */
-function _aggregateByDays(data, chunkSize) {
-    function mean(arr) {
+function _getChartScale(metric) {
+    var definition = getMetricDefinition(metric) || { min: 1, max: 7, baseline: 4 };
+    return {
+        min: definition.min,
+        max: definition.max,
+        baseline: definition.baseline,
+        span: definition.max - definition.min
+    };
+}
+
+/**
+ * Average every schema metric over a group of tracked days.
+ * Metrics with no values in the group fall back to their baseline.
+ */
+function _averageMetricEntries(entries) {
+    function mean(arr, fallback) {
         var valid = arr.filter(function(v) { return v != null && !isNaN(v); });
-        if (!valid.length) return 4;
+        if (!valid.length) return fallback;
         return Math.round(valid.reduce(function(s, v) { return s + v; }, 0) / valid.length * 10) / 10;
     }
+    var values = {};
+    getMetricSchema().forEach(function(metric) {
+        if (metric.range) {
+            values[metric.id] = {
+                highest: mean(entries.map(function(e) { return readMetricEntryValue(e, metric.id, 'highest'); }), metric.baseline),
+                lowest:  mean(entries.map(function(e) { return readMetricEntryValue(e, metric.id, 'lowest'); }), metric.baseline)
+            };
+        } else {
+            values[metric.id] = mean(entries.map(function(e) { return readMetricEntryValue(e, metric.id); }), metric.baseline);
+        }
+    });
+    return values;
+}
+
+/**
+ * Aggregate daily data into N-day chunks, averaging each metric.
+ * Used to display weekly (chunkSize=7) or bi-weekly (chunkSize=14) averages.
+ */
+function _aggregateByDays(data, chunkSize) {
     var result = [];
     for (var i = 0; i < data.length; i += chunkSize) {
         var chunk = data.slice(i, Math.min(i + chunkSize, data.length));
         var nonMissing = chunk.filter(function(e) { return !e.isMissing; });
         if (nonMissing.length === 0) {
-            result.push({ date: chunk[0].date, isMissing: true,
-                energy: { highest: 4, lowest: 4 }, mood: { highest: 4, lowest: 4 },
-                anxiety: 4, irritability: 4, productivity: 4, satisfaction: 4, socialActivity: 4 });
+            result.push({ date: chunk[0].date, isMissing: true });
             continue;
         }
-        result.push({
+        result.push(Object.assign(_averageMetricEntries(nonMissing), {
             date: chunk[0].date,
-            isMissing: false,
-            energy: {
-                highest: mean(nonMissing.map(function(e) { return e.energy ? e.energy.highest : null; })),
-                lowest:  mean(nonMissing.map(function(e) { return e.energy ? e.energy.lowest  : null; }))
-            },
-            mood: {
-                highest: mean(nonMissing.map(function(e) { return e.mood ? e.mood.highest : null; })),
-                lowest:  mean(nonMissing.map(function(e) { return e.mood ? e.mood.lowest  : null; }))
-            },
-            anxiety:      mean(nonMissing.map(function(e) { return e.anxiety; })),
-            irritability: mean(nonMissing.map(function(e) { return e.irritability; })),
-            productivity: mean(nonMissing.map(function(e) { return e.productivity; })),
-            satisfaction: mean(nonMissing.map(function(e) { return e.satisfaction; })),
-            socialActivity: mean(nonMissing.map(function(e) { return e.socialActivity; }))
-        });
+            isMissing: false
+        }));
     }
     return result;
 }
 
+function _getSleepQuality(entry) {
+    var details = getEntrySleepDetails(entry);
+    return details ? details.quality : null;
+}
+
+// Average quality of the rated nights among aggregated sleep entries, or null
+function _averageSleepQuality(entries) {
+    var rated = entries.filter(function(e) { return e.quality != null; });
+    if (!rated.length) return null;
+    return rated.reduce(function(s, e) { return s + e.quality; }, 0) / rated.length;
+}
+
 /**
  * Aggregate raw day-data into N-day chunks for the sleep chart.
  * Returns pre-processed sleep entries with averaged metrics.
  */
 function _aggregateSleepRaw(data, chunkSize) {
-    function tMin(t) { var p = t.split(':'); return +p[0] * 60 + +p[1]; }
-    function tStr(m) { var n = ((Math.round(m) % 1440) + 1440) % 1440; return (n/60|0).toString().padStart(2,'0') + ':' + (n%60).toString().padStart(2,'0'); }
     var result = [];
     for (var i = 0; i < data.length; i += chunkSize) {
         var chunk = data.slice(i, Math.min(i + chunkSize, data.length));
         var entries = [];
         for (var j = 0; j < chunk.length; j++) {
             var e = chunk[j];
-            if (!e.isMissing && e.sleep && Array.isArray(e.sleep)) {
-                var an = analyzeSleepData(e.sleep);
-                if (an.duration > 0) entries.push({ dur: an.duration, bed: tMin(an.bedtime), wake: tMin(an.wakeTime) });
+            if (!e.isMissing) {
+                var an = analyzeSleepData(getEntrySleepSessions(e), e.date);
+                if (an.duration > 0) entries.push({ dur: an.duration, bed: an.bedtimeOffset, wake: an.wakeOffset, quality: _getSleepQuality(e) });
             }
         }
         if (!entries.length) continue;
+        // Offsets run from the sleep day's start, so plain averages work across midnight
         var avgDur  = entries.reduce(function(s,e){return s+e.dur;},0) / entries.length;
-        // Circular bedtime average: times before 6am treated as next-day
-        var normBed = entries.map(function(e){return e.bed < 360 ? e.bed + 1440 : e.bed;});
-        var avgBed  = normBed.reduce(function(s,v){return s+v;},0) / normBed.length;
+        var avgBed  = entries.reduce(function(s,e){return s+e.bed;},0) / entries.length;
         var avgWake = entries.reduce(function(s,e){return s+e.wake;},0) / entries.length;
         result.push({ date: chunk[0].date, duration: avgDur,
-            bedtime: tStr(avgBed), wakeTime: tStr(avgWake),
-            bedtimeMinutes: avgBed % 1440, wakeTimeMinutes: avgWake });
+            bedtime: formatSleepDayOffset(avgBed), wakeTime: formatSleepDayOffset(avgWake),
+            bedtimeMinutes: avgBed, wakeTimeMinutes: avgWake, quality: _averageSleepQuality(entries) });
     }
     return result;
 }
@@ -92,11 +120,6 @@ function _aggregateSleepRaw(data, chunkSize) {
  * Used to display monthly averages for the year view.
  */
 function _aggregateByMonth(data) {
-    function mean(arr) {
-        var valid = arr.filter(function(v) { return v != null && !isNaN(v); });
-        if (!valid.length) return 4;
-        return Math.round(valid.reduce(function(s, v) { return s + v; }, 0) / valid.length * 10) / 10;
-    }
     var groups = {}, order = [];
     for (var i = 0; i < data.length; i++) {
         var mk = data[i].date.substring(0, 7);
@@ -108,27 +131,12 @@ function _aggregateByMonth(data) {
         var key = order[k], chunk = groups[key];
         var nonMissing = chunk.filter(function(e) { return !e.isMissing; });
         if (nonMissing.length === 0) {
-            result.push({ date: key + '-01', isMissing: true,
-                energy: { highest: 4, lowest: 4 }, mood: { highest: 4, lowest: 4 },
-                anxiety: 4, irritability: 4, productivity: 4, satisfaction: 4, socialActivity: 4 });
+            result.push({ date: key + '-01', isMissing: true });
             continue;
         }
-        result.push({
-            date: key + '-01', isMissing: false,
-            energy: {
-                highest: mean(nonMissing.map(function(e) { return e.energy ? e.energy.highest : null; })),
-                lowest:  mean(nonMissing.map(function(e) { return e.energy ? e.energy.lowest  : null; }))
-            },
-            mood: {
-                highest: mean(nonMissing.map(function(e) { return e.mood ? e.mood.highest : null; })),
-                lowest:  mean(nonMissing.map(function(e) { return e.mood ? e.mood.lowest  : null; }))
-            },
-            anxiety:      mean(nonMissing.map(function(e) { return e.anxiety; })),
-            irritability: mean(nonMissing.map(function(e) { return e.irritability; })),
-            productivity: mean(nonMissing.map(function(e) { return e.productivity; })),
-            satisfaction: mean(nonMissing.map(function(e) { return e.satisfaction; })),
-            socialActivity: mean(nonMissing.map(function(e) { return e.socialActivity; }))
-        });
+        result.push(Object.assign(_averageMetricEntries(nonMissing), {
+            date: key + '-01', isMissing: false
+        }));
     }
     return result;
 }
@@ -137,8 +145,6 @@ function _aggregateByMonth(data) {
  * Aggregate raw day-data into calendar months for the sleep chart.
  */
 function _aggregateSleepByMonth(data) {
-    function tMin(t) { var p = t.split(':'); return +p[0] * 60 + +p[1]; }
-    function tStr(m) { var n = ((Math.round(m) % 1440) + 1440) % 1440; return (n/60|0).toString().padStart(2,'0') + ':' + (n%60).toString().padStart(2,'0'); }
     var groups = {}, order = [];
     for (var i = 0; i < data.length; i++) {
         var mk = data[i].date.substring(0, 7);
@@ -151,19 +157,18 @@ function _aggregateSleepByMonth(data) {
         var entries = [];
         for (var j = 0; j < chunk.length; j++) {
             var e = chunk[j];
-            if (!e.isMissing && e.sleep && Array.isArray(e.sleep)) {
-                var an = analyzeSleepData(e.sleep);
-                if (an.duration > 0) entries.push({ dur: an.duration, bed: tMin(an.bedtime), wake: tMin(an.wakeTime) });
+            if (!e.isMissing) {
+                var an = analyzeSleepData(getEntrySleepSessions(e), e.date);
+                if (an.duration > 0) entries.push({ dur: an.duration, bed: an.bedtimeOffset, wake: an.wakeOffset, quality: _getSleepQuality(e) });
             }
         }
         if (!entries.length) continue;
         var avgDur  = entries.reduce(function(s,e){return s+e.dur;},0) / entries.length;
-        var normBed = entries.map(function(e){return e.bed < 360 ? e.bed + 1440 : e.bed;});
-        var avgBed  = normBed.reduce(function(s,v){return s+v;},0) / normBed.length;
+        var avgBed  = entries.reduce(function(s,e){return s+e.bed;},0) / entries.length;
         var avgWake = entries.reduce(function(s,e){return s+e.wake;},0) / entries.length;
         result.push({ date: key + '-01', duration: avgDur,
-            bedtime: tStr(avgBed), wakeTime: tStr(avgWake),
-            bedtimeMinutes: avgBed % 1440, wakeTimeMinutes: avgWake });
+            bedtime: formatSleepDayOffset(avgBed), wakeTime: formatSleepDayOffset(avgWake),
+            bedtimeMinutes: avgBed, wakeTimeMinutes: avgWake, quality: _averageSleepQuality(entries) });
     }
     return result;
 }
@@ -179,12 +184,14 @@ function renderBarChart(containerId, data, options = {}) {
     if (!container) return;
 
     const {
-        metric = 'energy', // 'energy' or 'mood'
+        metric = 'energy', // any highest/lowest schema metric
         colorLow = 'rgba(180,200,255,0.6)',
         colorHigh = 'rgba(180,200,255,0.9)',
         colorLowNeg = 'rgba(120,140,180,0.5)',
         colorHighNeg = 'rgba(120,140,180,0.8)',
-        outlineColor = 'rgba(255,255,255,0.24)'
+        outlineColor = 'rgba(255,255,255,0.24)',
+        markers = [], // [{ date, label }] drawn as vertical lines, e.g. dose changes
+        bands = [] // [{ start, end, color, label }] shaded behind the bars, e.g. mood episodes
     } = options;
 
     // Aggregate into weekly/monthly averages for longer periods
@@ -218,7 +225,8 @@ function renderBarChart(containerId, data, options = {}) {
     const padding = { top: 30, right: 50, bottom: 80, left: 60 };
     const chartWidth = width - padding.left - padding.right;
     const chartHeight = height - padding.top - padding.bottom;
-    const baseline = 4;
+    const scale = _getChartScale(metric);
+    const baseline = scale.baseline;
 
     const barGroupWidth = chartWidth / data.length;
 
@@ -246,9 +254,9 @@ function renderBarChart(containerId, data, options = {}) {
         transform: `translate(${padding.left}, ${padding.top})`
     });
 
-    // Draw Y-axis scale (1-7)
-    for (let i = 1; i <= 7; i++) {
-        const y = chartHeight - ((i - 1) / 6) * chartHeight;
+    // Draw Y-axis scale (metric min to max)
+    for (let i = scale.min; i <= scale.max; i++) {
+        const y = chartHeight - ((i - scale.min) / scale.span) * chartHeight;
 
         // Grid line
         const gridLine = createSVGElement('line', {
@@ -275,7 +283,7 @@ function renderBarChart(containerId, data, options = {}) {
     }
 
     // Baseline reference line
-    const baselineY = chartHeight - ((baseline - 1) / 6) * chartHeight;
+    const baselineY = chartHeight - ((baseline - scale.min) / scale.span) * chartHeight;
     const baselineLine = createSVGElement('line', {
         x1: -5,
         y1: baselineY,
@@ -320,12 +328,48 @@ function renderBarChart(containerId, data, options = {}) {
         return outlineColor;
     }
 
+    _drawChartBands(chartGroup, data, bands, chartWidth, chartHeight);
+
     // Draw bars for each data point
     data.forEach((entry, index) => {
         const x = (index / data.length) * chartWidth + barGroupWidth / 2;
 
-        const highest = entry[metric]?.highest || baseline;
-        const lowest = entry[metric]?.lowest || baseline;
+        // X-axis label (date)
+        if (data.length <= 31) {
+            // Show all labels for month view or less
+            const labelX = x;
+            const labelY = chartHeight + 20;
+            const dateLabel = createSVGElement('text', {
+                x: labelX,
+                y: labelY,
+                fill: entry.isMissing ? '#8E95C5' : '#A7ADD9',
+                'font-size': '13',
+                'text-anchor': 'middle',
+                transform: `rotate(-45, ${labelX}, ${labelY})`
+            });
+            dateLabel.textContent = formatDate(entry.date, 'M/D');
+            chartGroup.appendChild(dateLabel);
+        } else if (index % Math.ceil(data.length / 20) === 0) {
+            // Show every Nth label for longer ranges
+            const labelX = x;
+            const labelY = chartHeight + 20;
+            const dateLabel = createSVGElement('text', {
+                x: labelX,
+                y: labelY,
+                fill: '#A7ADD9',
+                'font-size': '12',
+                'text-anchor': 'middle',
+                transform: `rotate(-45, ${labelX}, ${labelY})`
+            });
+            dateLabel.textContent = formatDate(entry.date, 'MMM DD');
+            chartGroup.appendChild(dateLabel);
+        }
+
+        // Days with no entry (or intentionally skipped) stay a gap
+        if (entry.isMissing) return;
+
+        const highest = entry[metric]?.highest ?? baseline;
+        const lowest = entry[metric]?.lowest ?? baseline;
 
         const barGroup = createSVGElement('g', {
             class: 'bar-group',
@@ -333,11 +377,11 @@ function renderBarChart(containerId, data, options = {}) {
         });
 
         // Single bar representing range from lowest to highest
-        const unitHeight = chartHeight / 6;
-        const lowestY = chartHeight - ((lowest - 1) / 6) * chartHeight;
-        const highestY = chartHeight - ((highest - 1) / 6) * chartHeight;
+        const unitHeight = chartHeight / scale.span;
+        const lowestY = chartHeight - ((lowest - scale.min) / scale.span) * chartHeight;
+        const highestY = chartHeight - ((highest - scale.min) / scale.span) * chartHeight;
         const rawBarHeight = Math.abs(lowestY - highestY);
-        const minPointThickness = (metric === 'energy' || metric === 'mood') ? 8 : 3;
+        const minPointThickness = 8;
         const visualBarHeight = Math.max(rawBarHeight, minPointThickness);
         const rawBarY = Math.min(lowestY, highestY) - (visualBarHeight - rawBarHeight) / 2;
         const barY = Math.max(0, Math.min(rawBarY, chartHeight - visualBarHeight));
@@ -374,9 +418,7 @@ function renderBarChart(containerId, data, options = {}) {
         const outerY = barY;
         const outerW = Math.max(barGroupWidth * (1 - barGapFrac), 2);
         const outerH = visualBarHeight;
-        const barGlowColor = entry.isMissing
-            ? withAlpha(barBottomColor, 0.30)
-            : withAlpha(barTopColor, 0.42);
+        const barGlowColor = withAlpha(barTopColor, 0.42);
 
         const bar = createSVGElement('rect', {
             x: outerX,
@@ -398,43 +440,95 @@ function renderBarChart(containerId, data, options = {}) {
 
         barGroup.appendChild(bar);
         chartGroup.appendChild(barGroup);
-
-        // X-axis label (date)
-        if (data.length <= 31) {
-            // Show all labels for month view or less
-            const labelX = x;
-            const labelY = chartHeight + 20;
-            const dateLabel = createSVGElement('text', {
-                x: labelX,
-                y: labelY,
-                fill: entry.isMissing ? '#8E95C5' : '#A7ADD9',
-                'font-size': '13',
-                'text-anchor': 'middle',
-                transform: `rotate(-45, ${labelX}, ${labelY})`
-            });
-            dateLabel.textContent = formatDate(entry.date, 'M/D');
-            chartGroup.appendChild(dateLabel);
-        } else if (index % Math.ceil(data.length / 20) === 0) {
-            // Show every Nth label for longer ranges
-            const labelX = x;
-            const labelY = chartHeight + 20;
-            const dateLabel = createSVGElement('text', {
-                x: labelX,
-                y: labelY,
-                fill: '#A7ADD9',
-                'font-size': '12',
-                'text-anchor': 'middle',
-                transform: `rotate(-45, ${labelX}, ${labelY})`
-            });
-            dateLabel.textContent = formatDate(entry.date, 'MMM DD');
-            chartGroup.appendChild(dateLabel);
-        }
     });
 
+    _drawChartMarkers(chartGroup, data, markers, chartWidth, chartHeight);
+
     svg.appendChild(chartGroup);
     container.appendChild(svg);
 }
 
+/**
+ * Draw event markers over a bar chart. Each marker lands on the bar whose
+ * day (or week/month bucket) contains its date; markers sharing a bar are merged.
+ */
+function _drawChartMarkers(chartGroup, data, markers, chartWidth, chartHeight) {
+    if (!markers || !markers.length || !data.length) return;
+    var byIndex = {};
+    markers.forEach(function(marker) {
+        var index = _findChartBucket(data, marker.date);
+        if (index === -1) return;
+        (byIndex[index] = byIndex[index] || []).push(marker.label);
+    });
+
+    Object.keys(byIndex).forEach(function(key) {
+        var index = Number(key);
+        var x = (index / data.length) * chartWidth + (chartWidth / data.length) / 2;
+        var group = createSVGElement('g', { class: 'chart-marker' });
+        var title = createSVGElement('title');
+        title.textContent = formatDate(data[index].date, 'MMM DD') + ': ' + byIndex[key].join(', ');
+        group.appendChild(title);
+        group.appendChild(createSVGElement('line', {
+            x1: x, y1: 0, x2: x, y2: chartHeight,
+            stroke: 'rgba(237,182,140,0.7)',
+            'stroke-width': 2,
+            'stroke-dasharray': '4,4'
+        }));
+        group.appendChild(createSVGElement('path', {
+            d: 'M ' + x + ' -10 L ' + (x + 6) + ' -4 L ' + x + ' 2 L ' + (x - 6) + ' -4 Z',
+            fill: '#EDB68C'
+        }));
+        chartGroup.appendChild(group);
+    });
+}
+
+/**
+ * Shade date ranges behind the bars. Bands are clipped to the chart's range
+ * and snap to whole bars (days, or week/month buckets on longer periods).
+ */
+function _drawChartBands(chartGroup, data, bands, chartWidth, chartHeight) {
+    if (!bands || !bands.length || !data.length) return;
+    var slot = chartWidth / data.length;
+    bands.forEach(function(band) {
+        if (band.end < data[0].date || _isPastLastBucket(data, band.start)) return;
+        var first = band.start < data[0].date ? 0 : _findChartBucket(data, band.start);
+        var last = _findChartBucket(data, band.end);
+        if (last === -1) last = data.length - 1;
+        if (first === -1 || last < first) return;
+        var rect = createSVGElement('rect', {
+            class: 'chart-band',
+            x: first * slot,
+            y: 0,
+            width: (last - first + 1) * slot,
+            height: chartHeight,
+            fill: band.color || 'rgba(255,255,255,0.08)'
+        });
+        if (band.label) {
+            var title = createSVGElement('title');
+            title.textContent = band.label + ': ' + formatDate(band.start, 'MMM DD') + ' - ' + formatDate(band.end, 'MMM DD');
+            rect.appendChild(title);
+        }
+        chartGroup.appendChild(rect);
+    });
+}
+
+// Index of the bar whose day or bucket contains the date, or -1 outside the chart
+function _findChartBucket(data, date) {
+    var index = -1;
+    for (var i = 0; i < data.length; i++) {
+        if (data[i].date <= date) index = i;
+    }
+    if (index === data.length - 1 && _isPastLastBucket(data, date)) return -1;
+    return index;
+}
+
+// The last bar covers one day, or a week/month bucket on longer periods
+function _isPastLastBucket(data, date) {
+    var last = data[data.length - 1].date;
+    var step = data.length > 1 ? Math.round((parseDate(last) - parseDate(data[data.length - 2].date)) / 86400000) : 1;
+    return Math.round((parseDate(date) - parseDate(last)) / 86400000) >= step;
+}
+
 /**
  * Create a single bar element
  */
@@ -466,7 +560,7 @@ function renderLineChart(containerId, data, options = {}) {
     if (!container) return;
 
     const {
-        metric = 'anxiety', // 'anxiety' or 'irritability'
+        metric = 'anxiety', // any single-value schema metric
         color = 'rgba(244,227,179,0.8)',
         fillColor = 'rgba(244,227,179,0.2)'
     } = options;
@@ -491,6 +585,7 @@ function renderLineChart(containerId, data, options = {}) {
     const padding = { top: 30, right: 50, bottom: 80, left: 60 };
     const chartWidth = width - padding.left - padding.right;
     const chartHeight = height - padding.top - padding.bottom;
+    const scale = _getChartScale(metric);
 
     // Create SVG
     const svg = createSVGElement('svg', {
@@ -528,9 +623,9 @@ function renderLineChart(containerId, data, options = {}) {
         transform: `translate(${padding.left}, ${padding.top})`
     });
 
-    // Draw Y-axis scale (1-7)
-    for (let i = 1; i <= 7; i++) {
-        const y = chartHeight - ((i - 1) / 6) * chartHeight;
+    // Draw Y-axis scale (metric min to max)
+    for (let i = scale.min; i <= scale.max; i++) {
+        const y = chartHeight - ((i - scale.min) / scale.span) * chartHeight;
 
         // Grid line
         const gridLine = createSVGElement('line', {
@@ -565,13 +660,21 @@ function renderLineChart(containerId, data, options = {}) {
     // Calculate points
     const points = data.map((entry, index) => {
         const x = data.length > 1 ? (index / (data.length - 1)) * chartWidth : chartWidth / 2;
-        const value = entry[metric] || 4;
-        const y = chartHeight - ((value - 1) / 6) * chartHeight;
+        const value = entry.isMissing ? null : entry[metric] ?? scale.baseline;
+        const y = value == null ? null : chartHeight - ((value - scale.min) / scale.span) * chartHeight;
         return { x, y, value, date: entry.date, isMissing: entry.isMissing };
     });
 
+    // Missing days break the line: one curve per run of logged days
+    const segments = [];
+    points.forEach((point, index) => {
+        if (point.isMissing) return;
+        if (index === 0 || points[index - 1].isMissing) segments.push([]);
+        segments[segments.length - 1].push(point);
+    });
+
     // Create smooth curve path
-    const pathData = createSmoothPath(points);
+    const pathData = segments.map(createSmoothPath).join(' ');
     const linePath = createSVGElement('path', {
         d: pathData,
         stroke: color,
@@ -584,7 +687,11 @@ function renderLineChart(containerId, data, options = {}) {
     chartGroup.appendChild(linePath);
 
     // Create fill area under line
-    const fillPathData = `${pathData} L ${chartWidth} ${chartHeight} L 0 ${chartHeight} Z`;
+    const fillPathData = segments.map((segment) => {
+        const first = segment[0];
+        const last = segment[segment.length - 1];
+        return `${createSmoothPath(segment)} L ${last.x} ${chartHeight} L ${first.x} ${chartHeight} Z`;
+    }).join(' ');
     const fillPath = createSVGElement('path', {
         d: fillPathData,
         fill: `url(#gradient-${containerId})`,
@@ -594,25 +701,6 @@ function renderLineChart(containerId, data, options = {}) {
 
     // Add data points - LARGER
     points.forEach((point, index) => {
-        const circle = createSVGElement('circle', {
-            cx: point.x,
-            cy: point.y,
-            r: point.isMissing ? 4 : 7,
-            fill: point.isMissing ? 'rgba(255,255,255,0.3)' : color,
-            stroke: point.isMissing ? 'rgba(255,255,255,0.45)' : 'rgba(255,255,255,0.28)',
-            'stroke-width': point.isMissing ? 1 : 1.4,
-            filter: 'none',
-            class: 'chart-point',
-            style: 'cursor: pointer; opacity: 0; -webkit-animation-delay: ' + (index * staggerDelay) + 's; animation-delay: ' + (index * staggerDelay) + 's;'
-        });
-
-        circle.addEventListener('mouseenter', (e) => {
-            showTooltip(e, data[index], metric, containerId);
-        });
-        circle.addEventListener('mouseleave', hideTooltip);
-
-        chartGroup.appendChild(circle);
-
         // X-axis label (date)
         if (data.length <= 31) {
             const labelX = point.x;
@@ -641,6 +729,27 @@ function renderLineChart(containerId, data, options = {}) {
             dateLabel.textContent = formatDate(data[index].date, 'MMM DD');
             chartGroup.appendChild(dateLabel);
         }
+
+        if (point.isMissing) return;
+
+        const circle = createSVGElement('circle', {
+            cx: point.x,
+            cy: point.y,
+            r: 7,
+            fill: color,
+            stroke: 'rgba(255,255,255,0.28)',
+            'stroke-width': 1.4,
+            filter: 'none',
+            class: 'chart-point',
+            style: 'cursor: pointer; opacity: 0; -webkit-animation-delay: ' + (index * staggerDelay) + 's; animation-delay: ' + (index * staggerDelay) + 's;'
+        });
+
+        circle.addEventListener('mouseenter', (e) => {
+            showTooltip(e, data[index], metric, containerId);
+        });
+        circle.addEventListener('mouseleave', hideTooltip);
+
+        chartGroup.appendChild(circle);
     });
 
     svg.appendChild(chartGroup);
@@ -701,18 +810,16 @@ function showTooltip(event, entry, metric, containerId) {
 
     let content = `<div style="margin-bottom: 4px; color: #EDBFE7; font-weight: bold;">${formatDate(entry.date, 'MMM DD')}</div>`;
 
-    if (metric === 'energy' || metric === 'mood') {
-        const highest = entry[metric]?.highest || 4;
-        const lowest = entry[metric]?.lowest || 4;
-        content += `<div>Highest: ${highest}/7</div>`;
-        content += `<div>Lowest: ${lowest}/7</div>`;
+    const definition = getMetricDefinition(metric);
+    const scale = _getChartScale(metric);
+    if (definition ? definition.range : (metric === 'energy' || metric === 'mood')) {
+        const highest = entry[metric]?.highest ?? scale.baseline;
+        const lowest = entry[metric]?.lowest ?? scale.baseline;
+        content += `<div>Highest: ${highest}/${scale.max}</div>`;
+        content += `<div>Lowest: ${lowest}/${scale.max}</div>`;
     } else {
-        const value = entry[metric] || 4;
-        content += `<div>Level: ${value}/7</div>`;
-    }
-
-    if (entry.isMissing) {
-        content += `<div style="color: #8E95C5; font-size: 11px; margin-top: 4px;">No data</div>`;
+        const value = entry[metric] ?? scale.baseline;
+        content += `<div>Level: ${value}/${scale.max}</div>`;
     }
 
     tooltip.innerHTML = content;
@@ -1193,9 +1300,10 @@ function renderPieChart(containerId, data, field) {
 }
 
 /**
- * Render horizontal bar chart for sleep hours (timeline based)
+ * Render horizontal bar chart for sleep hours (timeline based). Each row is a
+ * sleep day, drawn from 18:00 the evening before to 18:00.
  * @param {string} containerId - ID of container element
- * @param {Array} data - Array of data entries with sleep arrays
+ * @param {Array} data - Array of day entries
  */
 function renderSleepBarChart(containerId, data) {
     var container = document.getElementById(containerId);
@@ -1209,13 +1317,6 @@ function renderSleepBarChart(containerId, data) {
     }
 
     // Process sleep data — aggregate for longer periods
-    function formatMinutesToTime(totalMinutes) {
-        var m = ((Math.round(totalMinutes) % 1440) + 1440) % 1440;
-        var hh = Math.floor(m / 60);
-        var mm = m % 60;
-        return String(hh).padStart(2, '0') + ':' + String(mm).padStart(2, '0');
-    }
-
     var _slPeriod = (typeof AnalyticsState !== 'undefined') ? AnalyticsState.currentPeriod : 'week';
     var sleepDataProcessed;
     if (_slPeriod === 'year') {
@@ -1226,29 +1327,26 @@ function renderSleepBarChart(containerId, data) {
         sleepDataProcessed = [];
         for (var i = 0; i < data.length; i++) {
             var entry = data[i];
-            if (!entry.isMissing && entry.sleep && Array.isArray(entry.sleep)) {
-                var analysis = analyzeSleepData(entry.sleep);
+            if (!entry.isMissing) {
+                var analysis = analyzeSleepData(getEntrySleepSessions(entry), entry.date);
                 if (analysis.duration > 0) {
-                    var segments = Array.isArray(analysis.periods)
-                        ? analysis.periods.map(function(period) {
-                            return {
-                                startMinutes: period.start * 30,
-                                endMinutes: (period.end + 1) * 30
-                            };
-                        })
-                        : [];
-                    var segmentRanges = segments.map(function(seg) {
-                        return formatMinutesToTime(seg.startMinutes) + '-' + formatMinutesToTime(seg.endMinutes);
-                    });
+                    var toSegment = function(period) {
+                        return { startMinutes: period.startOffset, endMinutes: period.endOffset };
+                    };
+                    var sleepPeriods = analysis.periods.filter(function(period) { return period.type !== 'awake'; });
                     sleepDataProcessed.push({
                         date: entry.date,
                         duration: analysis.duration,
                         bedtime: analysis.bedtime,
                         wakeTime: analysis.wakeTime,
-                        segments: segments,
-                        segmentRanges: segmentRanges,
-                        bedtimeMinutes: timeToMinutes(analysis.bedtime),
-                        wakeTimeMinutes: timeToMinutes(analysis.wakeTime)
+                        segments: sleepPeriods.map(toSegment),
+                        awakeSegments: analysis.periods.filter(function(period) { return period.type === 'awake'; }).map(toSegment),
+                        segmentRanges: sleepPeriods.map(function(period) {
+                            return period.start.slice(11) + '-' + period.end.slice(11);
+                        }),
+                        bedtimeMinutes: analysis.bedtimeOffset,
+                        wakeTimeMinutes: analysis.wakeOffset,
+                        quality: _getSleepQuality(entry)
                     });
                 }
             }
@@ -1297,15 +1395,9 @@ function renderSleepBarChart(containerId, data) {
         transform: 'translate(' + padding.left + ', ' + padding.top + ')'
     });
 
-    // 24-hour timeline (00:00 to 24:00)
+    // 24-hour timeline from the sleep day's start (18:00 the evening before)
     var hoursInDay = 24;
 
-    // Helper function to convert time to minutes
-    function timeToMinutes(timeStr) {
-        var parts = timeStr.split(':');
-        return parseInt(parts[0]) * 60 + parseInt(parts[1]);
-    }
-
     // Calculate stagger delay to fit animation within fixed duration (1.2s total)
     var totalAnimationDuration = 1.2; // seconds
     var sleepStaggerDelay = sleepDataProcessed.length > 1 ? totalAnimationDuration / sleepDataProcessed.length : 0;
@@ -1340,16 +1432,14 @@ function renderSleepBarChart(containerId, data) {
             : [{ startMinutes: item.bedtimeMinutes, endMinutes: item.wakeTimeMinutes }];
         var drawSegments = [];
 
+        // Sessions outside the sleep day (e.g. a late nap) are clipped to it
         for (var s = 0; s < rawSegments.length; s++) {
             var seg = rawSegments[s];
-            var segStart = Number(seg.startMinutes);
-            var segEnd = Number(seg.endMinutes);
+            var segStart = Math.max(0, Number(seg.startMinutes));
+            var segEnd = Math.min(dayMinutes, Number(seg.endMinutes));
             if (!Number.isFinite(segStart) || !Number.isFinite(segEnd)) continue;
             if (segEnd > segStart) {
                 drawSegments.push({ startMinutes: segStart, endMinutes: segEnd });
-            } else if (segEnd < segStart) {
-                drawSegments.push({ startMinutes: segStart, endMinutes: dayMinutes });
-                drawSegments.push({ startMinutes: 0, endMinutes: segEnd });
             }
         }
 
@@ -1386,6 +1476,9 @@ function renderSleepBarChart(containerId, data) {
                     } else {
                         tooltipText += '<br>Bedtime: ' + itemData.bedtime + '<br>Wake: ' + itemData.wakeTime;
                     }
+                    if (itemData.quality != null) {
+                        tooltipText += '<br>Quality: ' + formatSleepQuality(itemData.quality) + ' / ' + SLEEP_QUALITY_MAX;
+                    }
                     showSleepTooltip(e, tooltipText);
                 });
                 sleepBar.addEventListener('mouseleave', hideTooltip);
@@ -1394,6 +1487,23 @@ function renderSleepBarChart(containerId, data) {
             chartGroup.appendChild(sleepBar);
         }
 
+        // Time lying awake in bed shows as a lighter band over the sleep bar
+        var awakeSegments = Array.isArray(item.awakeSegments) ? item.awakeSegments : [];
+        for (var aw = 0; aw < awakeSegments.length; aw++) {
+            var awakeStart = Math.max(0, awakeSegments[aw].startMinutes);
+            var awakeEnd = Math.min(dayMinutes, awakeSegments[aw].endMinutes);
+            if (awakeEnd <= awakeStart) continue;
+            chartGroup.appendChild(createSVGElement('rect', {
+                x: (awakeStart / dayMinutes) * chartWidth,
+                y: sleepOuterY + sleepOuterH / 2 - 4,
+                width: ((awakeEnd - awakeStart) / dayMinutes) * chartWidth,
+                height: 8,
+                rx: 4,
+                fill: 'rgba(244,227,179,0.55)',
+                class: 'chart-sleep-awake'
+            }));
+        }
+
         // Date label (left side)
         var dateLabel = createSVGElement('text', {
             x: -10,
@@ -1405,10 +1515,11 @@ function renderSleepBarChart(containerId, data) {
         dateLabel.textContent = formatDate(item.date, 'MMM DD');
         chartGroup.appendChild(dateLabel);
 
-        // Duration label (right side)
+        // Duration label (right side), with the night's quality rating under it
+        var hasQuality = item.quality != null;
         var durationLabel = createSVGElement('text', {
             x: chartWidth + 10,
-            y: y + barHeight / 2 + 5,
+            y: y + barHeight / 2 + (hasQuality ? -3 : 5),
             fill: '#A7ADD9',
             'font-size': '14',
             'text-anchor': 'start'
@@ -1416,6 +1527,19 @@ function renderSleepBarChart(containerId, data) {
         durationLabel.textContent = item.duration.toFixed(1) + 'h';
         chartGroup.appendChild(durationLabel);
 
+        if (hasQuality) {
+            var qualityLabel = createSVGElement('text', {
+                x: chartWidth + 10,
+                y: y + barHeight / 2 + 15,
+                fill: getSleepQualityColor(item.quality),
+                'font-size': '12',
+                'text-anchor': 'start',
+                class: 'chart-sleep-quality'
+            });
+            qualityLabel.textContent = 'Q ' + formatSleepQuality(item.quality) + '/' + SLEEP_QUALITY_MAX;
+            chartGroup.appendChild(qualityLabel);
+        }
+
     }
 
     // X-axis (time scale - every 3 hours)
@@ -1426,7 +1550,7 @@ function renderSleepBarChart(containerId, data) {
             y1: -15,
             x2: x,
             y2: sleepDataProcessed.length * (barHeight + barGap),
-            stroke: h === 0 || h === 12 || h === 24 ? 'rgba(255,255,255,0.1)' : 'rgba(255,255,255,0.05)',
+            stroke: h === 0 || (SLEEP_DAY_START_HOUR + h) % 24 === 0 || h === 24 ? 'rgba(255,255,255,0.1)' : 'rgba(255,255,255,0.05)',
             'stroke-width': h === 0 || h === 24 ? 2 : 1
         });
         chartGroup.appendChild(gridLine);
@@ -1438,7 +1562,7 @@ function renderSleepBarChart(containerId, data) {
             'font-size': '14',
             'text-anchor': 'middle'
         });
-        hourLabel.textContent = String(h).padStart(2, '0') + ':00';
+        hourLabel.textContent = String((SLEEP_DAY_START_HOUR + h) % 24).padStart(2, '0') + ':00';
         chartGroup.appendChild(hourLabel);
     }
 
@@ -1446,6 +1570,157 @@ function renderSleepBarChart(containerId, data) {
     container.appendChild(svg);
 }
 
+/**
+ * Render horizontal bar chart for daily caffeine (mg)
+ * @param {string} containerId - ID of container element
+ * @param {Array} data - Array of data entries with caffeine totals
+ */
+function renderCaffeineBarChart(containerId, data) {
+    var container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (!data || data.length === 0) {
+        container.innerHTML = '<p style="color: #8E95C5; text-align: center; padding: 40px;">No data available for this period.</p>';
+        return;
+    }
+
+    // Group tracked days into buckets — days for week/month, weeks for 3 months, months for a year
+    var _cfPeriod = (typeof AnalyticsState !== 'undefined') ? AnalyticsState.currentPeriod : 'week';
+    var groups = [];
+    var groupIndex = {};
+    for (var i = 0; i < data.length; i++) {
+        var entry = data[i];
+        var key;
+        if (_cfPeriod === 'year') {
+            key = entry.date.substring(0, 7) + '-01';
+        } else if (_cfPeriod === '3months') {
+            key = data[i - (i % 7)].date;
+        } else {
+            key = entry.date;
+        }
+        if (groupIndex[key] === undefined) {
+            groupIndex[key] = groups.length;
+            groups.push({ date: key, values: [] });
+        }
+        if (!entry.isMissing) {
+            var mg = Number(entry.caffeine);
+            groups[groupIndex[key]].values.push(Number.isFinite(mg) && mg > 0 ? mg : 0);
+        }
+    }
+
+    var caffeineDataProcessed = groups
+        .filter(function(group) { return group.values.length > 0; })
+        .map(function(group) {
+            var total = group.values.reduce(function(s, v) { return s + v; }, 0);
+            return { date: group.date, mg: total / group.values.length, days: group.values.length };
+        });
+
+    if (caffeineDataProcessed.length === 0) {
+        container.innerHTML = '<p style="color: #8E95C5; text-align: center; padding: 40px;">No caffeine recorded in this period.</p>';
+        return;
+    }
+
+    var width = 1000;
+    var barHeight = 40;
+    var barGap = 12;
+    var padding = { top: 20, right: 115, bottom: 20, left: 95 };
+    var height = padding.top + padding.bottom + (caffeineDataProcessed.length * (barHeight + barGap));
+    var chartWidth = width - padding.left - padding.right;
+    var maxMg = Math.max(400, Math.max.apply(null, caffeineDataProcessed.map(function(item) { return item.mg; })));
+
+    var svg = createSVGElement('svg', {
+        viewBox: '0 0 ' + width + ' ' + height,
+        class: 'chart-svg'
+    });
+
+    var defs = createSVGElement('defs');
+    var caffeineGradient = createSVGElement('linearGradient', {
+        id: 'caffeineGradient-' + containerId,
+        x1: '0%',
+        y1: '0%',
+        x2: '100%',
+        y2: '0%'
+    });
+    caffeineGradient.innerHTML = '<stop offset="0%" style="stop-color:rgba(244,227,179,0.7);stop-opacity:1" />' +
+                                 '<stop offset="100%" style="stop-color:rgba(237,191,231,0.9);stop-opacity:1" />';
+    defs.appendChild(caffeineGradient);
+    svg.appendChild(defs);
+
+    var chartGroup = createSVGElement('g', {
+        transform: 'translate(' + padding.left + ', ' + padding.top + ')'
+    });
+
+    var totalAnimationDuration = 1.2; // seconds
+    var caffeineStaggerDelay = caffeineDataProcessed.length > 1 ? totalAnimationDuration / caffeineDataProcessed.length : 0;
+
+    for (var j = 0; j < caffeineDataProcessed.length; j++) {
+        var item = caffeineDataProcessed[j];
+        var y = j * (barHeight + barGap);
+
+        chartGroup.appendChild(createSVGElement('rect', {
+            x: 0,
+            y: y,
+            width: chartWidth,
+            height: barHeight,
+            fill: 'rgba(255,255,255,0.02)',
+            stroke: 'rgba(255,255,255,0.05)',
+            'stroke-width': 1,
+            rx: 16,
+            ry: 16
+        }));
+
+        if (item.mg > 0) {
+            var caffeineBar = createSVGElement('rect', {
+                x: 0,
+                y: y + 2,
+                width: Math.max((item.mg / maxMg) * chartWidth, 12),
+                height: barHeight - 4,
+                fill: 'url(#caffeineGradient-' + containerId + ')',
+                rx: 18,
+                ry: 18,
+                class: 'chart-sleep-bar',
+                style: 'cursor: pointer; opacity: 0; -webkit-animation-delay: ' + (j * caffeineStaggerDelay) + 's; animation-delay: ' + (j * caffeineStaggerDelay) + 's;'
+            });
+
+            (function(itemData) {
+                caffeineBar.addEventListener('mouseenter', function(e) {
+                    var tooltipText = itemData.date + '<br>' + 'Caffeine: ' + Math.round(itemData.mg) + ' mg';
+                    if (itemData.days > 1) tooltipText += '<br>Average of ' + itemData.days + ' days';
+                    showSleepTooltip(e, tooltipText);
+                });
+                caffeineBar.addEventListener('mouseleave', hideTooltip);
+            })(item);
+
+            chartGroup.appendChild(caffeineBar);
+        }
+
+        var dateLabel = createSVGElement('text', {
+            x: -10,
+            y: y + barHeight / 2 + 5,
+            fill: '#A7ADD9',
+            'font-size': '13',
+            'text-anchor': 'end'
+        });
+        dateLabel.textContent = formatDate(item.date, 'MMM DD');
+        chartGroup.appendChild(dateLabel);
+
+        var mgLabel = createSVGElement('text', {
+            x: chartWidth + 10,
+            y: y + barHeight / 2 + 5,
+            fill: '#A7ADD9',
+            'font-size': '14',
+            'text-anchor': 'start'
+        });
+        mgLabel.textContent = Math.round(item.mg) + ' mg';
+        chartGroup.appendChild(mgLabel);
+    }
+
+    svg.appendChild(chartGroup);
+    container.appendChild(svg);
+}
+
 /**
  * Show tooltip for sleep chart
  */
@@ -0,0 +1,360 @@
+// Analytics Correlations
+// Pearson/Spearman correlations between daily series, with sample sizes,
+// 95% confidence intervals and lags (x on an earlier day than y)
+
+// Results with fewer paired days than this are not shown
+var CORRELATION_MIN_SAMPLES = 10;
+// Yes/no factors (caffeine, an activity) need this many days on each side
+var CORRELATION_MIN_GROUP = 5;
+var CORRELATION_MAX_LAG = 2;
+// Expected share of false findings among the listed ones (Benjamini-Hochberg)
+var CORRELATION_FDR = 0.05;
+
+/**
+ * Average ranks (ties share their mean rank), for Spearman
+ */
+function rankValues(values) {
+    var order = values.map(function(value, index) { return { value: value, index: index }; })
+        .sort(function(a, b) { return a.value - b.value; });
+    var ranks = new Array(values.length);
+    for (var i = 0; i < order.length;) {
+        var j = i;
+        while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+        for (var k = i; k <= j; k++) ranks[order[k].index] = (i + j) / 2 + 1;
+        i = j + 1;
+    }
+    return ranks;
+}
+
+/**
+ * 95% confidence interval for a correlation via the Fisher z transform.
+ * Spearman uses the Fieller et al. standard error.
+ * @returns {Array|null} - [low, high]
+ */
+function correlationInterval(r, n, method) {
+    if (r == null || n < 4) return null;
+    var clamped = Math.max(-0.999999, Math.min(0.999999, r));
+    var z = 0.5 * Math.log((1 + clamped) / (1 - clamped));
+    var se = Math.sqrt((method === 'spearman' ? 1.06 : 1) / (n - 3));
+    return [Math.tanh(z - 1.96 * se), Math.tanh(z + 1.96 * se)];
+}
+
+/**
+ * Upper tail of the standard normal distribution (erfc approximation,
+ * fractional error below 1.2e-7)
+ */
+function normalUpperTail(z) {
+    var x = Math.abs(z) / Math.SQRT2;
+    var t = 1 / (1 + 0.5 * x);
+    var erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return z >= 0 ? erfc / 2 : 1 - erfc / 2;
+}
+
+/**
+ * Two-sided p-value for r = 0, on the same Fisher z scale as the interval
+ */
+function correlationPValue(r, n, method) {
+    if (r == null || n < 4) return null;
+    var clamped = Math.max(-0.999999, Math.min(0.999999, r));
+    var z = 0.5 * Math.log((1 + clamped) / (1 - clamped));
+    var se = Math.sqrt((method === 'spearman' ? 1.06 : 1) / (n - 3));
+    return Math.min(1, 2 * normalUpperTail(Math.abs(z) / se));
+}
+
+/**
+ * Benjamini-Hochberg adjusted p-values: item.result.q for every item
+ * @param {Array} items - [{ result: { p } }], all tested together
+ */
+function adjustPValues(items) {
+    var order = items.slice().sort(function(a, b) { return a.result.p - b.result.p; });
+    var q = 1;
+    for (var i = order.length - 1; i >= 0; i--) {
+        q = Math.min(q, order[i].result.p * order.length / (i + 1));
+        order[i].result.q = q;
+    }
+}
+
+/**
+ * Correlate two equally long arrays; pairs with a missing side are dropped
+ * @param {Array} xs - First values (null for missing)
+ * @param {Array} ys - Second values (null for missing)
+ * @param {string} method - 'pearson' or 'spearman'
+ * @param {number} minSamples - Fewer pairs than this are suppressed
+ * @returns {Object} - { method, n, r, low, high, p, significant, suppressed }
+ */
+function computeCorrelation(xs, ys, method, minSamples) {
+    var x = [];
+    var y = [];
+    for (var i = 0; i < xs.length; i++) {
+        if (typeof xs[i] === 'number' && isFinite(xs[i]) && typeof ys[i] === 'number' && isFinite(ys[i])) {
+            x.push(xs[i]);
+            y.push(ys[i]);
+        }
+    }
+
+    var result = {
+        method: method,
+        n: x.length,
+        r: null,
+        low: null,
+        high: null,
+        p: null,
+        significant: false,
+        suppressed: x.length < Math.max(4, minSamples || CORRELATION_MIN_SAMPLES)
+    };
+    if (result.suppressed) return result;
+
+    var r = method === 'spearman'
+        ? calculateCorrelation(rankValues(x), rankValues(y))
+        : calculateCorrelation(x, y);
+    if (r == null) return result; // one side never changes
+
+    var interval = correlationInterval(r, x.length, method);
+    result.r = r;
+    result.low = interval[0];
+    result.high = interval[1];
+    result.p = correlationPValue(r, x.length, method);
+    result.significant = interval[0] > 0 || interval[1] < 0;
+    return result;
+}
+
+function shiftDateKey(date, days) {
+    var d = parseDate(date);
+    d.setDate(d.getDate() + days);
+    return formatDate(d, 'YYYY-MM-DD');
+}
+
+/**
+ * Most common tags (activities, people) that have enough days with and without them
+ */
+function getFrequentTags(entries, field, limit) {
+    var counts = {};
+    entries.forEach(function(entry) {
+        if (!Array.isArray(entry[field])) return;
+        entry[field].forEach(function(tag) {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+    return Object.keys(counts)
+        .filter(function(tag) {
+            return counts[tag] >= CORRELATION_MIN_GROUP && entries.length - counts[tag] >= CORRELATION_MIN_GROUP;
+        })
+        .sort(function(a, b) { return counts[b] - counts[a]; })
+        .slice(0, limit);
+}
+
+/**
+ * One value per tracked day for every variable that can be correlated.
+ * Range metrics use the midpoint of the day's highest and lowest, so the two
+ * are never tested against each other.
+ * @param {Array} data - Day entries (missing days are ignored)
+ * @returns {Array} - [{ id, label, values: { 'YYYY-MM-DD': number } }]
+ */
+function buildCorrelationVariables(data) {
+    var entries = (data || []).filter(function(entry) { return !entry.isMissing && entry.date; });
+
+    function series(id, label, read) {
+        var values = {};
+        entries.forEach(function(entry) {
+            var value = read(entry);
+            if (value != null && isFinite(value)) values[entry.date] = value;
+        });
+        return { id: id, label: label, values: values };
+    }
+
+    var variables = getMetricSchema().map(function(metric) {
+        return series('metric:' + metric.id, metric.label, function(entry) {
+            if (!metric.range) return readMetricEntryValue(entry, metric.id, null);
+            var high = readMetricEntryValue(entry, metric.id, 'highest');
+            var low = readMetricEntryValue(entry, metric.id, 'lowest');
+            return high == null || low == null ? null : (high + low) / 2;
+        });
+    });
+
+    // A day's sleep sessions are the night that ended that morning
+    variables.push(series('sleep', 'Sleep (night before)', getEntrySleepHours));
+    variables.push(series('sleepQuality', 'Sleep quality (night before)', function(entry) {
+        var details = getEntrySleepDetails(entry);
+        return details ? details.quality : null;
+    }));
+    variables.push(series('caffeine', 'Caffeine', function(entry) {
+        return typeof entry.caffeine === 'number' ? entry.caffeine : null;
+    }));
+
+    getFrequentTags(entries, 'activities', 3).forEach(function(activity) {
+        variables.push(series('activity:' + activity, activity, function(entry) {
+            return Array.isArray(entry.activities) && entry.activities.indexOf(activity) !== -1 ? 1 : 0;
+        }));
+    });
+    getFrequentTags(entries, 'people', 3).forEach(function(person) {
+        variables.push(series('person:' + person, person, function(entry) {
+            return Array.isArray(entry.people) && entry.people.indexOf(person) !== -1 ? 1 : 0;
+        }));
+    });
+
+    return variables.filter(function(variable) { return Object.keys(variable.values).length > 0; });
+}
+
+/**
+ * Correlate x on day D - lag with y on day D, for each D in dates
+ */
+function correlateVariables(x, y, lag, dates, method, minSamples) {
+    var xs = dates.map(function(date) {
+        var value = x.values[lag ? shiftDateKey(date, -lag) : date];
+        return value === undefined ? null : value;
+    });
+    var ys = dates.map(function(date) {
+        return y.values[date] === undefined ? null : y.values[date];
+    });
+    return computeCorrelation(xs, ys, method, minSamples);
+}
+
+/**
+ * Every pair at every lag, tested together: only pairs that stay significant
+ * after the Benjamini-Hochberg correction are returned. A variable is never
+ * paired with itself, and same-day pairs are tested once.
+ * @returns {Array} - [{ x, y, lag, result }], strongest first
+ */
+function findCorrelationRelationships(variables, dates, method, minSamples) {
+    var tested = [];
+    for (var lag = 0; lag <= CORRELATION_MAX_LAG; lag++) {
+        variables.forEach(function(y, rowIndex) {
+            variables.forEach(function(x, columnIndex) {
+                if (x.id === y.id || (!lag && columnIndex > rowIndex)) return;
+                var result = correlateVariables(x, y, lag, dates, method, minSamples);
+                if (result.p != null) tested.push({ x: x, y: y, lag: lag, result: result });
+            });
+        });
+    }
+    adjustPValues(tested);
+    return tested
+        .filter(function(item) { return item.result.significant && item.result.q <= CORRELATION_FDR; })
+        .sort(function(a, b) { return Math.abs(b.result.r) - Math.abs(a.result.r); });
+}
+
+function formatCorrelationValue(value) {
+    return (value < 0 ? '&minus;' : '') + Math.abs(value).toFixed(2);
+}
+
+function describeCorrelationResult(result, minSamples) {
+    if (result.suppressed) return 'only ' + result.n + ' paired day' + (result.n === 1 ? '' : 's') + ' (need ' + minSamples + ')';
+    if (result.r == null) return 'no variation (n = ' + result.n + ')';
+    return (result.method === 'spearman' ? '&rho;' : 'r') + ' = ' + formatCorrelationValue(result.r) +
+        ', 95% CI ' + formatCorrelationValue(result.low) + ' to ' + formatCorrelationValue(result.high) +
+        ', n = ' + result.n;
+}
+
+function getLaggedLabel(variable, lag) {
+    if (!lag) return variable.label;
+    return variable.label + ' (' + lag + ' day' + (lag === 1 ? '' : 's') + ' earlier)';
+}
+
+/**
+ * Render Correlations tab content
+ */
+function renderCorrelationTab(container, data) {
+    var options = AnalyticsState.correlationOptions;
+    var variables = buildCorrelationVariables(AnalyticsState.cachedData);
+    // Only the selected period's days count as y; x may reach back before it
+    var start = data.length ? data[0].date : '';
+    var end = data.length ? data[data.length - 1].date : '';
+    var dates = data.filter(function(entry) { return !entry.isMissing; }).map(function(entry) { return entry.date; })
+        .filter(function(date) { return date >= start && date <= end; });
+
+    var findings = findCorrelationRelationships(variables, dates, options.method, options.minSamples);
+    var rows = variables.map(function(y, rowIndex) {
+        var cells = variables.map(function(x, columnIndex) {
+            if (!options.lag && rowIndex === columnIndex) return '<td class="correlation-cell correlation-cell-self"></td>';
+            var result = correlateVariables(x, y, options.lag, dates, options.method, options.minSamples);
+            var title = escapeMetricText(getLaggedLabel(x, options.lag) + ' vs ' + y.label) + ': ' + describeCorrelationResult(result, options.minSamples);
+            if (result.suppressed || result.r == null) {
+                return '<td class="correlation-cell correlation-cell-empty" title="' + title + '">&middot;</td>';
+            }
+            var rgb = result.r > 0 ? '197,230,168' : '237,160,170';
+            return '<td class="correlation-cell' + (result.significant ? '' : ' correlation-cell-weak') + '"' +
+                ' style="background: rgba(' + rgb + ',' + (Math.abs(result.r) * 0.55).toFixed(2) + ')"' +
+                ' title="' + title + '">' +
+                formatCorrelationValue(result.r) + '</td>';
+        }).join('');
+        return '<tr><th scope="row">' + escapeMetricText(y.label) + '</th>' + cells + '</tr>';
+    }).join('');
+
+    var variableById = {};
+    variables.forEach(function(variable) { variableById[variable.id] = variable; });
+    // Fixed lagged checks: last night's sleep vs today, today's caffeine vs tonight's sleep
+    var lagged = [];
+    if (variableById.sleep) {
+        getMetricSchema().forEach(function(metric) {
+            var y = variableById['metric:' + metric.id];
+            if (y) lagged.push({ label: 'Last night\'s sleep &rarr; today\'s ' + escapeMetricText(metric.label.toLowerCase()), result: correlateVariables(variableById.sleep, y, 0, dates, options.method, options.minSamples) });
+        });
+        if (variableById.caffeine) {
+            lagged.push({ label: 'Today\'s caffeine &rarr; tonight\'s sleep', result: correlateVariables(variableById.caffeine, variableById.sleep, 1, dates, options.method, options.minSamples) });
+        }
+    }
+
+    var select = function(id, key, choices) {
+        return '<select id="' + id + '" onchange="updateCorrelationOption(\'' + key + '\', this.value)">' +
+            choices.map(function(choice) {
+                return '<option value="' + choice[0] + '"' + (String(options[key]) === String(choice[0]) ? ' selected' : '') + '>' + choice[1] + '</option>';
+            }).join('') +
+        '</select>';
+    };
+    var lagChoices = [[0, 'Same day']];
+    for (var lag = 1; lag <= CORRELATION_MAX_LAG; lag++) lagChoices.push([lag, 'Column ' + lag + ' day' + (lag === 1 ? '' : 's') + ' earlier']);
+
+    container.innerHTML =
+        '<div class="chart-wrapper">' +
+            '<div class="print-form-grid correlation-controls">' +
+                '<div class="print-form-field"><label for="correlationMethodSelect">Method</label>' +
+                    select('correlationMethodSelect', 'method', [['spearman', 'Spearman (ranks)'], ['pearson', 'Pearson (linear)']]) + '</div>' +
+                '<div class="print-form-field"><label for="correlationLagSelect">Lag</label>' +
+                    select('correlationLagSelect', 'lag', lagChoices) + '</div>' +
+                '<div class="print-form-field"><label for="correlationMinSelect">Minimum days</label>' +
+                    select('correlationMinSelect', 'minSamples', [[5, '5'], [10, '10'], [20, '20'], [30, '30']]) + '</div>' +
+            '</div>' +
+            (variables.length < 2
+                ? '<p style="color: #888; font-style: italic;">Not enough tracked values to compare yet.</p>'
+                : '<div class="correlation-matrix-wrap"><table class="correlation-matrix">' +
+                    '<thead><tr><th></th>' + variables.map(function(x) {
+                        return '<th scope="col">' + escapeMetricText(getLaggedLabel(x, options.lag)) + '</th>';
+                    }).join('') + '</tr></thead>' +
+                    '<tbody>' + rows + '</tbody></table></div>') +
+            '<p class="correlation-note">Cells show the correlation between the column on ' +
+                (options.lag ? options.lag + ' day' + (options.lag === 1 ? '' : 's') + ' earlier' : 'the same day') +
+                ' and the row. Faded cells have a 95% confidence interval that includes zero; dots have fewer than ' +
+                options.minSamples + ' paired days. Correlation does not show cause.</p>' +
+        '</div>' +
+        '<div class="chart-wrapper"><div class="insights-section">' +
+            '<h4 class="insights-title">Clearest Relationships</h4>' +
+            (findings.length
+                ? '<div class="insights-list">' + findings.slice(0, 8).map(function(finding) {
+                    return '<div class="insight-item">&bull; <strong>' + escapeMetricText(getLaggedLabel(finding.x, finding.lag)) +
+                        '</strong> and <strong>' + escapeMetricText(finding.y.label) + '</strong> move ' +
+                        (finding.result.r > 0 ? 'together' : 'in opposite directions') +
+                        ' (' + describeCorrelationResult(finding.result, options.minSamples) + ')</div>';
+                }).join('') + '</div>'
+                : '<p style="color: #888; font-style: italic;">No relationship is clear enough in this period. Longer periods give more paired days.</p>') +
+            '<p class="correlation-note">Every pair is tested at every lag; these stay clear after a Benjamini&ndash;Hochberg correction ' +
+                'at a ' + Math.round(CORRELATION_FDR * 100) + '% false discovery rate. Matrix cells are not corrected.</p>' +
+        '</div></div>' +
+        (lagged.length
+            ? '<div class="chart-wrapper"><div class="insights-section">' +
+                '<h4 class="insights-title">Lagged Checks</h4>' +
+                '<div class="insights-list">' + lagged.map(function(item) {
+                    return '<div class="insight-item">&bull; <strong>' + item.label + ':</strong> ' +
+                        describeCorrelationResult(item.result, options.minSamples) + '</div>';
+                }).join('') + '</div>' +
+            '</div></div>'
+            : '');
+}
+
+function updateCorrelationOption(key, value) {
+    AnalyticsState.correlationOptions[key] = key === 'method' ? value : Number(value);
+    renderCurrentView();
+}
+
+window.renderCorrelationTab = renderCorrelationTab;
+window.updateCorrelationOption = updateCorrelationOption;
@@ -0,0 +1,203 @@
+// Analytics Export
+// Dumps day entries as a versioned JSON archive or a flat CSV (one row per day)
+
+var EXPORT_ARCHIVE_FORMAT = 'everything-tracker-export';
+var EXPORT_ARCHIVE_VERSION = 1;
+
+// Fields that only make sense inside Firestore and are not exported
+var EXPORT_OMIT_FIELDS = ['userId', 'userEmail', 'timestamp', 'history', 'editedAt', 'editedBy', 'editedDevice'];
+
+// Metric columns (energy_high, anxiety, ...) come from the metric schema and sit between these
+var EXPORT_CSV_LEADING_COLUMNS = ['date', 'bedtime', 'wake_time', 'sleep_hours', 'sleep_quality', 'sleep_latency_min', 'awakenings'];
+var EXPORT_CSV_TRAILING_COLUMNS = ['caffeine_mg', 'note', 'note_tags', 'photo_urls'];
+
+/**
+ * One CSV column per metric input: range metrics get <id>_high and <id>_low
+ * @returns {Array} - [{ column, metricId, part, label }]
+ */
+function getMetricCsvColumns() {
+    return getMetricInputFields().map(function(field) {
+        var snake = field.metricId.replace(/([A-Z])/g, '_$1').toLowerCase();
+        var suffix = field.part === 'highest' ? '_high' : field.part === 'lowest' ? '_low' : '';
+        return {
+            column: snake + suffix,
+            metricId: field.metricId,
+            part: field.part,
+            label: field.part ? field.metric.label + (field.part === 'highest' ? ' high' : ' low') : field.metric.label
+        };
+    });
+}
+
+/**
+ * Render Export tab content
+ */
+function renderExportTab(container) {
+    var range = AnalyticsState.exportRange || getDefaultExportRange();
+    container.innerHTML =
+        '<div class="chart-wrapper animate-in">' +
+            '<div class="print-panel">' +
+                '<h3>Export Data</h3>' +
+                '<p class="print-panel-note">Download every tracked day in the chosen range. JSON keeps the full entries and can be imported back; CSV has one row per day for spreadsheets.</p>' +
+                '<div class="print-form-grid">' +
+                    '<div class="print-form-field">' +
+                        '<label for="exportStartInput">From</label>' +
+                        '<input type="date" id="exportStartInput" value="' + range.start + '">' +
+                    '</div>' +
+                    '<div class="print-form-field">' +
+                        '<label for="exportEndInput">To</label>' +
+                        '<input type="date" id="exportEndInput" value="' + range.end + '">' +
+                    '</div>' +
+                '</div>' +
+                '<div class="export-actions">' +
+                    '<button type="button" class="print-generate-btn" onclick="exportAnalyticsData(\'json\')">Download JSON</button>' +
+                    '<button type="button" class="print-generate-btn" onclick="exportAnalyticsData(\'csv\')">Download CSV</button>' +
+                '</div>' +
+            '</div>' +
+        '</div>';
+}
+
+/**
+ * Default range: first tracked day (or one year back) through today
+ * @returns {Object} - { start, end } as YYYY-MM-DD
+ */
+function getDefaultExportRange() {
+    var end = formatDate(new Date(), 'YYYY-MM-DD');
+    var cached = AnalyticsState.cachedData || [];
+    if (cached.length && cached[0].date) {
+        return { start: cached[0].date, end: end };
+    }
+    var start = new Date();
+    start.setFullYear(start.getFullYear() - 1);
+    return { start: formatDate(start, 'YYYY-MM-DD'), end: end };
+}
+
+/**
+ * Copy an entry without Firestore-only fields; the save time becomes `updatedAt`
+ * @param {Object} entry - Day entry as stored
+ * @returns {Object} - Plain JSON-safe entry
+ */
+function toExportEntry(entry) {
+    var result = {};
+    Object.keys(entry).forEach(function(key) {
+        if (EXPORT_OMIT_FIELDS.indexOf(key) === -1 && key !== 'isMissing') {
+            result[key] = entry[key];
+        }
+    });
+    if (entry.timestamp && typeof entry.timestamp.toDate === 'function') {
+        result.updatedAt = entry.timestamp.toDate().toISOString();
+    }
+    return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Build the versioned JSON archive
+ * @param {Array} entries - Day entries sorted by date
+ * @param {Object} range - { start, end } as YYYY-MM-DD
+ * @returns {Object} - Archive object
+ */
+function buildExportArchive(entries, range) {
+    return {
+        format: EXPORT_ARCHIVE_FORMAT,
+        version: EXPORT_ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        range: { start: range.start, end: range.end },
+        entries: entries.map(toExportEntry)
+    };
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    var text = String(value);
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * Build a flat CSV with one row per day; sleep slots become bedtime/wake/duration
+ * @param {Array} entries - Day entries sorted by date
+ * @returns {string} - CSV text
+ */
+function buildExportCsv(entries) {
+    var metricColumns = getMetricCsvColumns();
+    var header = EXPORT_CSV_LEADING_COLUMNS
+        .concat(metricColumns.map(function(col) { return col.column; }))
+        .concat(EXPORT_CSV_TRAILING_COLUMNS);
+    var rows = [header.join(',')];
+    entries.forEach(function(entry) {
+        var sleep = analyzeSleepData(getEntrySleepSessions(entry), entry.date);
+        var details = getEntrySleepDetails(entry) || {};
+        var row = [
+            entry.date,
+            sleep.bedtime || '',
+            sleep.wakeTime || '',
+            sleep.duration ? sleep.duration : '',
+            details.quality,
+            details.latency,
+            details.awakenings
+        ].concat(metricColumns.map(function(col) {
+            return readMetricEntryValue(entry, col.metricId, col.part);
+        })).concat([
+            entry.caffeine,
+            typeof entry.note === 'string' ? entry.note : '',
+            Array.isArray(entry.noteTags) ? entry.noteTags.join('; ') : '',
+            Array.isArray(entry.photos) ? entry.photos.map(function(photo) { return photo && photo.url; }).filter(Boolean).join('; ') : ''
+        ]);
+        rows.push(row.map(escapeCsvValue).join(','));
+    });
+    return rows.join('\r\n') + '\r\n';
+}
+
+function downloadExportFile(filename, mimeType, text) {
+    var blob = new Blob([text], { type: mimeType });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+}
+
+/**
+ * Export entries in the selected range
+ * @param {string} format - 'json' or 'csv'
+ */
+function exportAnalyticsData(format) {
+    var startInput = document.getElementById('exportStartInput');
+    var endInput = document.getElementById('exportEndInput');
+    var range = {
+        start: startInput ? startInput.value : '',
+        end: endInput ? endInput.value : ''
+    };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(range.start) || !/^\d{4}-\d{2}-\d{2}$/.test(range.end) || range.start > range.end) {
+        alert('Please choose a valid date range.');
+        return;
+    }
+    AnalyticsState.exportRange = range;
+
+    fetchAnalyticsData().then(function() {
+        var entries = (AnalyticsState.cachedData || []).filter(function(entry) {
+            return entry.date >= range.start && entry.date <= range.end;
+        });
+        if (!entries.length) {
+            alert('No entries in this date range.');
+            return;
+        }
+
+        var baseName = 'everything-tracker-' + range.start + '-to-' + range.end;
+        if (format === 'csv') {
+            downloadExportFile(baseName + '.csv', 'text/csv;charset=utf-8', '\uFEFF' + buildExportCsv(entries));
+        } else {
+            var archive = buildExportArchive(entries, range);
+            downloadExportFile(baseName + '.json', 'application/json', JSON.stringify(archive, null, 2));
+        }
+    }).catch(function(error) {
+        console.error('Export failed:', error);
+        alert('Export failed: ' + error.message);
+    });
+}
+
+window.exportAnalyticsData = exportAnalyticsData;
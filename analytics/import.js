@@ -0,0 +1,729 @@
+// Analytics Import
+// Reads an export archive (see export.js), a Daylio CSV export or any CSV with
+// one row per day, previews which days already exist and writes them through
+// the tracker repository
+
+var IMPORT_ACTIONS = ['merge', 'overwrite', 'skip'];
+
+// CSV columns a file can be mapped onto; aliases pick the column automatically.
+// Metric fields are added from the metric schema by getImportCsvFields().
+var IMPORT_CSV_LEADING_FIELDS = [
+    { key: 'date', label: 'Date', aliases: ['date', 'day', 'full_date'] },
+    { key: 'sleepStart', label: 'Sleep start', aliases: ['bedtime', 'sleep_start', 'asleep', 'fell_asleep'] },
+    { key: 'sleepEnd', label: 'Sleep end', aliases: ['wake_time', 'wake', 'sleep_end', 'woke_up'] }
+];
+var IMPORT_CSV_TRAILING_FIELDS = [
+    { key: 'note', label: 'Note', aliases: ['note', 'notes', 'journal'] },
+    { key: 'tags', label: 'Tags', aliases: ['note_tags', 'tags', 'activities'] }
+];
+
+// Daylio exports one row per mood entry; these columns identify the file.
+// Its five default moods, worst first, are spread over the mood metric's scale.
+var IMPORT_DAYLIO_HEADERS = ['full_date', 'mood', 'activities', 'note'];
+var IMPORT_DAYLIO_MOODS = ['awful', 'bad', 'meh', 'good', 'rad'];
+var IMPORT_DAYLIO_METRIC_ID = 'mood';
+
+/**
+ * Mappable fields; metric keys are "<metricId>" or "<metricId>.highest" / ".lowest"
+ * @returns {Array} - [{ key, label, aliases, metricId?, part? }]
+ */
+function getImportCsvFields() {
+    var metricFields = getMetricCsvColumns().map(function(col) {
+        var base = col.column.replace(/_(high|low)$/, '');
+        var aliases = [col.column];
+        if (col.part === 'highest') aliases.push(base + '_highest', base);
+        if (col.part === 'lowest') aliases.push(base + '_lowest');
+        return {
+            key: col.part ? col.metricId + '.' + col.part : col.metricId,
+            label: col.label,
+            aliases: aliases,
+            metricId: col.metricId,
+            part: col.part
+        };
+    });
+    return IMPORT_CSV_LEADING_FIELDS.concat(metricFields, IMPORT_CSV_TRAILING_FIELDS);
+}
+
+/**
+ * Current import in progress:
+ * { fileName, source: 'archive'|'daylio'|'csv', headers, rows, mapping, days, errors, existing, actions, status }
+ */
+var importDraft = null;
+
+function escapeImportHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render Import tab content
+ */
+function renderImportTab(container) {
+    var draft = importDraft;
+    var html =
+        '<div class="chart-wrapper animate-in">' +
+            '<div class="print-panel">' +
+                '<h3>Import Data</h3>' +
+                '<p class="print-panel-note">Bring in a JSON archive from Export, a Daylio CSV export, or a CSV from a spreadsheet with one row per day. You can check every day before anything is saved.</p>' +
+                '<div class="print-form-field">' +
+                    '<label for="importFileInput">File</label>' +
+                    '<input type="file" id="importFileInput" accept=".json,.csv,application/json,text/csv" onchange="handleImportFile(this)">' +
+                '</div>';
+
+    if (draft) {
+        if (draft.fileName) {
+            html += '<p class="import-file-name">' + escapeImportHtml(draft.fileName) + '</p>';
+        }
+        if (draft.source === 'csv') {
+            html += renderImportMapping(draft);
+        }
+        if (draft.days) {
+            html += renderImportPreview(draft);
+        }
+        if (draft.status) {
+            html += '<p class="import-status" id="importStatus">' + escapeImportHtml(draft.status) + '</p>';
+        }
+    }
+
+    html += '</div></div>';
+    container.innerHTML = html;
+}
+
+function renderImportMapping(draft) {
+    var html =
+        '<div class="print-sections-wrap">' +
+            '<div class="print-sections-title">Match your columns</div>' +
+            '<div class="print-form-grid import-mapping-grid">';
+
+    getImportCsvFields().forEach(function(field) {
+        var selected = draft.mapping[field.key];
+        html += '<div class="print-form-field">' +
+            '<label for="importMap_' + field.key + '">' + escapeImportHtml(field.label) + '</label>' +
+            '<select id="importMap_' + field.key + '" onchange="setImportColumn(\'' + field.key + '\', this.value)">' +
+                '<option value="">Not imported</option>';
+        draft.headers.forEach(function(header, index) {
+            html += '<option value="' + index + '"' + (selected === index ? ' selected' : '') + '>' +
+                escapeImportHtml(header || ('Column ' + (index + 1))) + '</option>';
+        });
+        html += '</select></div>';
+    });
+
+    html += '</div>' +
+            '<button type="button" class="print-generate-btn" onclick="previewImportCsv()">Preview ' + draft.rows.length + ' rows</button>' +
+        '</div>';
+    return html;
+}
+
+function renderImportPreview(draft) {
+    var conflicts = 0;
+    draft.days.forEach(function(day) {
+        if (draft.existing[day.date]) conflicts++;
+    });
+
+    var html = '<div class="print-sections-wrap">' +
+        '<div class="print-sections-title">' + draft.days.length + ' days found' +
+            (conflicts ? ', ' + conflicts + ' already tracked' : '') + '</div>';
+
+    if (draft.errors.length) {
+        html += '<ul class="import-errors">';
+        draft.errors.slice(0, 10).forEach(function(error) {
+            html += '<li>' + escapeImportHtml(error) + '</li>';
+        });
+        if (draft.errors.length > 10) {
+            html += '<li>' + (draft.errors.length - 10) + ' more rows skipped</li>';
+        }
+        html += '</ul>';
+    }
+
+    if (conflicts) {
+        html += '<div class="print-form-field import-bulk-action">' +
+            '<label for="importConflictAction">For all days already tracked</label>' +
+            '<select id="importConflictAction" onchange="setImportConflictAction(this.value)">' +
+                '<option value="">Choose per day</option>' +
+                '<option value="merge">Merge - keep fields the file leaves out</option>' +
+                '<option value="overwrite">Overwrite - replace the whole day</option>' +
+                '<option value="skip">Skip - keep what is tracked</option>' +
+            '</select></div>';
+    }
+
+    html += '<div class="import-preview"><table>' +
+        '<thead><tr><th>Date</th><th>From file</th><th>Status</th><th>Action</th></tr></thead><tbody>';
+    draft.days.forEach(function(day) {
+        var isConflict = !!draft.existing[day.date];
+        var action = draft.actions[day.date];
+        html += '<tr class="' + (isConflict ? 'import-conflict' : '') + '">' +
+            '<td>' + day.date + '</td>' +
+            '<td>' + escapeImportHtml(describeImportDay(day.data)) + '</td>' +
+            '<td>' + (isConflict ? 'Already tracked' : 'New') + '</td>' +
+            '<td><select onchange="setImportDayAction(\'' + day.date + '\', this.value)">';
+        IMPORT_ACTIONS.forEach(function(option) {
+            html += '<option value="' + option + '"' + (option === action ? ' selected' : '') + '>' +
+                option.charAt(0).toUpperCase() + option.slice(1) + '</option>';
+        });
+        html += '</select></td></tr>';
+    });
+    html += '</tbody></table></div>';
+
+    html += '<button type="button" class="print-generate-btn" id="importRunBtn" onclick="runImport()"' +
+        (draft.days.length ? '' : ' disabled') + '>Import</button>';
+    return html + '</div>';
+}
+
+/**
+ * Short one-line summary of an imported day for the preview table
+ */
+function describeImportDay(data) {
+    var parts = [];
+    var sleep = analyzeSleepData(getEntrySleepSessions(data), data.date);
+    if (sleep.duration) parts.push('Sleep ' + sleep.duration + 'h');
+    getMetricSchema().forEach(function(metric) {
+        var value = data[metric.id];
+        if (value === undefined || value === null) return;
+        parts.push(metric.label + ' ' + (metric.range ? value.highest + '/' + value.lowest : value));
+    });
+    if (data.caffeine) parts.push(data.caffeine + 'mg caffeine');
+    if (data.note) parts.push('Note');
+    if (data.noteTags && data.noteTags.length) parts.push(data.noteTags.length + ' tags');
+    if (data.activities && data.activities.length) parts.push(data.activities.length + ' activities');
+    return parts.length ? parts.join(' · ') : 'No fields';
+}
+
+function refreshImportTab() {
+    var container = document.getElementById('analyticsContent');
+    if (container && AnalyticsState.currentCategoryTab === 'import') {
+        renderImportTab(container);
+    }
+}
+
+function handleImportFile(input) {
+    var file = input && input.files ? input.files[0] : null;
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function() {
+        var text = String(reader.result || '').replace(/^\uFEFF/, '');
+        try {
+            if (/\.json$/i.test(file.name) || /^\s*\{/.test(text)) {
+                loadImportArchive(file.name, text);
+            } else {
+                loadImportCsv(file.name, text);
+            }
+        } catch (error) {
+            importDraft = { fileName: file.name, status: error.message };
+            refreshImportTab();
+        }
+    };
+    reader.onerror = function() {
+        importDraft = { fileName: file.name, status: 'Could not read this file.' };
+        refreshImportTab();
+    };
+    reader.readAsText(file);
+}
+
+// ===== Archive =====
+
+function loadImportArchive(fileName, text) {
+    var archive;
+    try {
+        archive = JSON.parse(text);
+    } catch (e) {
+        throw new Error('This file is not valid JSON.');
+    }
+    if (!archive || archive.format !== EXPORT_ARCHIVE_FORMAT || !Array.isArray(archive.entries)) {
+        throw new Error('This JSON file is not an Everything Tracker export.');
+    }
+    if (archive.version > EXPORT_ARCHIVE_VERSION) {
+        throw new Error('This export was made by a newer version of the app. Please update first.');
+    }
+
+    var days = [];
+    var errors = [];
+    archive.entries.forEach(function(entry, index) {
+        if (!entry || !isValidImportDate(entry.date)) {
+            errors.push('Entry ' + (index + 1) + ': missing or invalid date');
+            return;
+        }
+        days.push({ date: entry.date, data: entry });
+    });
+
+    importDraft = { fileName: fileName, source: 'archive' };
+    showImportPreview(days, errors);
+}
+
+// ===== CSV =====
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields, doubled quotes,
+ * line breaks inside quotes and comma, semicolon or tab delimiters.
+ * @param {string} text - CSV text
+ * @returns {Array} - Array of rows (arrays of cell strings)
+ */
+function parseImportCsv(text) {
+    var delimiter = detectCsvDelimiter(text);
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var inQuotes = false;
+
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+        if (inQuotes) {
+            if (ch === '"' && text.charAt(i + 1) === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(function(cells) {
+        return cells.some(function(value) { return value.trim() !== ''; });
+    });
+}
+
+function detectCsvDelimiter(text) {
+    var firstLine = text.split(/\r?\n/)[0] || '';
+    var best = ',';
+    var bestCount = 0;
+    [',', ';', '\t'].forEach(function(candidate) {
+        var count = firstLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+function normalizeCsvHeader(header) {
+    return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Pick a column for every field whose alias matches a header
+ * @param {Array} headers - Header row
+ * @returns {Object} - { fieldKey: columnIndex }
+ */
+function guessImportMapping(headers) {
+    var normalized = headers.map(normalizeCsvHeader);
+    var mapping = {};
+    getImportCsvFields().forEach(function(field) {
+        for (var i = 0; i < field.aliases.length; i++) {
+            var index = normalized.indexOf(field.aliases[i]);
+            if (index !== -1) {
+                mapping[field.key] = index;
+                return;
+            }
+        }
+    });
+    return mapping;
+}
+
+function loadImportCsv(fileName, text) {
+    var rows = parseImportCsv(text);
+    if (rows.length < 2) {
+        throw new Error('This CSV file has no rows to import.');
+    }
+    var headers = rows[0].map(function(header) { return header.trim(); });
+    if (isDaylioCsv(headers)) {
+        importDraft = { fileName: fileName, source: 'daylio' };
+        previewImportDaylio(headers, rows.slice(1));
+        return;
+    }
+    importDraft = {
+        fileName: fileName,
+        source: 'csv',
+        headers: headers,
+        rows: rows.slice(1),
+        mapping: guessImportMapping(headers)
+    };
+    refreshImportTab();
+}
+
+function setImportColumn(fieldKey, value) {
+    if (!importDraft || importDraft.source !== 'csv') return;
+    if (value === '') {
+        delete importDraft.mapping[fieldKey];
+    } else {
+        importDraft.mapping[fieldKey] = parseInt(value, 10);
+    }
+}
+
+function getImportFieldLabel(key) {
+    var fields = getImportCsvFields();
+    for (var i = 0; i < fields.length; i++) {
+        if (fields[i].key === key) return fields[i].label;
+    }
+    return key;
+}
+
+function isValidImportDate(value) {
+    return isIsoDateKey(value) && shiftDateString(value, 0) === value;
+}
+
+/**
+ * Read a date cell; a time after the date (e.g. "2024-03-01 21:10") is ignored
+ */
+function parseImportDate(value) {
+    var text = String(value || '').trim();
+    var match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ].*)?$/);
+    return match ? match[1] : text;
+}
+
+/**
+ * Read a clock time as HH:MM; accepts 24h ("23:30") and 12h ("11:30 pm")
+ * @returns {string|null}
+ */
+function parseImportTime(value) {
+    var match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+    var hours = parseInt(match[1], 10);
+    var minutes = match[2] ? parseInt(match[2], 10) : 0;
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+    } else if (!match[2]) {
+        return null;
+    }
+    if (hours > 23 || minutes > 59) return null;
+    return String(hours).padStart(2, '0') + ':' + String(minutes).padStart(2, '0');
+}
+
+/**
+ * Read a value on a metric's scale (e.g. 1-7)
+ * @param {*} value - Cell text
+ * @param {Object} metric - Metric definition with min and max
+ * @returns {number|null|undefined} - undefined for an empty cell, null when out of range
+ */
+function parseImportScale(value, metric) {
+    var text = String(value === undefined ? '' : value).trim();
+    if (text === '') return undefined;
+    var number = Number(text.replace(',', '.'));
+    if (!isFinite(number)) return null;
+    number = Math.round(number);
+    return number >= metric.min && number <= metric.max ? number : null;
+}
+
+function splitImportTags(value) {
+    return String(value || '').split(/[;,|]/).map(function(tag) {
+        return tag.trim();
+    }).filter(Boolean);
+}
+
+/**
+ * Turn one mapped CSV row into entry fields
+ * @param {Array} row - Cell strings
+ * @param {Object} mapping - { fieldKey: columnIndex }
+ * @param {Array} problems - Messages about cells that were left out
+ * @returns {Object} - Entry fields in the saveSymptomsSnapshot shape
+ */
+function buildImportDayFromRow(row, date, mapping, problems) {
+    var cell = function(key) {
+        return mapping[key] === undefined ? undefined : row[mapping[key]];
+    };
+    var data = {};
+
+    getMetricSchema().forEach(function(metric) {
+        var keys = metric.range ? [metric.id + '.highest', metric.id + '.lowest'] : [metric.id];
+        var scales = keys.map(function(key) {
+            var parsed = parseImportScale(cell(key), metric);
+            if (parsed === null) {
+                problems.push(getImportFieldLabel(key).toLowerCase() + ' "' + cell(key) + '" is not ' + metric.min + '-' + metric.max);
+                return undefined;
+            }
+            return parsed;
+        });
+        if (!metric.range) {
+            if (scales[0] !== undefined) data[metric.id] = scales[0];
+            return;
+        }
+        // A single highest or lowest column counts for both
+        if (scales[0] !== undefined || scales[1] !== undefined) {
+            data[metric.id] = {
+                highest: scales[0] !== undefined ? scales[0] : scales[1],
+                lowest: scales[1] !== undefined ? scales[1] : scales[0]
+            };
+        }
+    });
+
+    var startText = cell('sleepStart');
+    var endText = cell('sleepEnd');
+    if (startText || endText) {
+        var start = parseImportTime(startText);
+        var end = parseImportTime(endText);
+        var session = start && end ? buildSleepSessionFromTimes(date, start, end, 'main') : null;
+        if (session) {
+            // The night ends on the row's date and starts the evening before when needed
+            data.sleepSessions = [session];
+        } else {
+            problems.push('sleep "' + (startText || '') + '-' + (endText || '') + '" needs a start and end time');
+        }
+    }
+
+    var note = cell('note');
+    if (note !== undefined && String(note).trim() !== '') data.note = String(note).trim();
+    var tags = splitImportTags(cell('tags'));
+    if (tags.length) data.noteTags = tags;
+
+    return data;
+}
+
+// Several rows for the same day are folded together; notes, tags and activities add up
+function mergeImportDay(target, data) {
+    Object.keys(data).forEach(function(key) {
+        if (key === 'note' && target.note) {
+            target.note = target.note + '\n\n' + data.note;
+        } else if ((key === 'noteTags' || key === 'activities') && target[key]) {
+            data[key].forEach(function(tag) {
+                if (target[key].indexOf(tag) === -1) target[key].push(tag);
+            });
+        } else {
+            target[key] = data[key];
+        }
+    });
+}
+
+function previewImportCsv() {
+    var draft = importDraft;
+    if (!draft || draft.source !== 'csv') return;
+    if (draft.mapping.date === undefined) {
+        alert('Choose which column holds the date.');
+        return;
+    }
+
+    var byDate = {};
+    var errors = [];
+    draft.rows.forEach(function(row, index) {
+        var rowLabel = 'Row ' + (index + 2);
+        var date = parseImportDate(row[draft.mapping.date]);
+        if (!isValidImportDate(date)) {
+            errors.push(rowLabel + ': date "' + date + '" is not YYYY-MM-DD');
+            return;
+        }
+        var problems = [];
+        var data = buildImportDayFromRow(row, date, draft.mapping, problems);
+        problems.forEach(function(problem) {
+            errors.push(rowLabel + ': ' + problem);
+        });
+        if (!Object.keys(data).length) return;
+        if (byDate[date]) {
+            mergeImportDay(byDate[date], data);
+        } else {
+            byDate[date] = data;
+        }
+    });
+
+    var days = Object.keys(byDate).sort().map(function(date) {
+        return { date: date, data: byDate[date] };
+    });
+    showImportPreview(days, errors);
+}
+
+// ===== Daylio =====
+
+function isDaylioCsv(headers) {
+    var normalized = headers.map(normalizeCsvHeader);
+    return IMPORT_DAYLIO_HEADERS.every(function(header) {
+        return normalized.indexOf(header) !== -1;
+    });
+}
+
+/**
+ * Place a Daylio mood (0 = awful ... 4 = rad) on a metric's scale
+ */
+function scaleDaylioMood(level, metric) {
+    return metric.min + Math.round(level * (metric.max - metric.min) / (IMPORT_DAYLIO_MOODS.length - 1));
+}
+
+/**
+ * Fold Daylio's mood entries into days: the day's best and worst mood become
+ * the mood range, activities are kept as activities and notes add up
+ */
+function previewImportDaylio(headers, rows) {
+    var normalized = headers.map(normalizeCsvHeader);
+    var column = function(row, name) {
+        var index = normalized.indexOf(name);
+        return index === -1 || row[index] === undefined ? '' : String(row[index]).trim();
+    };
+    var metric = getMetricDefinition(IMPORT_DAYLIO_METRIC_ID);
+    var byDate = {};
+    var levels = {};
+    var errors = [];
+
+    rows.forEach(function(row, index) {
+        var rowLabel = 'Row ' + (index + 2);
+        var date = parseImportDate(column(row, 'full_date'));
+        if (!isValidImportDate(date)) {
+            errors.push(rowLabel + ': date "' + date + '" is not YYYY-MM-DD');
+            return;
+        }
+        var data = {};
+        var mood = column(row, 'mood');
+        var level = IMPORT_DAYLIO_MOODS.indexOf(mood.toLowerCase());
+        if (level !== -1) {
+            (levels[date] = levels[date] || []).push(level);
+        } else if (mood) {
+            errors.push(rowLabel + ': mood "' + mood + '" is not one of Daylio\'s default moods');
+        }
+        var activities = column(row, 'activities').split('|').map(function(name) {
+            return name.trim();
+        }).filter(Boolean);
+        if (activities.length) data.activities = activities;
+        var note = [column(row, 'note_title'), column(row, 'note').replace(/<br\s*\/?>/gi, '\n')]
+            .filter(Boolean).join('\n').trim();
+        if (note) data.note = note;
+
+        if (byDate[date]) {
+            mergeImportDay(byDate[date], data);
+        } else {
+            byDate[date] = data;
+        }
+    });
+
+    Object.keys(levels).forEach(function(date) {
+        if (!metric) return;
+        var highest = scaleDaylioMood(Math.max.apply(null, levels[date]), metric);
+        var lowest = scaleDaylioMood(Math.min.apply(null, levels[date]), metric);
+        byDate[date][metric.id] = metric.range
+            ? { highest: highest, lowest: lowest }
+            : Math.round((highest + lowest) / 2);
+    });
+
+    var days = Object.keys(byDate).sort().filter(function(date) {
+        return Object.keys(byDate[date]).length > 0;
+    }).map(function(date) {
+        return { date: date, data: byDate[date] };
+    });
+    showImportPreview(days, errors);
+}
+
+// ===== Preview and write =====
+
+/**
+ * Look up which days already exist, then show the per-day preview
+ */
+function showImportPreview(days, errors) {
+    var draft = importDraft;
+    draft.days = null;
+    draft.status = 'Checking existing days...';
+    refreshImportTab();
+
+    fetchAnalyticsData().then(function() {
+        var existing = {};
+        (AnalyticsState.cachedData || []).forEach(function(entry) {
+            existing[entry.date] = true;
+        });
+        draft.days = days;
+        draft.errors = errors;
+        draft.existing = existing;
+        draft.actions = {};
+        days.forEach(function(day) {
+            draft.actions[day.date] = 'merge';
+        });
+        draft.status = days.length ? '' : 'Nothing to import.';
+        refreshImportTab();
+    }).catch(function(error) {
+        console.error('Import preview failed:', error);
+        draft.status = 'Could not check existing days: ' + error.message;
+        refreshImportTab();
+    });
+}
+
+function setImportDayAction(date, action) {
+    if (!importDraft || !importDraft.actions || IMPORT_ACTIONS.indexOf(action) === -1) return;
+    importDraft.actions[date] = action;
+}
+
+function setImportConflictAction(action) {
+    if (!importDraft || !importDraft.days || IMPORT_ACTIONS.indexOf(action) === -1) return;
+    importDraft.days.forEach(function(day) {
+        if (importDraft.existing[day.date]) importDraft.actions[day.date] = action;
+    });
+    refreshImportTab();
+}
+
+/**
+ * Write every day that is not skipped in one batch: the local store takes them
+ * all at once and they sync in a single flush
+ */
+function runImport() {
+    var draft = importDraft;
+    var user = currentUser || window.currentUser;
+    if (!draft || !draft.days || !user || !window.trackerRepository) return;
+
+    var queue = draft.days.filter(function(day) {
+        return draft.actions[day.date] !== 'skip';
+    });
+    if (!queue.length) {
+        alert('Every day is set to skip.');
+        return;
+    }
+
+    var button = document.getElementById('importRunBtn');
+    if (button) button.disabled = true;
+    var setStatus = function(text) {
+        draft.status = text;
+        var statusEl = document.getElementById('importStatus');
+        if (statusEl) {
+            statusEl.textContent = text;
+        } else {
+            refreshImportTab();
+        }
+    };
+    setStatus('Importing ' + queue.length + ' days...');
+
+    var writes = queue.map(function(day) {
+        return {
+            date: day.date,
+            data: buildSymptomEntryPayload(user, Object.assign({}, day.data, { date: day.date })),
+            // Always a version of its own, so an import can be undone from the day's history
+            options: { merge: draft.actions[day.date] === 'merge', newVersion: true }
+        };
+    });
+
+    window.trackerRepository.putEntries(user.uid, writes).then(function(result) {
+        var pending = result ? result.pending : 0;
+        importDraft = {
+            status: 'Imported ' + queue.length + ' days' +
+                (draft.days.length > queue.length ? ', skipped ' + (draft.days.length - queue.length) : '') +
+                (pending ? '. ' + pending + ' will sync when you are back online.' : '.')
+        };
+    }).catch(function(error) {
+        console.error('Import failed:', error);
+        draft.status = 'Import failed: ' + error.message;
+    }).then(function() {
+        AnalyticsState.lastFetch = null;
+        if (typeof queueTrackerStatsRefresh === 'function') queueTrackerStatsRefresh();
+        return fetchAnalyticsData().catch(function() {});
+    }).then(refreshImportTab);
+}
+
+window.handleImportFile = handleImportFile;
+window.setImportColumn = setImportColumn;
+window.previewImportCsv = previewImportCsv;
+window.setImportDayAction = setImportDayAction;
+window.setImportConflictAction = setImportConflictAction;
+window.runImport = runImport;
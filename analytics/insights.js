@@ -4,7 +4,7 @@
 /**
  * Calculate all insights for a specific metric
  * @param {Array} data - Array of entry objects
- * @param {string} metric - 'energy', 'mood', 'anxiety', or 'irritability'
+ * @param {string} metric - Metric id from the schema (trackers/metrics.js)
  * @returns {Object} - Insights object with formatted strings
  */
 function calculateInsights(data, metric) {
@@ -24,17 +24,23 @@ function calculateInsights(data, metric) {
     }
 
     let insights = [];
+    const definition = getMetricDefinition(metric) || { min: 1, max: 7, baseline: 4, higherIsBetter: true, range: false };
+    const scaleMax = '/' + definition.max;
+    const valueOf = (entry, part) => {
+        const value = readMetricEntryValue(entry, metric, part);
+        return value == null ? definition.baseline : value;
+    };
 
-    if (metric === 'energy' || metric === 'mood') {
+    if (definition.range) {
         // Extract highest and lowest values
-        const highestValues = validData.map(e => (e[metric] && e[metric].highest) || 4);
-        const lowestValues = validData.map(e => (e[metric] && e[metric].lowest) || 4);
+        const highestValues = validData.map(e => valueOf(e, 'highest'));
+        const lowestValues = validData.map(e => valueOf(e, 'lowest'));
 
         const avgHighest = calculateAverage(highestValues);
         const avgLowest = calculateAverage(lowestValues);
 
-        insights.push('Average highest: <strong>' + avgHighest.toFixed(1) + '/7</strong>');
-        insights.push('Average lowest: <strong>' + avgLowest.toFixed(1) + '/7</strong>');
+        insights.push('Average highest: <strong>' + avgHighest.toFixed(1) + scaleMax + '</strong>');
+        insights.push('Average lowest: <strong>' + avgLowest.toFixed(1) + scaleMax + '</strong>');
 
         // Find trend
         const trend = findTrend(highestValues);
@@ -45,52 +51,29 @@ function calculateInsights(data, metric) {
         const volatility = calculateVolatility(validData, metric);
         insights.push('Average range: <strong>' + volatility.toFixed(1) + '</strong> points');
 
-    } else if (metric === 'anxiety' || metric === 'irritability') {
-        // Anxiety or Irritability (lower is better)
-        const values = validData.map(e => e[metric] || 4);
+    } else {
+        // Single-value metric; lower-is-better metrics (anxiety, irritability) read as Rising/Declining
+        const values = validData.map(e => valueOf(e));
 
         const avg = calculateAverage(values);
-        insights.push('Average level: <strong>' + avg.toFixed(1) + '/7</strong>');
+        insights.push('Average level: <strong>' + avg.toFixed(1) + scaleMax + '</strong>');
 
-        // Find best (lowest) day
-        const bestEntry = validData.reduce((min, entry) =>
-            (entry[metric] || 4) < (min[metric] || 4) ? entry : min
+        const lowestEntry = validData.reduce((min, entry) =>
+            valueOf(entry) < valueOf(min) ? entry : min
         );
-        insights.push('Lowest on: <strong>' + formatDate(bestEntry.date, 'MMM DD') + '</strong> (' + bestEntry[metric] + '/7)');
+        insights.push('Lowest on: <strong>' + formatDate(lowestEntry.date, 'MMM DD') + '</strong> (' + valueOf(lowestEntry) + scaleMax + ')');
 
-        // Find worst (highest) day
-        const worstEntry = validData.reduce((max, entry) =>
-            (entry[metric] || 4) > (max[metric] || 4) ? entry : max
+        const highestEntry = validData.reduce((max, entry) =>
+            valueOf(entry) > valueOf(max) ? entry : max
         );
-        insights.push('Highest on: <strong>' + formatDate(worstEntry.date, 'MMM DD') + '</strong> (' + worstEntry[metric] + '/7)');
+        insights.push('Highest on: <strong>' + formatDate(highestEntry.date, 'MMM DD') + '</strong> (' + valueOf(highestEntry) + scaleMax + ')');
 
-        // Find trend
         const trend = findTrend(values);
         const trendIcon = trend === 'Increasing' ? '&uarr;' : trend === 'Decreasing' ? '&darr;' : '&rarr;';
-        const trendLabel = metric === 'anxiety' || metric === 'irritability'
+        const trendLabel = !definition.higherIsBetter
             ? (trend === 'Increasing' ? 'Rising' : trend === 'Decreasing' ? 'Declining' : 'Stable')
             : trend;
         insights.push('Trend: <strong>' + trendLabel + ' ' + trendIcon + '</strong>');
-    } else {
-        // Generic single-value metric on 1-7 scale (higher is better)
-        const values = validData.map(e => e[metric] || 4);
-
-        const avg = calculateAverage(values);
-        insights.push('Average level: <strong>' + avg.toFixed(1) + '/7</strong>');
-
-        const lowestEntry = validData.reduce((min, entry) =>
-            (entry[metric] || 4) < (min[metric] || 4) ? entry : min
-        );
-        insights.push('Lowest on: <strong>' + formatDate(lowestEntry.date, 'MMM DD') + '</strong> (' + lowestEntry[metric] + '/7)');
-
-        const highestEntry = validData.reduce((max, entry) =>
-            (entry[metric] || 4) > (max[metric] || 4) ? entry : max
-        );
-        insights.push('Highest on: <strong>' + formatDate(highestEntry.date, 'MMM DD') + '</strong> (' + highestEntry[metric] + '/7)');
-
-        const trend = findTrend(values);
-        const trendIcon = trend === 'Increasing' ? '&uarr;' : trend === 'Decreasing' ? '&darr;' : '&rarr;';
-        insights.push('Trend: <strong>' + trend + ' ' + trendIcon + '</strong>');
     }
 
     // Format as HTML
@@ -194,15 +177,16 @@ function groupByDayOfWeek(data) {
 }
 
 /**
- * Calculate volatility (average range for energy/mood)
+ * Calculate volatility (average range for highest/lowest metrics)
  * @param {Array} data - Array of entry objects
- * @param {string} metric - 'energy' or 'mood'
+ * @param {string} metric - Range metric id, e.g. 'energy' or 'mood'
  * @returns {number} - Average volatility
  */
 function calculateVolatility(data, metric) {
     const ranges = data.map(entry => {
-        const highest = (entry[metric] && entry[metric].highest) || 4;
-        const lowest = (entry[metric] && entry[metric].lowest) || 4;
+        const highest = readMetricEntryValue(entry, metric, 'highest');
+        const lowest = readMetricEntryValue(entry, metric, 'lowest');
+        if (highest == null || lowest == null) return 0;
         return Math.abs(highest - lowest);
     });
 
@@ -287,25 +271,17 @@ function generateSummary(data) {
 
 /**
  * Render insights HTML for a category
- * @param {string} category - 'energy', 'mood', 'anxiety', or 'irritability'
+ * @param {string} category - Metric id from the schema
  * @param {Array} data - Array of entry objects
  * @returns {string} - HTML string
  */
 function renderInsightsHTML(category, data) {
     const insights = calculateInsights(data, category);
-
-    const titles = {
-        energy: 'Energy Insights',
-        mood: 'Mood Insights',
-        anxiety: 'Anxiety Insights',
-        irritability: 'Irritability Insights',
-        productivity: 'Productivity Insights',
-        satisfaction: 'Satisfaction Insights',
-        socialActivity: 'Social Activity Insights'
-    };
+    const definition = getMetricDefinition(category);
+    const title = (definition ? escapeMetricText(definition.label) : category) + ' Insights';
 
     return '<div class="insights-section" id="insights-' + category + '">' +
-        '<h4 class="insights-title">' + titles[category] + '</h4>' +
+        '<h4 class="insights-title">' + title + '</h4>' +
         insights.html +
         '</div>';
 }
@@ -349,6 +325,25 @@ function calculateCaffeineInsights(data) {
     var trendIcon = trend === 'Increasing' ? '&uarr;' : trend === 'Decreasing' ? '&darr;' : '&rarr;';
     insights.push('Trend: <strong>' + trend + ' ' + trendIcon + '</strong>');
 
+    // Typical time of the last drink (only days logged with drink times)
+    var lastDrinkMinutes = [];
+    validData.forEach(function(e) {
+        if (!Array.isArray(e.caffeineLog)) return;
+        var latest = -1;
+        e.caffeineLog.forEach(function(drink) {
+            if (!drink || typeof drink.time !== 'string' || !/^\d{2}:\d{2}$/.test(drink.time)) return;
+            var parts = drink.time.split(':');
+            latest = Math.max(latest, parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10));
+        });
+        if (latest >= 0) lastDrinkMinutes.push(latest);
+    });
+    if (lastDrinkMinutes.length > 0) {
+        var avgLast = Math.round(calculateAverage(lastDrinkMinutes));
+        insights.push('Usual last drink: <strong>' +
+            String(Math.floor(avgLast / 60)).padStart(2, '0') + ':' + String(avgLast % 60).padStart(2, '0') +
+            '</strong>');
+    }
+
     // Format as HTML
     var html = '<div class="insights-list">' +
         insights.map(function(insight) { return '<div class="insight-item">&bull; ' + insight + '</div>'; }).join('') +
@@ -357,6 +352,271 @@ function calculateCaffeineInsights(data) {
     return { html: html, insights: insights };
 }
 
+/**
+ * Dose changes logged on the Medications tab, as chart markers
+ * @param {Array} data - Array of entry objects
+ * @returns {Array} - [{ date, label }]
+ */
+function getDoseChangeMarkers(data) {
+    var markers = [];
+    (data || []).forEach(function(entry) {
+        if (entry.isMissing || !Array.isArray(entry.medications)) return;
+        var marked = {};
+        entry.medications.forEach(function(item) {
+            // One marker per medication and day, however many of its doses changed
+            if (!item || item.status !== 'changed' || marked[item.id]) return;
+            marked[item.id] = true;
+            var dose = item.dose != null ? ' ' + item.dose + (item.unit ? ' ' + item.unit : '') : '';
+            markers.push({ date: entry.date, label: (item.name || 'Medication') + dose });
+        });
+    });
+    return markers;
+}
+
+/**
+ * Count one day's doses of a scheduled medication into its stats.
+ * Every scheduled time is a dose; times logged but no longer scheduled count
+ * too. A dose without its own item takes the day's untimed item (logged before
+ * doses had times), or counts as missed.
+ */
+function _countMedicationDoses(stats, items) {
+    var times = stats.times.slice();
+    var dayItem = null;
+    items.forEach(function(item) {
+        if (!item.time) dayItem = dayItem || item;
+        else if (times.indexOf(item.time) === -1) times.push(item.time);
+    });
+    if (!times.length) times = [''];
+    times.forEach(function(time) {
+        var item = null;
+        for (var i = 0; i < items.length; i++) {
+            if (items[i].time === time) { item = items[i]; break; }
+        }
+        item = item || dayItem;
+        stats.scheduled++;
+        if (item && stats[item.status] !== undefined) stats[item.status]++;
+    });
+}
+
+/**
+ * Calculate medication adherence for the period as doses taken over doses
+ * scheduled (see the day log in trackers/medications.js). Taken and
+ * dose-changed doses count as taken. Only days with something logged for the
+ * medication count, so doses left unmarked there are missed; days without
+ * any status are reported separately.
+ * @param {Array} data - Array of entry objects
+ * @returns {Object} - Insights object with formatted strings, null html when nothing to show
+ */
+function calculateMedicationAdherence(data) {
+    var validData = (data || []).filter(function(entry) { return !entry.isMissing; });
+    var list = typeof getMedicationList === 'function' ? getMedicationList() : [];
+    var meds = {};
+    var order = [];
+    function track(id, name, asNeeded) {
+        if (!meds[id]) {
+            meds[id] = {
+                name: name, asNeeded: asNeeded, times: [], inList: false,
+                taken: 0, changed: 0, skipped: 0, scheduled: 0,
+                loggedDays: 0, takenDays: 0, changeDays: 0, unlogged: 0
+            };
+            order.push(id);
+        }
+        return meds[id];
+    }
+    list.forEach(function(med) {
+        var stats = track(med.id, med.name, med.asNeeded);
+        stats.inList = true;
+        stats.times = med.asNeeded ? [] : (med.times || []).slice();
+    });
+
+    validData.forEach(function(entry) {
+        var byMed = {};
+        (Array.isArray(entry.medications) ? entry.medications : []).forEach(function(item) {
+            if (!item || !item.id || !item.status) return;
+            track(item.id, item.name || 'Medication', false);
+            (byMed[item.id] = byMed[item.id] || []).push({ time: item.time || '', status: item.status });
+        });
+        order.forEach(function(id) {
+            var stats = meds[id];
+            var items = byMed[id];
+            if (!items) {
+                if (stats.inList && !stats.asNeeded) stats.unlogged++;
+                return;
+            }
+            stats.loggedDays++;
+            if (items.some(function(item) { return item.status === 'taken' || item.status === 'changed'; })) stats.takenDays++;
+            if (items.some(function(item) { return item.status === 'changed'; })) stats.changeDays++;
+            if (!stats.asNeeded) _countMedicationDoses(stats, items);
+        });
+    });
+
+    var insights = [];
+    order.forEach(function(id) {
+        var stats = meds[id];
+        var name = '<strong>' + escapeMetricText(stats.name) + '</strong>';
+        if (stats.asNeeded) {
+            insights.push(name + ': taken on ' + stats.takenDays + ' day' + (stats.takenDays === 1 ? '' : 's'));
+            return;
+        }
+        if (!stats.loggedDays) {
+            if (stats.inList && validData.length) insights.push(name + ': nothing logged yet');
+            return;
+        }
+        var adherent = stats.taken + stats.changed;
+        var text = name + ': <strong>' + Math.round(adherent / stats.scheduled * 100) + '%</strong> adherence (' +
+            adherent + ' of ' + stats.scheduled + ' scheduled dose' + (stats.scheduled === 1 ? '' : 's') +
+            ' on ' + stats.loggedDays + ' logged day' + (stats.loggedDays === 1 ? '' : 's') + ')';
+        if (stats.changeDays) text += ', dose changed on ' + stats.changeDays + ' day' + (stats.changeDays === 1 ? '' : 's');
+        if (stats.unlogged) text += ', not logged on ' + stats.unlogged + ' tracked day' + (stats.unlogged === 1 ? '' : 's');
+        insights.push(text);
+    });
+
+    if (!insights.length) return { html: null, insights: insights };
+
+    var html = '<div class="insights-list">' +
+        insights.map(function(insight) { return '<div class="insight-item">&bull; ' + insight + '</div>'; }).join('') +
+        '</div>';
+
+    return { html: html, insights: insights };
+}
+
+// Stored as the 'episodeDetection' user setting; empty thresholds follow the mood scale
+var EPISODE_SETTING_KEY = 'episodeDetection';
+var EPISODE_BAND_COLORS = {
+    elevated: 'rgba(244,227,179,0.16)',
+    depressed: 'rgba(140,160,220,0.18)'
+};
+
+/**
+ * Episode detection thresholds, with defaults filled in
+ * @returns {Object} - { elevatedAt, depressedAt, minElevatedDays, minDepressedDays, shortSleepHours }
+ */
+function getEpisodeSettings() {
+    var mood = getMetricDefinition('mood') || { min: 1, max: 7, baseline: 4 };
+    var saved = (typeof AnalyticsState !== 'undefined' && AnalyticsState.episodeSettings) || {};
+    function pick(value, fallback, min, max) {
+        if (value === null || value === undefined || value === '') return fallback;
+        var number = Math.round(Number(value));
+        return isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+    }
+    return {
+        elevatedAt: pick(saved.elevatedAt, Math.min(mood.max, mood.baseline + 2), mood.min, mood.max),
+        depressedAt: pick(saved.depressedAt, Math.max(mood.min, mood.baseline - 2), mood.min, mood.max),
+        minElevatedDays: pick(saved.minElevatedDays, 4, 1, 60),
+        minDepressedDays: pick(saved.minDepressedDays, 7, 1, 90),
+        shortSleepHours: pick(saved.shortSleepHours, 6, 0, 12)
+    };
+}
+
+/**
+ * Classify one tracked day. A day is elevated when the higher of mood/energy
+ * highest reaches the threshold, or one point below it on a short-sleep night;
+ * depressed when the mood lowest is at or below the depressed threshold.
+ */
+function classifyEpisodeDay(entry, settings) {
+    var moodHigh = readMetricEntryValue(entry, 'mood', 'highest');
+    var moodLow = readMetricEntryValue(entry, 'mood', 'lowest');
+    var energyHigh = getMetricDefinition('energy') ? readMetricEntryValue(entry, 'energy', 'highest') : null;
+    var peaks = [moodHigh, energyHigh].filter(function(v) { return v != null; });
+    var peak = peaks.length ? Math.max.apply(null, peaks) : null;
+    var sleepHours = getEntrySleepHours(entry);
+    var shortSleep = sleepHours != null && sleepHours > 0 && sleepHours < settings.shortSleepHours;
+    return {
+        elevated: peak != null && (peak >= settings.elevatedAt || (shortSleep && peak >= settings.elevatedAt - 1)),
+        depressed: moodLow != null && moodLow <= settings.depressedAt,
+        shortSleep: shortSleep
+    };
+}
+
+/**
+ * Find sustained elevated or depressed runs in the daily entries.
+ * A run survives one untracked day; a tracked day that does not match ends it.
+ * @param {Array} data - Day entries (missing days are ignored)
+ * @param {Object} settings - From getEpisodeSettings()
+ * @returns {Array} - [{ type: 'elevated'|'depressed', start, end, days, shortSleepDays }] sorted by start
+ */
+function detectMoodEpisodes(data, settings) {
+    settings = settings || getEpisodeSettings();
+    if (!getMetricDefinition('mood')) return [];
+    var entries = (data || []).filter(function(entry) { return !entry.isMissing && entry.date; })
+        .slice()
+        .sort(function(a, b) { return a.date < b.date ? -1 : a.date > b.date ? 1 : 0; });
+    var days = entries.map(function(entry) {
+        var kind = classifyEpisodeDay(entry, settings);
+        kind.date = entry.date;
+        return kind;
+    });
+
+    var episodes = [];
+    ['elevated', 'depressed'].forEach(function(type) {
+        var minDays = type === 'elevated' ? settings.minElevatedDays : settings.minDepressedDays;
+        var run = null;
+        function close() {
+            if (run && run.days >= minDays) episodes.push(run);
+            run = null;
+        }
+        days.forEach(function(day) {
+            if (!day[type]) {
+                close();
+                return;
+            }
+            var gap = run ? Math.round((parseDate(day.date) - parseDate(run.end)) / 86400000) : 0;
+            if (run && gap > 2) close();
+            if (!run) run = { type: type, start: day.date, end: day.date, days: 0, shortSleepDays: 0 };
+            run.end = day.date;
+            run.days++;
+            if (day.shortSleep) run.shortSleepDays++;
+        });
+        close();
+    });
+
+    return episodes.sort(function(a, b) { return a.start < b.start ? -1 : a.start > b.start ? 1 : 0; });
+}
+
+/**
+ * Episodes as chart shading bands
+ * @param {Array} episodes - From detectMoodEpisodes()
+ * @param {Object} colors - Optional { elevated, depressed } fills, e.g. for print
+ */
+function getEpisodeBands(episodes, colors) {
+    colors = colors || EPISODE_BAND_COLORS;
+    return episodes.map(function(episode) {
+        return {
+            start: episode.start,
+            end: episode.end,
+            color: colors[episode.type],
+            label: (episode.type === 'elevated' ? 'Elevated' : 'Depressed') + ' episode'
+        };
+    });
+}
+
+// Episodes overlapping start..end (YYYY-MM-DD)
+function filterEpisodesByRange(episodes, start, end) {
+    return episodes.filter(function(episode) { return episode.end >= start && episode.start <= end; });
+}
+
+/**
+ * List detected episodes
+ * @param {Array} episodes - From detectMoodEpisodes()
+ * @returns {string} - HTML string
+ */
+function renderEpisodesHTML(episodes) {
+    if (!episodes.length) {
+        return '<p style="color: #888; font-style: italic;">No sustained elevated or depressed stretches in this period.</p>';
+    }
+    var items = episodes.map(function(episode) {
+        var label = episode.type === 'elevated' ? 'Elevated' : 'Depressed';
+        var range = formatDate(episode.start, 'MMM DD') + (episode.end !== episode.start ? ' &ndash; ' + formatDate(episode.end, 'MMM DD') : '');
+        var text = '<span class="episode-swatch episode-' + episode.type + '"></span><strong>' + label + '</strong>: ' + range +
+            ' (' + episode.days + ' tracked day' + (episode.days === 1 ? '' : 's');
+        if (episode.shortSleepDays) text += ', ' + episode.shortSleepDays + ' with short sleep';
+        return text + ')';
+    });
+    return '<div class="insights-list">' +
+        items.map(function(item) { return '<div class="insight-item">' + item + '</div>'; }).join('') +
+        '</div>';
+}
+
 /**
  * Analyze patterns between factors and metrics
  * @param {Array} data - Array of entry objects
@@ -401,6 +661,28 @@ function analyzePatterns(data) {
     return { html: html, insights: insights };
 }
 
+/**
+ * Day score for impact comparisons: the highest value for range metrics,
+ * the baseline when the day has no value
+ */
+function getMetricImpactValue(entry, metric) {
+    var value = readMetricEntryValue(entry, metric.id, metric.range ? 'highest' : null);
+    return value == null ? metric.baseline : value;
+}
+
+/**
+ * Rank correlation behind an impact finding (see correlations.js). Days without
+ * a value for the metric are left out rather than counted as baseline.
+ */
+function getImpactCorrelation(data, readFactor, metric) {
+    return computeCorrelation(
+        data.map(readFactor),
+        data.map(function(e) { return readMetricEntryValue(e, metric.id, metric.range ? 'highest' : null); }),
+        'spearman',
+        CORRELATION_MIN_SAMPLES
+    );
+}
+
 /**
  * Analyze caffeine impact on metrics
  */
@@ -409,41 +691,32 @@ function analyzeCaffeineImpact(data) {
     var caffeineData = data.filter(function(e) { return (e.caffeine || 0) > 0; });
     var noCaffeineData = data.filter(function(e) { return (e.caffeine || 0) === 0; });
 
-    if (caffeineData.length < 1 || noCaffeineData.length < 1) {
+    if (caffeineData.length < CORRELATION_MIN_GROUP || noCaffeineData.length < CORRELATION_MIN_GROUP) {
         return insights;
     }
 
     // Compare metrics
-    var metrics = ['energy', 'mood', 'anxiety', 'irritability'];
-    metrics.forEach(function(metric) {
-        var withCaffeine = caffeineData.map(function(e) {
-            if (metric === 'energy' || metric === 'mood') {
-                return (e[metric] && e[metric].highest) || 4;
-            }
-            return e[metric] || 4;
-        });
-        var withoutCaffeine = noCaffeineData.map(function(e) {
-            if (metric === 'energy' || metric === 'mood') {
-                return (e[metric] && e[metric].highest) || 4;
-            }
-            return e[metric] || 4;
-        });
+    getMetricSchema().forEach(function(metric) {
+        var withCaffeine = caffeineData.map(function(e) { return getMetricImpactValue(e, metric); });
+        var withoutCaffeine = noCaffeineData.map(function(e) { return getMetricImpactValue(e, metric); });
 
         var avgWith = calculateAverage(withCaffeine);
         var avgWithout = calculateAverage(withoutCaffeine);
         var diff = avgWith - avgWithout;
         var pctDiff = ((diff / avgWithout) * 100).toFixed(0);
+        var correlation = getImpactCorrelation(data, function(e) { return (e.caffeine || 0) > 0 ? 1 : 0; }, metric);
 
-        if (Math.abs(diff) >= 0.5) {
+        if (Math.abs(diff) >= 0.5 && avgWithout !== 0 && correlation.significant) {
             var direction = diff > 0 ? 'higher' : 'lower';
-            var metricName = metric.charAt(0).toUpperCase() + metric.slice(1);
+            var metricName = escapeMetricText(metric.label);
 
-            if (metric === 'anxiety' || metric === 'irritability') {
+            if (!metric.higherIsBetter) {
                 direction = diff > 0 ? 'worse' : 'better';
             }
 
             insights.push('<strong>Caffeine impact:</strong> ' + metricName + ' is ' +
-                Math.abs(pctDiff) + '% ' + direction + ' on days with caffeine');
+                Math.abs(pctDiff) + '% ' + direction + ' on days with caffeine (' +
+                describeCorrelationResult(correlation, CORRELATION_MIN_SAMPLES) + ')');
         }
     });
 
@@ -456,41 +729,39 @@ function analyzeCaffeineImpact(data) {
 function analyzeSleepImpact(data) {
     var insights = [];
     var sleepData = data.filter(function(e) {
-        return e.sleepDuration !== undefined && e.sleepDuration !== null;
+        return getEntrySleepHours(e) !== null;
     });
 
-    if (sleepData.length < 1) {
+    if (sleepData.length < CORRELATION_MIN_GROUP) {
         return insights;
     }
 
     // Divide into three categories: little/no sleep (0-4), average (5-8), a lot (8+)
-    var littleSleep = sleepData.filter(function(e) { return e.sleepDuration >= 0 && e.sleepDuration <= 4; });
-    var averageSleep = sleepData.filter(function(e) { return e.sleepDuration >= 5 && e.sleepDuration <= 8; });
-    var lotsSleep = sleepData.filter(function(e) { return e.sleepDuration > 8; });
+    var littleSleep = sleepData.filter(function(e) { var hours = getEntrySleepHours(e); return hours >= 0 && hours <= 4; });
+    var averageSleep = sleepData.filter(function(e) { var hours = getEntrySleepHours(e); return hours >= 5 && hours <= 8; });
+    var lotsSleep = sleepData.filter(function(e) { return getEntrySleepHours(e) > 8; });
 
     if (littleSleep.length < 1 && averageSleep.length < 1 && lotsSleep.length < 1) {
         return insights;
     }
 
-    var metrics = ['energy', 'mood', 'anxiety', 'irritability'];
-
-    metrics.forEach(function(metric) {
+    getMetricSchema().forEach(function(metric) {
         var groups = [];
         var labels = [];
 
-        if (littleSleep.length >= 1) {
+        if (littleSleep.length >= CORRELATION_MIN_GROUP) {
             groups.push({
                 data: littleSleep,
                 label: 'little sleep (0-4h)'
             });
         }
-        if (averageSleep.length >= 1) {
+        if (averageSleep.length >= CORRELATION_MIN_GROUP) {
             groups.push({
                 data: averageSleep,
                 label: 'average sleep (5-8h)'
             });
         }
-        if (lotsSleep.length >= 1) {
+        if (lotsSleep.length >= CORRELATION_MIN_GROUP) {
             groups.push({
                 data: lotsSleep,
                 label: 'lots of sleep (8+h)'
@@ -501,41 +772,39 @@ function analyzeSleepImpact(data) {
 
         // Calculate averages for each group
         var groupAverages = groups.map(function(group) {
-            var values = group.data.map(function(e) {
-                if (metric === 'energy' || metric === 'mood') {
-                    return (e[metric] && e[metric].highest) || 4;
-                }
-                return e[metric] || 4;
-            });
+            var values = group.data.map(function(e) { return getMetricImpactValue(e, metric); });
             return {
                 label: group.label,
-                avg: calculateAverage(values)
+                avg: calculateAverage(values),
+                n: values.length
             };
         });
 
         // Sort groups by metric performance
         groupAverages.sort(function(a, b) {
-            if (metric === 'anxiety' || metric === 'irritability') {
+            if (!metric.higherIsBetter) {
                 return a.avg - b.avg; // Lower is better
             }
             return b.avg - a.avg; // Higher is better
         });
 
         var best = groupAverages[0];
-        var metricName = metric.charAt(0).toUpperCase() + metric.slice(1);
+        var metricName = escapeMetricText(metric.label);
 
         if (groupAverages.length >= 2) {
             var worst = groupAverages[groupAverages.length - 1];
             var diff = Math.abs(best.avg - worst.avg);
+            var correlation = getImpactCorrelation(sleepData, getEntrySleepHours, metric);
 
-            if (diff >= 0.3) {
+            if (diff >= 0.3 && correlation.significant) {
                 insights.push('<strong>Sleep impact:</strong> ' + metricName + ' is best with ' + best.label +
-                    ' (avg ' + best.avg.toFixed(1) + ' vs ' + worst.avg.toFixed(1) + ' with ' + worst.label + ')');
+                    ' (avg ' + best.avg.toFixed(1) + ' vs ' + worst.avg.toFixed(1) + ' with ' + worst.label + '; ' +
+                    describeCorrelationResult(correlation, CORRELATION_MIN_SAMPLES) + ')');
             }
         } else {
             // Only one sleep category - just show the average
             insights.push('<strong>Sleep pattern:</strong> ' + metricName + ' averages ' + best.avg.toFixed(1) +
-                ' with ' + best.label);
+                ' with ' + best.label + ' (' + best.n + ' days)');
         }
     });
 
@@ -547,6 +816,8 @@ function analyzeSleepImpact(data) {
  */
 function analyzeActivityImpact(data) {
     var insights = [];
+    var mood = getMetricDefinition('mood');
+    if (!mood) return insights;
 
     // Collect all activities
     var activityCounts = {};
@@ -561,9 +832,9 @@ function analyzeActivityImpact(data) {
         }
     });
 
-    // Find activities that appear at least once
+    // Find activities with enough days with and without them to compare
     var commonActivities = Object.keys(activityCounts).filter(function(activity) {
-        return activityCounts[activity] >= 1;
+        return activityCounts[activity] >= CORRELATION_MIN_GROUP && data.length - activityCounts[activity] >= CORRELATION_MIN_GROUP;
     });
 
     if (commonActivities.length === 0) {
@@ -585,28 +856,23 @@ function analyzeActivityImpact(data) {
             return !e.activities || !Array.isArray(e.activities) || e.activities.indexOf(activity) === -1;
         });
 
-        if (withActivity.length < 1 || withoutActivity.length < 1) {
-            return;
-        }
-
         // Check mood impact
-        var moodWith = withActivity.map(function(e) {
-            return (e.mood && e.mood.highest) || 4;
-        });
-        var moodWithout = withoutActivity.map(function(e) {
-            return (e.mood && e.mood.highest) || 4;
-        });
+        var moodWith = withActivity.map(function(e) { return getMetricImpactValue(e, mood); });
+        var moodWithout = withoutActivity.map(function(e) { return getMetricImpactValue(e, mood); });
 
         var avgWith = calculateAverage(moodWith);
         var avgWithout = calculateAverage(moodWithout);
         var diff = avgWith - avgWithout;
+        var correlation = getImpactCorrelation(data, function(e) {
+            return e.activities && Array.isArray(e.activities) && e.activities.indexOf(activity) !== -1 ? 1 : 0;
+        }, mood);
 
-        if (Math.abs(diff) >= 0.7) {
+        if (Math.abs(diff) >= 0.7 && correlation.significant) {
             var direction = diff > 0 ? 'boosts' : 'lowers';
             var pctDiff = Math.abs(((diff / avgWithout) * 100)).toFixed(0);
 
-            insights.push('<strong>Activity pattern:</strong> "' + activity + '" ' + direction +
-                ' mood by ' + pctDiff + '%');
+            insights.push('<strong>Activity pattern:</strong> "' + escapeMetricText(activity) + '" ' + direction +
+                ' mood by ' + pctDiff + '% (' + describeCorrelationResult(correlation, CORRELATION_MIN_SAMPLES) + ')');
         }
     });
 
@@ -618,6 +884,8 @@ function analyzeActivityImpact(data) {
  */
 function analyzePeopleImpact(data) {
     var insights = [];
+    var mood = getMetricDefinition('mood');
+    if (!mood) return insights;
 
     // Collect all people
     var peopleCounts = {};
@@ -632,9 +900,9 @@ function analyzePeopleImpact(data) {
         }
     });
 
-    // Find people that appear at least once
+    // Find people with enough days with and without them to compare
     var commonPeople = Object.keys(peopleCounts).filter(function(person) {
-        return peopleCounts[person] >= 1;
+        return peopleCounts[person] >= CORRELATION_MIN_GROUP && data.length - peopleCounts[person] >= CORRELATION_MIN_GROUP;
     });
 
     if (commonPeople.length === 0) {
@@ -656,28 +924,23 @@ function analyzePeopleImpact(data) {
             return !e.people || !Array.isArray(e.people) || e.people.indexOf(person) === -1;
         });
 
-        if (withPerson.length < 1 || withoutPerson.length < 1) {
-            return;
-        }
-
-        // Check mood and anxiety impact
-        var moodWith = withPerson.map(function(e) {
-            return (e.mood && e.mood.highest) || 4;
-        });
-        var moodWithout = withoutPerson.map(function(e) {
-            return (e.mood && e.mood.highest) || 4;
-        });
+        // Check mood impact
+        var moodWith = withPerson.map(function(e) { return getMetricImpactValue(e, mood); });
+        var moodWithout = withoutPerson.map(function(e) { return getMetricImpactValue(e, mood); });
 
         var avgMoodWith = calculateAverage(moodWith);
         var avgMoodWithout = calculateAverage(moodWithout);
         var moodDiff = avgMoodWith - avgMoodWithout;
+        var correlation = getImpactCorrelation(data, function(e) {
+            return e.people && Array.isArray(e.people) && e.people.indexOf(person) !== -1 ? 1 : 0;
+        }, mood);
 
-        if (Math.abs(moodDiff) >= 0.7) {
+        if (Math.abs(moodDiff) >= 0.7 && correlation.significant) {
             var direction = moodDiff > 0 ? 'improves' : 'lowers';
             var pctDiff = Math.abs(((moodDiff / avgMoodWithout) * 100)).toFixed(0);
 
-            insights.push('<strong>People pattern:</strong> Time with "' + person + '" ' + direction +
-                ' mood by ' + pctDiff + '%');
+            insights.push('<strong>People pattern:</strong> Time with "' + escapeMetricText(person) + '" ' + direction +
+                ' mood by ' + pctDiff + '% (' + describeCorrelationResult(correlation, CORRELATION_MIN_SAMPLES) + ')');
         }
     });
 
@@ -685,12 +948,18 @@ function analyzePeopleImpact(data) {
 }
 
 /**
- * Analyze detailed sleep data from sleep array
- * @param {Array} sleepArray - Array of 48 boolean values (30-min intervals)
- * @returns {Object} - Detailed sleep analysis
+ * Analyze a day's sleep sessions (see trackers/sleep.js)
+ * @param {Array} sessions - From getEntrySleepSessions(entry)
+ * @param {string} date - Sleep day the sessions belong to (YYYY-MM-DD)
+ * @returns {Object} - Detailed sleep analysis; offsets are minutes from the
+ *   sleep day's start (18:00 the evening before)
  */
-function analyzeSleepData(sleepArray) {
-    if (!sleepArray || sleepArray.length !== 48) {
+function analyzeSleepData(sessions, date) {
+    var valid = Array.isArray(sessions) ? sessions.map(normalizeSleepSession).filter(Boolean) : [];
+    var awake = valid.filter(function(session) { return session.type === 'awake'; });
+    var sleeps = valid.filter(function(session) { return session.type !== 'awake'; });
+
+    if (sleeps.length === 0) {
         return {
             duration: 0,
             bedtime: null,
@@ -700,78 +969,120 @@ function analyzeSleepData(sleepArray) {
         };
     }
 
-    // Find all sleep periods (continuous true values)
-    var periods = [];
-    var currentPeriod = null;
+    var dayStart = getSleepDayStart(date || sleeps[sleeps.length - 1].end.slice(0, 10)).getTime();
+    var awakeRanges = awake.map(function(session) {
+        return [parseSleepTimestamp(session.start).getTime(), parseSleepTimestamp(session.end).getTime()];
+    });
 
-    for (var i = 0; i < sleepArray.length; i++) {
-        if (sleepArray[i]) {
-            if (!currentPeriod) {
-                currentPeriod = { start: i, end: i };
-            } else {
-                currentPeriod.end = i;
-            }
-        } else {
-            if (currentPeriod) {
-                periods.push(currentPeriod);
-                currentPeriod = null;
-            }
+    // Duration in hours; time awake in bed is taken out of sleep sessions
+    var periods = valid.map(function(session) {
+        var start = parseSleepTimestamp(session.start).getTime();
+        var end = parseSleepTimestamp(session.end).getTime();
+        var minutes = (end - start) / 60000;
+        if (session.type !== 'awake') {
+            awakeRanges.forEach(function(range) {
+                minutes -= Math.max(0, Math.min(end, range[1]) - Math.max(start, range[0])) / 60000;
+            });
         }
-    }
-
-    // Don't forget the last period if it goes to the end
-    if (currentPeriod) {
-        periods.push(currentPeriod);
-    }
-
-    if (periods.length === 0) {
         return {
-            duration: 0,
-            bedtime: null,
-            wakeTime: null,
-            periods: [],
-            hasNaps: false
+            type: session.type,
+            start: session.start,
+            end: session.end,
+            startOffset: (start - dayStart) / 60000,
+            endOffset: (end - dayStart) / 60000,
+            duration: Math.max(0, minutes) / 60
         };
-    }
-
-    // Calculate duration for each period (in hours)
-    periods.forEach(function(period) {
-        period.duration = (period.end - period.start + 1) / 2; // Each slot is 30 min
     });
 
-    // Sort by duration to find main sleep vs naps
-    var sortedPeriods = periods.slice().sort(function(a, b) {
+    var sleepPeriods = periods.filter(function(period) { return period.type !== 'awake'; });
+    var sortedPeriods = sleepPeriods.slice().sort(function(a, b) {
+        if ((a.type === 'main') !== (b.type === 'main')) return a.type === 'main' ? -1 : 1;
         return b.duration - a.duration;
     });
 
     var mainSleep = sortedPeriods[0];
     var naps = sortedPeriods.slice(1).filter(function(p) { return p.duration >= 0.5; }); // At least 30 min
 
-    // Format times
-    function formatTimeFromSlot(slot) {
-        var hours = Math.floor(slot / 2);
-        var minutes = (slot % 2) * 30;
-        return String(hours).padStart(2, '0') + ':' + String(minutes).padStart(2, '0');
-    }
-
-    var totalDuration = periods.reduce(function(sum, p) { return sum + p.duration; }, 0);
+    var totalDuration = sleepPeriods.reduce(function(sum, p) { return sum + p.duration; }, 0);
 
     return {
         duration: totalDuration,
-        bedtime: formatTimeFromSlot(mainSleep.start),
-        wakeTime: formatTimeFromSlot(mainSleep.end + 1), // +1 because end is inclusive
+        bedtime: mainSleep.start.slice(11),
+        wakeTime: mainSleep.end.slice(11),
+        bedtimeOffset: mainSleep.startOffset,
+        wakeOffset: mainSleep.endOffset,
         mainSleepDuration: mainSleep.duration,
         periods: periods,
         naps: naps,
         hasNaps: naps.length > 0,
         napCount: naps.length,
-        totalNapDuration: naps.reduce(function(sum, n) { return sum + n.duration; }, 0)
+        totalNapDuration: naps.reduce(function(sum, n) { return sum + n.duration; }, 0),
+        awakeInBed: periods.reduce(function(sum, p) { return p.type === 'awake' ? sum + p.duration : sum; }, 0)
+    };
+}
+
+/**
+ * Hours asleep for a day entry, or null when it has no sleep recorded
+ */
+function getEntrySleepHours(entry) {
+    var sessions = getEntrySleepSessions(entry);
+    return sessions.length ? analyzeSleepData(sessions, entry.date).duration : null;
+}
+
+/**
+ * Averages of the rated night details, plus how quality relates to the
+ * energy of the day after the night (the same entry, as a night belongs to
+ * the morning it ends on)
+ * @param {Array} data - Entries with sleepDetails
+ * @returns {Array} - Insight strings
+ */
+function calculateSleepDetailInsights(data) {
+    var insights = [];
+    var details = data.map(getEntrySleepDetails);
+    var pick = function(key) {
+        return details.map(function(d) { return d[key]; }).filter(function(v) { return v != null; });
     };
+
+    var qualities = pick('quality');
+    if (qualities.length > 0) {
+        insights.push('Average sleep quality: <strong>' + calculateAverage(qualities).toFixed(1) + ' / ' + SLEEP_QUALITY_MAX + '</strong> (' +
+            qualities.length + ' night' + (qualities.length === 1 ? '' : 's') + ' rated)');
+    }
+    var latencies = pick('latency');
+    if (latencies.length > 0) {
+        insights.push('Average time to fall asleep: <strong>' + Math.round(calculateAverage(latencies)) + ' min</strong>');
+    }
+    var awakenings = pick('awakenings');
+    if (awakenings.length > 0) {
+        insights.push('Average awakenings: <strong>' + calculateAverage(awakenings).toFixed(1) + ' per night</strong>');
+    }
+    var dreamNights = details.filter(function(d) { return d.dreams; }).length;
+    var nightmareNights = details.filter(function(d) { return d.nightmares; }).length;
+    if (dreamNights || nightmareNights) {
+        insights.push('Dreams on <strong>' + dreamNights + '</strong> and nightmares on <strong>' + nightmareNights + '</strong> of ' +
+            details.length + ' recorded nights');
+    }
+
+    var energy = getMetricDefinition('energy');
+    if (energy && qualities.length > 0) {
+        var rated = data.filter(function(e) { return getEntrySleepDetails(e).quality != null; });
+        var correlation = getImpactCorrelation(rated, function(e) { return getEntrySleepDetails(e).quality; }, energy);
+        if (correlation.significant) {
+            insights.push('<strong>Quality and energy:</strong> days after a better-rated night have ' +
+                (correlation.r > 0 ? 'higher' : 'lower') + ' ' + escapeMetricText(energy.label.toLowerCase()) +
+                ' (' + describeCorrelationResult(correlation, CORRELATION_MIN_SAMPLES) + ')');
+        } else {
+            insights.push('Sleep quality vs next-day ' + escapeMetricText(energy.label.toLowerCase()) + ': no clear link yet (' +
+                describeCorrelationResult(correlation, CORRELATION_MIN_SAMPLES) + ')');
+        }
+    }
+
+    return insights;
 }
 
 /**
  * Calculate sleep insights from data array
- * @param {Array} data - Array of entry objects with sleep arrays
+ * @param {Array} data - Array of day entries
  * @returns {Object} - Sleep insights
  */
 function calculateSleepInsights(data) {
@@ -782,10 +1093,13 @@ function calculateSleepInsights(data) {
     }
 
     var validData = data.filter(function(entry) {
-        return !entry.isMissing && entry.sleep && Array.isArray(entry.sleep);
+        return !entry.isMissing && getEntrySleepSessions(entry).length > 0;
+    });
+    var detailData = data.filter(function(entry) {
+        return !entry.isMissing && getEntrySleepDetails(entry);
     });
 
-    if (validData.length === 0) {
+    if (validData.length === 0 && detailData.length === 0) {
         return {
             html: '<p style="color: #888; font-style: italic;">No valid sleep data available for this period.</p>'
         };
@@ -796,59 +1110,37 @@ function calculateSleepInsights(data) {
     var wakeTimes = [];
     var durations = [];
     validData.forEach(function(entry) {
-        var analysis = analyzeSleepData(entry.sleep);
+        var analysis = analyzeSleepData(getEntrySleepSessions(entry), entry.date);
 
         if (analysis.duration > 0) {
             durations.push(analysis.duration);
-
-            if (analysis.bedtime) {
-                bedtimes.push(analysis.bedtime);
-            }
-            if (analysis.wakeTime) {
-                wakeTimes.push(analysis.wakeTime);
-            }
+            bedtimes.push(analysis.bedtimeOffset);
+            wakeTimes.push(analysis.wakeOffset);
         }
     });
 
-    if (durations.length === 0) {
+    if (durations.length === 0 && detailData.length === 0) {
         return {
             html: '<p style="color: #888; font-style: italic;">No sleep data recorded in this period.</p>'
         };
     }
 
     // Average sleep duration
-    var avgDuration = calculateAverage(durations);
-    insights.push('Average sleep: <strong>' + avgDuration.toFixed(1) + ' hours</strong>');
+    if (durations.length > 0) {
+        insights.push('Average sleep: <strong>' + calculateAverage(durations).toFixed(1) + ' hours</strong>');
+    }
 
-    // Average bedtime (convert times to minutes, average, convert back)
+    // Average bedtime and wake time, measured from the sleep day's start so
+    // nights on either side of midnight average correctly
     if (bedtimes.length > 0) {
-        var avgBedtimeMinutes = calculateAverage(bedtimes.map(function(t) {
-            var parts = t.split(':');
-            var hours = parseInt(parts[0]);
-            var minutes = parseInt(parts[1]);
-            // Convert to minutes from midnight, handle times after midnight as next day
-            var totalMinutes = hours * 60 + minutes;
-            if (hours < 6) totalMinutes += 24 * 60; // If before 6am, assume it's late night
-            return totalMinutes;
-        }));
-
-        var bedHours = Math.floor(avgBedtimeMinutes / 60) % 24;
-        var bedMins = Math.round(avgBedtimeMinutes % 60);
-        insights.push('Average bedtime: <strong>' + String(bedHours).padStart(2, '0') + ':' + String(bedMins).padStart(2, '0') + '</strong>');
+        insights.push('Average bedtime: <strong>' + formatSleepDayOffset(calculateAverage(bedtimes)) + '</strong>');
     }
-
-    // Average wake time
     if (wakeTimes.length > 0) {
-        var avgWakeMinutes = calculateAverage(wakeTimes.map(function(t) {
-            var parts = t.split(':');
-            return parseInt(parts[0]) * 60 + parseInt(parts[1]);
-        }));
-
-        var wakeHours = Math.floor(avgWakeMinutes / 60);
-        var wakeMins = Math.round(avgWakeMinutes % 60);
-        insights.push('Average wake time: <strong>' + String(wakeHours).padStart(2, '0') + ':' + String(wakeMins).padStart(2, '0') + '</strong>');
+        insights.push('Average wake time: <strong>' + formatSleepDayOffset(calculateAverage(wakeTimes)) + '</strong>');
     }
 
+    insights = insights.concat(calculateSleepDetailInsights(detailData));
+
     // Format as HTML
     var html = '<div class="insights-list">' +
         insights.map(function(insight) { return '<div class="insight-item">&bull; ' + insight + '</div>'; }).join('') +
@@ -0,0 +1,137 @@
+// Analytics Intraday
+// When in the day each metric tends to be at its highest and lowest, from the
+// timestamped check-ins (trackers/check-ins.js)
+
+var INTRADAY_BUCKET_HOURS = 3;
+var INTRADAY_BUCKET_COUNT = 24 / INTRADAY_BUCKET_HOURS;
+
+function getIntradayBucket(time) {
+    return Math.floor(Number(String(time).slice(0, 2)) / INTRADAY_BUCKET_HOURS);
+}
+
+function formatIntradayBucket(index) {
+    var pad = function(hour) { return String(hour).padStart(2, '0'); };
+    return pad(index * INTRADAY_BUCKET_HOURS) + '&ndash;' + pad((index + 1) * INTRADAY_BUCKET_HOURS);
+}
+
+/**
+ * Per time-of-day bucket: average rating, and on how many days the day's
+ * highest and lowest check-in fell in it. Only days with at least two
+ * check-ins that differ count towards highs and lows.
+ * @returns {Object} - { buckets: [{ sum, count, highs, lows }], days }
+ */
+function collectIntradayStats(data, metric) {
+    var buckets = [];
+    for (var i = 0; i < INTRADAY_BUCKET_COUNT; i++) buckets.push({ sum: 0, count: 0, highs: 0, lows: 0 });
+    var days = 0;
+
+    data.forEach(function(entry) {
+        if (entry.isMissing) return;
+        var rated = getEntryCheckIns(entry).filter(function(checkIn) { return checkIn.values[metric.id] != null; });
+        rated.forEach(function(checkIn) {
+            var bucket = buckets[getIntradayBucket(checkIn.time)];
+            bucket.sum += checkIn.values[metric.id];
+            bucket.count++;
+        });
+        if (rated.length < 2) return;
+
+        var values = rated.map(function(checkIn) { return checkIn.values[metric.id]; });
+        var highest = Math.max.apply(null, values);
+        var lowest = Math.min.apply(null, values);
+        if (highest === lowest) return;
+        days++;
+        // A value repeated within one bucket counts once for that day
+        var markBuckets = function(target, key) {
+            var seen = {};
+            rated.forEach(function(checkIn) {
+                var index = getIntradayBucket(checkIn.time);
+                if (checkIn.values[metric.id] === target && !seen[index]) {
+                    seen[index] = true;
+                    buckets[index][key]++;
+                }
+            });
+        };
+        markBuckets(highest, 'highs');
+        markBuckets(lowest, 'lows');
+    });
+
+    return { buckets: buckets, days: days };
+}
+
+function getBusiestIntradayBucket(buckets, key) {
+    var best = -1;
+    buckets.forEach(function(bucket, index) {
+        if (bucket[key] > 0 && (best === -1 || bucket[key] > buckets[best][key])) best = index;
+    });
+    return best;
+}
+
+function describeIntradayPattern(metric, stats) {
+    var name = escapeMetricText(metric.label);
+    if (stats.days < 2) {
+        return name + ': needs at least two days with two or more differing check-ins (' + stats.days + ' so far)';
+    }
+    var high = getBusiestIntradayBucket(stats.buckets, 'highs');
+    var low = getBusiestIntradayBucket(stats.buckets, 'lows');
+    return '<strong>' + name + '</strong> is usually highest ' + formatIntradayBucket(high) +
+        ' (' + stats.buckets[high].highs + ' of ' + stats.days + ' days) and lowest ' + formatIntradayBucket(low) +
+        ' (' + stats.buckets[low].lows + ' of ' + stats.days + ' days)';
+}
+
+/**
+ * Render Time of Day tab content
+ */
+function renderIntradayTab(container, data) {
+    var checkInCount = data.reduce(function(total, entry) {
+        return total + (entry.isMissing ? 0 : getEntryCheckIns(entry).length);
+    }, 0);
+    if (!checkInCount) {
+        container.innerHTML = '<div class="chart-wrapper"><p style="color: #888; font-style: italic;">' +
+            'No check-ins in this period. Add check-ins on the States tab of the tracker to see when in the day highs and lows happen.</p></div>';
+        return;
+    }
+
+    // Metrics no check-in rated are left out
+    var metrics = [];
+    var statsByMetric = [];
+    getMetricSchema().forEach(function(metric) {
+        var stats = collectIntradayStats(data, metric);
+        if (!stats.buckets.some(function(bucket) { return bucket.count; })) return;
+        metrics.push(metric);
+        statsByMetric.push(stats);
+    });
+
+    var header = '<tr><th></th>';
+    for (var i = 0; i < INTRADAY_BUCKET_COUNT; i++) header += '<th scope="col">' + formatIntradayBucket(i) + '</th>';
+    header += '</tr>';
+
+    var rows = metrics.map(function(metric, index) {
+        var cells = statsByMetric[index].buckets.map(function(bucket) {
+            if (!bucket.count) return '<td class="intraday-cell intraday-cell-empty">&middot;</td>';
+            var average = bucket.sum / bucket.count;
+            var share = (average - metric.min) / (metric.max - metric.min);
+            var marks = (bucket.highs ? '<span class="intraday-mark intraday-mark-high">&#9650;' + bucket.highs + '</span>' : '') +
+                (bucket.lows ? '<span class="intraday-mark intraday-mark-low">&#9660;' + bucket.lows + '</span>' : '');
+            return '<td class="intraday-cell" style="background: rgba(183,190,250,' + (0.08 + share * 0.42).toFixed(2) + ');" title="' +
+                bucket.count + ' check-in' + (bucket.count === 1 ? '' : 's') + '">' +
+                '<span class="intraday-average">' + average.toFixed(1) + '</span>' + marks + '</td>';
+        }).join('');
+        return '<tr><th scope="row">' + escapeMetricText(metric.label) + '</th>' + cells + '</tr>';
+    }).join('');
+
+    container.innerHTML =
+        '<div class="chart-wrapper">' +
+            '<div class="correlation-matrix-wrap"><table class="correlation-matrix intraday-table">' +
+                '<thead>' + header + '</thead><tbody>' + rows + '</tbody></table></div>' +
+            '<p class="correlation-note">Cells show the average check-in rating in each three-hour window (' + checkInCount +
+                ' check-in' + (checkInCount === 1 ? '' : 's') + '). &#9650; and &#9660; count the days whose highest or lowest check-in fell there.</p>' +
+        '</div>' +
+        '<div class="chart-wrapper"><div class="insights-section">' +
+            '<h4 class="insights-title">When Highs and Lows Happen</h4>' +
+            '<div class="insights-list">' + metrics.map(function(metric, index) {
+                return '<div class="insight-item">&bull; ' + describeIntradayPattern(metric, statsByMetric[index]) + '</div>';
+            }).join('') + '</div>' +
+        '</div></div>';
+}
+
+window.renderIntradayTab = renderIntradayTab;
@@ -103,7 +103,9 @@ function filterDataByRange(data, startDate, endDate) {
 }
 
 /**
- * Fill missing dates in data range with baseline values
+ * Fill missing dates in data range with placeholder entries. They carry no
+ * metric values, so charts leave a gap and averages skip them; days marked
+ * as intentionally skipped (trackers/backfill.js) are missing too.
  * @param {Array} data - Array of entry objects
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
@@ -126,18 +128,10 @@ function fillMissingDates(data, startDate, endDate) {
         if (dataMap[dateStr]) {
             filled.push(dataMap[dateStr]);
         } else {
-            // Create baseline entry for missing date
-            filled.push({
+            filled.push({
                 date: dateStr,
-                energy: { highest: 4, lowest: 4 },
-                mood: { highest: 4, lowest: 4 },
-                anxiety: 4,
-                irritability: 4,
-                productivity: 4,
-                satisfaction: 4,
-                socialActivity: 4,
                 isMissing: true // Flag for visual indication
-            });
+            });
         }
 
         current.setDate(current.getDate() + 1);
@@ -201,3 +195,33 @@ function parseDate(dateStr) {
     const [year, month, day] = dateStr.split('-').map(Number);
     return new Date(year, month - 1, day);
 }
+
+/**
+ * Clock time for minutes since a sleep day's start (18:00 the evening before)
+ * @param {number} minutes - Offset from analyzeSleepData()
+ * @returns {string} - HH:MM
+ */
+function formatSleepDayOffset(minutes) {
+    const total = ((Math.round(SLEEP_DAY_START_HOUR * 60 + minutes) % 1440) + 1440) % 1440;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Sleep quality for display: whole ratings as-is, averages to one decimal
+ * @param {number} quality - 1-7 rating or an average of ratings
+ * @returns {string}
+ */
+function formatSleepQuality(quality) {
+    return Number.isInteger(quality) ? String(quality) : quality.toFixed(1);
+}
+
+/**
+ * Label colour for a sleep quality rating
+ * @param {number} quality - 1-7 rating or an average of ratings
+ * @returns {string} - CSS colour
+ */
+function getSleepQualityColor(quality) {
+    if (quality <= 3) return '#EDB68C';
+    if (quality >= 5) return '#A8E6D9';
+    return '#A7ADD9';
+}
@@ -0,0 +1,142 @@
+// storage/entry-versions.js
+// Bounded version history inside each entriesSymptoms day document.
+// Every write stamps the day with who saved it, when and from which device:
+//   editedAt (ms), editedBy (email, '' on a device-only account), editedDevice ({ id, label })
+// and moves the version it replaces to the front of `history`:
+//   history: [{ editedAt, editedBy, editedDevice, data: { ...entry fields } }, ...] (newest first)
+// The stamp is made on the device when the edit happens (stampEntryEdit), so a
+// queued write keeps its time. `history` is only ever built by the backend from
+// the document as it is stored (addEntryVersion in each repository's putEntry),
+// so clients never send it and a write cannot drop versions another device added.
+// Autosave writes from one device within HISTORY_SESSION_MS count as a single
+// edit, so a burst of typing leaves one version instead of dozens.
+
+const ENTRY_HISTORY_LIMIT = 15;
+const HISTORY_SESSION_MS = 10 * 60 * 1000;
+const TRACKER_DEVICE_KEY = 'trackerDeviceId';
+// Bookkeeping fields that are not part of a version's data
+const ENTRY_VERSION_META_FIELDS = ['date', 'userId', 'userEmail', 'timestamp', 'history', 'editedAt', 'editedBy', 'editedDevice'];
+
+function describeTrackerDevice() {
+    const ua = navigator.userAgent || '';
+    let platform = 'Device';
+    if (/iPhone/.test(ua)) platform = 'iPhone';
+    else if (/iPad/.test(ua) || (/Macintosh/.test(ua) && navigator.maxTouchPoints > 1)) platform = 'iPad';
+    else if (/Android/.test(ua)) platform = 'Android';
+    else if (/Macintosh/.test(ua)) platform = 'Mac';
+    else if (/Windows/.test(ua)) platform = 'Windows';
+    else if (/Linux/.test(ua)) platform = 'Linux';
+    let browser = '';
+    if (/Edg\//.test(ua)) browser = 'Edge';
+    else if (/Firefox\//.test(ua)) browser = 'Firefox';
+    else if (/Chrome\//.test(ua)) browser = 'Chrome';
+    else if (/Safari\//.test(ua)) browser = 'Safari';
+    return browser ? `${platform} · ${browser}` : platform;
+}
+
+/**
+ * This browser's id (kept in localStorage) and a readable label
+ * @returns {{id: string, label: string}}
+ */
+function getTrackerDevice() {
+    let id = '';
+    try {
+        id = localStorage.getItem(TRACKER_DEVICE_KEY) || '';
+        if (!id) {
+            id = `dev${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+            localStorage.setItem(TRACKER_DEVICE_KEY, id);
+        }
+    } catch (e) {
+        id = 'unknown';
+    }
+    return { id, label: describeTrackerDevice() };
+}
+
+/**
+ * Entry fields without bookkeeping, as stored in a version
+ */
+function getEntryVersionData(entry) {
+    const data = {};
+    Object.keys(entry || {}).forEach((key) => {
+        if (ENTRY_VERSION_META_FIELDS.indexOf(key) === -1) data[key] = entry[key];
+    });
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Fields whose values differ between two versions' data
+ */
+function diffEntryVersions(before, after) {
+    const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+    return Array.from(keys).filter((key) =>
+        JSON.stringify(before ? before[key] : undefined) !== JSON.stringify(after ? after[key] : undefined)).sort();
+}
+
+/**
+ * Storage paths of the photos (trackers/photos.js) a day document or any of its versions uses
+ * @returns {Set<string>}
+ */
+function getEntryPhotoPaths(entry) {
+    const paths = new Set();
+    const add = (photos) => (Array.isArray(photos) ? photos : []).forEach((photo) => {
+        if (photo && typeof photo.path === 'string') paths.add(photo.path);
+    });
+    if (!entry) return paths;
+    add(entry.photos);
+    (Array.isArray(entry.history) ? entry.history : []).forEach((version) => add(version && version.data && version.data.photos));
+    return paths;
+}
+
+/**
+ * Stamp a write with this device's editor and the current time
+ * @returns {Object} - data with editedAt/editedBy/editedDevice
+ */
+function stampEntryEdit(data) {
+    const user = window.currentUser;
+    return Object.assign({}, data, {
+        editedAt: Date.now(),
+        editedBy: (user && user.email) || '',
+        editedDevice: getTrackerDevice()
+    });
+}
+
+/**
+ * Carry the stored history forward, adding the stored version when this write
+ * starts a new edit. Called by the backends against the stored document; any
+ * `history` in data is ignored.
+ * @param {Object|null} existing - Day document as currently stored
+ * @param {Object} data - Fields about to be written, stamped by stampEntryEdit (stamped now if not)
+ * @param {Object} options - { merge, newVersion } - newVersion skips session grouping (used by restore)
+ * @returns {Object} - data with editedAt/editedBy/editedDevice and history
+ */
+function addEntryVersion(existing, data, options) {
+    options = options || {};
+    const stamped = data.editedAt && data.editedDevice ? Object.assign({}, data) : stampEntryEdit(data);
+    const history = existing && Array.isArray(existing.history) ? existing.history.slice() : [];
+
+    if (existing) {
+        const before = getEntryVersionData(existing);
+        const after = getEntryVersionData(options.merge ? Object.assign({}, existing, data) : data);
+        const sameSession = !options.newVersion &&
+            existing.editedDevice && existing.editedDevice.id === stamped.editedDevice.id &&
+            Number(stamped.editedAt) - Number(existing.editedAt || 0) < HISTORY_SESSION_MS;
+        if (!sameSession && Object.keys(before).length && diffEntryVersions(before, after).length) {
+            history.unshift({
+                editedAt: Number(existing.editedAt) || null,
+                editedBy: typeof existing.editedBy === 'string' ? existing.editedBy : '',
+                editedDevice: existing.editedDevice || null,
+                data: before
+            });
+        }
+    }
+    stamped.history = history.slice(0, ENTRY_HISTORY_LIMIT);
+    return stamped;
+}
+
+window.ENTRY_VERSION_META_FIELDS = ENTRY_VERSION_META_FIELDS;
+window.getTrackerDevice = getTrackerDevice;
+window.stampEntryEdit = stampEntryEdit;
+window.getEntryVersionData = getEntryVersionData;
+window.diffEntryVersions = diffEntryVersions;
+window.addEntryVersion = addEntryVersion;
+window.getEntryPhotoPaths = getEntryPhotoPaths;
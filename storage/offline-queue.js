@@ -0,0 +1,423 @@
+// storage/offline-queue.js
+// Local-first persistence for entriesSymptoms day documents.
+// Every write lands in IndexedDB first (a local mirror of the day plus one pending
+// record per day) and is replayed to the remote repository in queue order once we
+// are online. See storage/tracker-repository.js for the repository interface.
+// The mirror keeps a version history of its own so the restore panel works
+// offline, but pending writes only carry the edit stamp: the remote builds the
+// real history from its stored document (storage/entry-versions.js).
+// Signing out syncs what it can and then removes the account's days from the device.
+
+const OFFLINE_DB_NAME = 'everything-tracker';
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_ENTRIES_STORE = 'entries';
+const OFFLINE_PENDING_STORE = 'pendingWrites';
+const OFFLINE_SYNC_TAG = 'flush-entries';
+const OFFLINE_FLUSH_WAIT_MS = 4000;
+
+let offlineDbPromise = null;
+let offlineFlushPromise = null;
+let offlineFlushRequested = false;
+let offlineRemoteRepository = null;
+
+function openOfflineDb() {
+    if (offlineDbPromise) return offlineDbPromise;
+    offlineDbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OFFLINE_ENTRIES_STORE)) {
+                db.createObjectStore(OFFLINE_ENTRIES_STORE, { keyPath: 'id' }).createIndex('uid', 'uid');
+            }
+            if (!db.objectStoreNames.contains(OFFLINE_PENDING_STORE)) {
+                db.createObjectStore(OFFLINE_PENDING_STORE, { keyPath: 'id' }).createIndex('uid', 'uid');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    offlineDbPromise.catch(() => { offlineDbPromise = null; });
+    return offlineDbPromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// With an array of store names, fn gets the stores in the same order
+async function withOfflineStore(storeName, mode, fn) {
+    const db = await openOfflineDb();
+    const tx = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(Array.isArray(storeName)
+        ? storeName.map((name) => tx.objectStore(name))
+        : tx.objectStore(storeName));
+    await done;
+    return result;
+}
+
+function getOfflineKey(uid, dateStr) {
+    return `${uid}/${dateStr}`;
+}
+
+// Firestore Timestamps do not survive structured cloning, so stored payloads keep
+// plain JSON data and the timestamp is rebuilt from queuedAt when replayed.
+function toStorablePayload(payload) {
+    const copy = Object.assign({}, payload || {});
+    delete copy.timestamp;
+    return JSON.parse(JSON.stringify(copy));
+}
+
+function notifyPendingSyncChange() {
+    window.dispatchEvent(new CustomEvent('pendingsyncchange'));
+}
+
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then((registration) => registration.sync ? registration.sync.register(OFFLINE_SYNC_TAG) : null)
+        .catch(() => {});
+}
+
+async function getLocalEntry(uid, dateStr) {
+    if (!uid || !dateStr) return null;
+    const record = await withOfflineStore(OFFLINE_ENTRIES_STORE, 'readonly',
+        (store) => idbRequest(store.get(getOfflineKey(uid, dateStr))));
+    return record ? Object.assign({}, record.data, { date: record.date }) : null;
+}
+
+async function getLocalEntries(uid) {
+    if (!uid) return [];
+    const records = await withOfflineStore(OFFLINE_ENTRIES_STORE, 'readonly',
+        (store) => idbRequest(store.index('uid').getAll(uid)));
+    return records.map((record) => Object.assign({}, record.data, { date: record.date }));
+}
+
+async function getPendingSyncDates(uid) {
+    if (!uid) return new Set();
+    try {
+        const records = await withOfflineStore(OFFLINE_PENDING_STORE, 'readonly',
+            (store) => idbRequest(store.index('uid').getAll(uid)));
+        return new Set(records.map((record) => record.date));
+    } catch (e) {
+        return new Set();
+    }
+}
+
+/**
+ * Write a day to the local mirror, keeping its version history (storage/entry-versions.js).
+ * This is the stored document for the device-only backend.
+ * @param {Object} options - { merge, newVersion }
+ * @returns {Promise<Object>} - The fields as written, history included
+ */
+async function putLocalEntry(uid, dateStr, payload, options) {
+    return withOfflineStore(OFFLINE_ENTRIES_STORE, 'readwrite',
+        (store) => writeLocalEntry(store, uid, dateStr, payload, options));
+}
+
+/**
+ * Write many days to the local mirror in one transaction
+ * @param {Array} writes - [{ date, data, options }]
+ */
+async function putLocalEntries(uid, writes) {
+    await withOfflineStore(OFFLINE_ENTRIES_STORE, 'readwrite', async (store) => {
+        for (const write of writes) {
+            await writeLocalEntry(store, uid, write.date, write.data, write.options);
+        }
+    });
+}
+
+async function writeLocalEntry(store, uid, dateStr, payload, options) {
+    const id = getOfflineKey(uid, dateStr);
+    const merge = !!(options && options.merge);
+    const existing = await idbRequest(store.get(id));
+    const data = addEntryVersion(existing ? existing.data : null, toStorablePayload(payload), options);
+    const next = merge && existing ? Object.assign({}, existing.data, data) : data;
+    store.put({ id, uid, date: dateStr, data: next });
+    return data;
+}
+
+// One pending record per day: merge writes fold into it, full writes replace it.
+async function queuePendingWrite(store, uid, dateStr, data, options, queuedAt) {
+    const id = getOfflineKey(uid, dateStr);
+    const merge = !!(options && options.merge);
+    const existing = await idbRequest(store.get(id));
+    const fold = merge && existing;
+    store.put({
+        id,
+        uid,
+        date: dateStr,
+        payload: fold ? Object.assign({}, existing.payload, data) : data,
+        merge: fold ? existing.merge : merge,
+        newVersion: !!(options && options.newVersion) || !!(fold && existing.newVersion),
+        queuedAt
+    });
+}
+
+/**
+ * Refresh the local mirror with documents read from the remote repository.
+ * Days that still have a pending write keep their local version.
+ * @param {boolean} complete - entries is everything the remote has; mirrored
+ *   days missing from it (deleted elsewhere) are dropped
+ */
+async function cacheRemoteEntries(uid, entries, complete) {
+    if (!uid || !Array.isArray(entries) || (!entries.length && !complete)) return;
+    await withOfflineStore([OFFLINE_ENTRIES_STORE, OFFLINE_PENDING_STORE], 'readwrite', async ([store, pendingStore]) => {
+        const pendingRecords = await idbRequest(pendingStore.index('uid').getAll(uid));
+        const pending = new Set(pendingRecords.map((record) => record.date));
+        const remoteDates = new Set();
+        entries.forEach((entry) => {
+            if (!entry || !entry.date) return;
+            remoteDates.add(entry.date);
+            if (pending.has(entry.date)) return;
+            store.put({ id: getOfflineKey(uid, entry.date), uid, date: entry.date, data: toStorablePayload(entry) });
+        });
+        if (!complete) return;
+        const records = await idbRequest(store.index('uid').getAll(uid));
+        records.forEach((record) => {
+            if (!remoteDates.has(record.date) && !pending.has(record.date)) store.delete(record.id);
+        });
+    });
+}
+
+/**
+ * Try to sync what is still queued for a user, e.g. before signing out
+ * @returns {Promise<number>} - Days that are still only on this device
+ */
+async function settlePendingWrites(uid) {
+    await Promise.race([
+        flushPendingWrites(),
+        new Promise((resolve) => setTimeout(resolve, OFFLINE_FLUSH_WAIT_MS))
+    ]);
+    return (await getPendingSyncDates(uid)).size;
+}
+
+/**
+ * Remove a user's mirrored days and queued writes from this device
+ */
+async function clearOfflineEntries(uid) {
+    if (!uid) return;
+    await withOfflineStore([OFFLINE_ENTRIES_STORE, OFFLINE_PENDING_STORE], 'readwrite', async (stores) => {
+        for (const store of stores) {
+            const keys = await idbRequest(store.index('uid').getAllKeys(uid));
+            keys.forEach((key) => store.delete(key));
+        }
+    });
+    notifyPendingSyncChange();
+}
+
+/**
+ * Replay pending writes for the signed-in user, oldest first.
+ * Stops at the first failure so later writes never overtake earlier ones.
+ * @returns {Promise<boolean>} - false when replay could not finish
+ */
+async function replayPendingWrites() {
+    const user = window.currentUser;
+    if (!user || !offlineRemoteRepository || navigator.onLine === false) return false;
+    const records = await withOfflineStore(OFFLINE_PENDING_STORE, 'readonly',
+        (store) => idbRequest(store.index('uid').getAll(user.uid)));
+    records.sort((a, b) => a.queuedAt - b.queuedAt);
+
+    for (const record of records) {
+        try {
+            await offlineRemoteRepository.putEntry(record.uid, record.date, record.payload, {
+                merge: record.merge,
+                newVersion: !!record.newVersion,
+                timestamp: record.queuedAt
+            });
+        } catch (e) {
+            console.warn('Pending sync stopped:', e);
+            return false;
+        }
+        // A newer edit may have been queued for this day while we were writing.
+        await withOfflineStore(OFFLINE_PENDING_STORE, 'readwrite', async (store) => {
+            const latest = await idbRequest(store.get(record.id));
+            if (latest && latest.queuedAt === record.queuedAt) store.delete(record.id);
+        });
+    }
+    return true;
+}
+
+function flushPendingWrites() {
+    offlineFlushRequested = true;
+    if (offlineFlushPromise) return offlineFlushPromise;
+    offlineFlushPromise = (async () => {
+        // Writes queued while a replay is running are picked up by another pass.
+        while (offlineFlushRequested) {
+            offlineFlushRequested = false;
+            if (!(await replayPendingWrites())) break;
+        }
+    })().catch((e) => {
+        console.error('Pending sync failed:', e);
+    }).finally(() => {
+        offlineFlushPromise = null;
+        notifyPendingSyncChange();
+    });
+    return offlineFlushPromise;
+}
+
+/**
+ * Save a day entry locally, queue it for the remote and try to sync right away.
+ * @param {string} uid - Owner of the entry
+ * @param {string} dateStr - YYYY-MM-DD document id
+ * @param {Object} payload - Entry fields, same shape as written to Firestore
+ * @param {Object} options - { merge: boolean } as passed to setDoc, plus newVersion (see addEntryVersion)
+ *   which is kept until the queued write is replayed
+ * @returns {Promise<{pending: boolean}>} - pending is true while the write only exists locally
+ */
+async function saveEntryOfflineFirst(uid, dateStr, payload, options) {
+    const result = await saveEntriesOfflineFirst(uid, [{ date: dateStr, data: payload, options }]);
+    return { pending: result.pending > 0 };
+}
+
+/**
+ * Save many days locally in one transaction, then try to sync them in a single flush.
+ * @param {Array} writes - [{ date, data, options }], options as for saveEntryOfflineFirst
+ * @returns {Promise<{pending: number}>} - Days of these writes that only exist locally
+ */
+async function saveEntriesOfflineFirst(uid, writes) {
+    const queuedAt = Date.now();
+    const stamped = writes.map((write) => {
+        const data = toStorablePayload(stampEntryEdit(write.data));
+        delete data.history;
+        return { date: write.date, data, options: write.options };
+    });
+
+    try {
+        await withOfflineStore([OFFLINE_ENTRIES_STORE, OFFLINE_PENDING_STORE], 'readwrite', async ([store, pendingStore]) => {
+            for (const write of stamped) {
+                await writeLocalEntry(store, uid, write.date, write.data, write.options);
+                await queuePendingWrite(pendingStore, uid, write.date, write.data, write.options, queuedAt);
+            }
+        });
+    } catch (e) {
+        // No IndexedDB (e.g. private browsing) - fall back to direct writes.
+        console.warn('Offline queue unavailable, writing directly:', e);
+        for (const write of stamped) {
+            await offlineRemoteRepository.putEntry(uid, write.date, write.data, {
+                merge: !!(write.options && write.options.merge),
+                newVersion: !!(write.options && write.options.newVersion)
+            });
+        }
+        return { pending: 0 };
+    }
+
+    notifyPendingSyncChange();
+    requestBackgroundSync();
+    // setDoc can stay unresolved on a flaky connection; report the days as pending
+    // instead of blocking the caller and let the replay finish in the background.
+    await Promise.race([
+        flushPendingWrites(),
+        new Promise((resolve) => setTimeout(resolve, OFFLINE_FLUSH_WAIT_MS))
+    ]);
+    const pending = await getPendingSyncDates(uid);
+    return { pending: stamped.filter((write) => pending.has(write.date)).length };
+}
+
+/**
+ * Read one day entry, preferring an unsynced local version and falling back to
+ * the local mirror when the remote cannot be reached.
+ */
+async function readEntryLocalFirst(uid, dateStr) {
+    let local = null;
+    let pending = new Set();
+    try {
+        local = await getLocalEntry(uid, dateStr);
+        pending = await getPendingSyncDates(uid);
+    } catch (e) {
+        local = null;
+    }
+    if (local && (pending.has(dateStr) || navigator.onLine === false)) return local;
+
+    try {
+        const data = await offlineRemoteRepository.getEntry(uid, dateStr);
+        if (data) cacheRemoteEntries(uid, [data]).catch(() => {});
+        return data;
+    } catch (e) {
+        if (local) return local;
+        throw e;
+    }
+}
+
+/**
+ * Read all day entries for a user, remote first when online with unsynced local
+ * days laid over the top; offline (or on failure) the local mirror is used.
+ * @returns {Promise<Array>} - Entry objects, each with a `date`
+ */
+async function listEntriesLocalFirst(uid) {
+    let local = [];
+    let pending = new Set();
+    try {
+        local = await getLocalEntries(uid);
+        pending = await getPendingSyncDates(uid);
+    } catch (e) {
+        local = [];
+    }
+    if (local.length && navigator.onLine === false) return local;
+
+    try {
+        const remote = await offlineRemoteRepository.listEntries(uid);
+        const byDate = {};
+        remote.forEach((entry) => { byDate[entry.date] = entry; });
+        cacheRemoteEntries(uid, remote, true).catch(() => {});
+        local.forEach((entry) => {
+            if (entry && pending.has(entry.date)) byDate[entry.date] = entry;
+        });
+        return Object.keys(byDate).map((dateKey) => byDate[dateKey]);
+    } catch (e) {
+        if (local.length) return local;
+        throw e;
+    }
+}
+
+/**
+ * Wrap a remote repository with the IndexedDB mirror and write queue.
+ * Only one remote is active at a time; the queue replays into the latest one.
+ * @param {Object} remote - Repository implementation (see createFirestoreTrackerRepository)
+ * @returns {Object} - Repository with the same interface
+ */
+function createOfflineFirstTrackerRepository(remote) {
+    offlineRemoteRepository = remote;
+    return {
+        name: 'offline-first',
+        getEntry: readEntryLocalFirst,
+        putEntry: saveEntryOfflineFirst,
+        putEntries: saveEntriesOfflineFirst,
+        listEntries(uid, range) {
+            return listEntriesLocalFirst(uid).then((entries) => filterEntriesByDateRange(entries, range));
+        },
+        watch(uid, callback) {
+            return remote.watch(uid, callback);
+        },
+        watchEntry(uid, dateStr, callback) {
+            return remote.watchEntry(uid, dateStr, callback);
+        }
+    };
+}
+
+window.addEventListener('online', () => {
+    flushPendingWrites();
+});
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'flush-pending-writes') flushPendingWrites();
+    });
+}
+
+window.flushPendingWrites = flushPendingWrites;
+window.getPendingSyncDates = getPendingSyncDates;
+window.settlePendingWrites = settlePendingWrites;
+window.clearOfflineEntries = clearOfflineEntries;
+window.createOfflineFirstTrackerRepository = createOfflineFirstTrackerRepository;
@@ -0,0 +1,311 @@
+// storage/tracker-repository.js
+// One place for reading and writing entriesSymptoms day documents.
+//
+// Every backend implements the same interface (all dates are YYYY-MM-DD keys):
+//   getEntry(uid, date)                 -> Promise<Object|null>
+//   putEntry(uid, date, data, options)  -> Promise<{ pending: boolean }>  options: { merge, timestamp, newVersion }
+//   putEntries(uid, writes)             -> Promise<{ pending: number }>  writes: [{ date, data, options }], e.g. an import
+//   listEntries(uid, range)             -> Promise<Array>  range: { start, end } (inclusive, optional)
+//   watch(uid, callback)                -> unsubscribe function; callback(entries) on every change
+//   watchEntry(uid, date, callback)     -> unsubscribe function; callback(entry|null) when that day may have changed
+// Entries always carry their `date`. Each backend builds the version history
+// from the document it has stored (storage/entry-versions.js); `history` sent
+// by a caller is ignored. The active backend is exposed as window.trackerRepository.
+
+const TRACKER_BACKEND_KEY = 'trackerBackend';
+const LOCAL_TRACKER_USER = { uid: 'local', email: '' };
+
+function isEntryDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function filterEntriesByDateRange(entries, range) {
+    if (!range) return entries;
+    return entries.filter((entry) => {
+        if (range.start && entry.date < range.start) return false;
+        if (range.end && entry.date > range.end) return false;
+        return true;
+    });
+}
+
+function sortEntriesByDate(entries) {
+    return entries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Modular snapshots expose `docs`, compat ones only `forEach`.
+function entriesFromSnapshot(snap) {
+    const byDate = {};
+    const addDoc = (docSnap) => {
+        const data = typeof docSnap.data === 'function' ? (docSnap.data() || {}) : {};
+        const dateKey = isEntryDateKey(docSnap.id)
+            ? docSnap.id
+            : (typeof data.date === 'string' ? data.date : '');
+        if (isEntryDateKey(dateKey)) byDate[dateKey] = Object.assign({}, data, { date: dateKey });
+    };
+    if (snap && Array.isArray(snap.docs)) {
+        snap.docs.forEach(addDoc);
+    } else if (snap && typeof snap.forEach === 'function') {
+        snap.forEach(addDoc);
+    }
+    return sortEntriesByDate(Object.keys(byDate).map((dateKey) => byDate[dateKey]));
+}
+
+// putEntries for backends that write one document at a time anyway
+async function putEntriesInTurn(repository, uid, writes) {
+    let pending = 0;
+    for (const write of writes) {
+        const result = await repository.putEntry(uid, write.date, write.data, write.options);
+        if (result && result.pending) pending++;
+    }
+    return { pending };
+}
+
+// watchEntry for backends that only notify with the full list
+function watchOneEntry(repository, uid, dateStr, callback) {
+    return repository.watch(uid, (entries) => {
+        callback(entries.find((entry) => entry.date === dateStr) || null);
+    });
+}
+
+function createWatchers() {
+    const listeners = {};
+    return {
+        add(uid, callback) {
+            (listeners[uid] = listeners[uid] || []).push(callback);
+            return () => {
+                listeners[uid] = (listeners[uid] || []).filter((fn) => fn !== callback);
+            };
+        },
+        notify(uid, entries) {
+            (listeners[uid] || []).forEach((fn) => fn(entries));
+        }
+    };
+}
+
+// Delete photo files that no version of the day uses any more: a removed
+// photo stays in the history until the version holding it is trimmed
+function deleteReleasedPhotos(before, after) {
+    if (!window.firebaseDeleteObject || !window.firebaseStorage) return;
+    const kept = getEntryPhotoPaths(after);
+    getEntryPhotoPaths(before).forEach((path) => {
+        if (kept.has(path)) return;
+        window.firebaseDeleteObject(window.firebaseRef(window.firebaseStorage, path)).catch((e) => {
+            console.warn('Photo delete failed:', e);
+        });
+    });
+}
+
+/**
+ * Firestore backend: users/{uid}/entriesSymptoms/{date}.
+ * Uses the window.firebase* globals set up by the SDK scripts in index.html.
+ * Writes run in a transaction so the history is built from the document as
+ * the server has it, not from what this device last saw.
+ */
+function createFirestoreTrackerRepository() {
+    function requireFirebase() {
+        if (!window.firebaseDb || !window.firebaseDoc || !window.firebaseCollection) {
+            throw new Error('Firebase is not initialized');
+        }
+    }
+
+    function entriesRef(uid) {
+        return window.firebaseCollection(window.firebaseDb, 'users', uid, 'entriesSymptoms');
+    }
+
+    const repository = {
+        name: 'firestore',
+        async getEntry(uid, dateStr) {
+            requireFirebase();
+            const ref = window.firebaseDoc(window.firebaseDb, 'users', uid, 'entriesSymptoms', dateStr);
+            const snap = await window.firebaseGetDoc(ref);
+            const exists = typeof snap.exists === 'function' ? snap.exists() : !!snap.exists;
+            return exists ? Object.assign({}, snap.data(), { date: dateStr }) : null;
+        },
+        async putEntry(uid, dateStr, data, options) {
+            requireFirebase();
+            options = options || {};
+            const payload = Object.assign({}, data, { date: dateStr });
+            if (window.firebaseTimestamp) {
+                payload.timestamp = options.timestamp
+                    ? window.firebaseTimestamp.fromMillis(options.timestamp)
+                    : window.firebaseTimestamp.now();
+            }
+            const ref = window.firebaseDoc(window.firebaseDb, 'users', uid, 'entriesSymptoms', dateStr);
+            let before = null;
+            let after = null;
+            await window.firebaseRunTransaction(window.firebaseDb, async (transaction) => {
+                const snap = await transaction.get(ref);
+                const exists = typeof snap.exists === 'function' ? snap.exists() : !!snap.exists;
+                before = exists ? snap.data() : null;
+                const next = addEntryVersion(before, payload, options);
+                after = options.merge && before ? Object.assign({}, before, next) : next;
+                transaction.set(ref, next, { merge: !!options.merge });
+            });
+            deleteReleasedPhotos(before, after);
+            return { pending: false };
+        },
+        putEntries(uid, writes) {
+            return putEntriesInTurn(repository, uid, writes);
+        },
+        async listEntries(uid, range) {
+            requireFirebase();
+            const snap = await window.firebaseGetDocs(entriesRef(uid));
+            return filterEntriesByDateRange(entriesFromSnapshot(snap), range);
+        },
+        watch(uid, callback) {
+            if (!window.firebaseOnSnapshot) return () => {};
+            requireFirebase();
+            return window.firebaseOnSnapshot(entriesRef(uid), (snap) => {
+                callback(entriesFromSnapshot(snap));
+            }, (err) => {
+                console.error('Entries watch error:', err);
+            });
+        },
+        watchEntry(uid, dateStr, callback) {
+            if (!window.firebaseOnSnapshot) return () => {};
+            requireFirebase();
+            const ref = window.firebaseDoc(window.firebaseDb, 'users', uid, 'entriesSymptoms', dateStr);
+            return window.firebaseOnSnapshot(ref, (snap) => {
+                const exists = typeof snap.exists === 'function' ? snap.exists() : !!snap.exists;
+                callback(exists ? Object.assign({}, snap.data(), { date: dateStr }) : null);
+            }, (err) => {
+                console.error('Entry watch error:', err);
+            });
+        }
+    };
+    return repository;
+}
+
+/**
+ * Device-only backend on the IndexedDB mirror from storage/offline-queue.js.
+ * Used when the app runs without a Firebase account.
+ */
+function createIndexedDbTrackerRepository() {
+    const watchers = createWatchers();
+
+    async function notify(uid) {
+        watchers.notify(uid, sortEntriesByDate(await getLocalEntries(uid)));
+    }
+
+    const repository = {
+        name: 'local',
+        async getEntry(uid, dateStr) {
+            const data = await getLocalEntry(uid, dateStr);
+            return data ? Object.assign({}, data, { date: dateStr }) : null;
+        },
+        async putEntry(uid, dateStr, data, options) {
+            await putLocalEntry(uid, dateStr, Object.assign({}, data, { date: dateStr }), options);
+            notify(uid).catch(() => {});
+            return { pending: false };
+        },
+        async putEntries(uid, writes) {
+            await putLocalEntries(uid, writes.map((write) => ({
+                date: write.date,
+                data: Object.assign({}, write.data, { date: write.date }),
+                options: write.options
+            })));
+            notify(uid).catch(() => {});
+            return { pending: 0 };
+        },
+        async listEntries(uid, range) {
+            return filterEntriesByDateRange(sortEntriesByDate(await getLocalEntries(uid)), range);
+        },
+        watch(uid, callback) {
+            return watchers.add(uid, callback);
+        },
+        watchEntry(uid, dateStr, callback) {
+            return watchOneEntry(repository, uid, dateStr, callback);
+        }
+    };
+    return repository;
+}
+
+/**
+ * In-memory backend, e.g. for tests.
+ * @param {Object} seed - Optional { [uid]: Array of entries }
+ */
+function createMemoryTrackerRepository(seed) {
+    const store = {};
+    const watchers = createWatchers();
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+    const userEntries = (uid) => (store[uid] = store[uid] || {});
+
+    Object.keys(seed || {}).forEach((uid) => {
+        (seed[uid] || []).forEach((entry) => {
+            if (entry && isEntryDateKey(entry.date)) userEntries(uid)[entry.date] = clone(entry);
+        });
+    });
+
+    function list(uid) {
+        const entries = userEntries(uid);
+        return sortEntriesByDate(Object.keys(entries).map((dateKey) => clone(entries[dateKey])));
+    }
+
+    const repository = {
+        name: 'memory',
+        async getEntry(uid, dateStr) {
+            const entry = userEntries(uid)[dateStr];
+            return entry ? clone(entry) : null;
+        },
+        async putEntry(uid, dateStr, data, options) {
+            const entries = userEntries(uid);
+            const next = clone(addEntryVersion(entries[dateStr] || null, Object.assign({}, data, { date: dateStr }), options));
+            entries[dateStr] = options && options.merge && entries[dateStr]
+                ? Object.assign(entries[dateStr], next)
+                : next;
+            watchers.notify(uid, list(uid));
+            return { pending: false };
+        },
+        putEntries(uid, writes) {
+            return putEntriesInTurn(repository, uid, writes);
+        },
+        async listEntries(uid, range) {
+            return filterEntriesByDateRange(list(uid), range);
+        },
+        watch(uid, callback) {
+            return watchers.add(uid, callback);
+        },
+        watchEntry(uid, dateStr, callback) {
+            return watchOneEntry(repository, uid, dateStr, callback);
+        }
+    };
+    return repository;
+}
+
+function getTrackerBackendName() {
+    const param = new URLSearchParams(window.location.search).get('backend');
+    if (param === 'local' || param === 'firestore') {
+        localStorage.setItem(TRACKER_BACKEND_KEY, param);
+        return param;
+    }
+    return localStorage.getItem(TRACKER_BACKEND_KEY) === 'local' ? 'local' : 'firestore';
+}
+
+function isLocalTrackerMode() {
+    return getTrackerBackendName() === 'local';
+}
+
+/**
+ * Pick the backend for this session: `?backend=local|firestore` or the
+ * saved choice, defaulting to Firestore behind the offline write queue.
+ */
+function initTrackerRepository() {
+    window.trackerRepository = isLocalTrackerMode()
+        ? createIndexedDbTrackerRepository()
+        : createOfflineFirstTrackerRepository(createFirestoreTrackerRepository());
+    return window.trackerRepository;
+}
+
+function setTrackerBackend(name) {
+    localStorage.setItem(TRACKER_BACKEND_KEY, name === 'local' ? 'local' : 'firestore');
+    return initTrackerRepository();
+}
+
+initTrackerRepository();
+
+window.LOCAL_TRACKER_USER = LOCAL_TRACKER_USER;
+window.isLocalTrackerMode = isLocalTrackerMode;
+window.setTrackerBackend = setTrackerBackend;
+window.createFirestoreTrackerRepository = createFirestoreTrackerRepository;
+window.createIndexedDbTrackerRepository = createIndexedDbTrackerRepository;
+window.createMemoryTrackerRepository = createMemoryTrackerRepository;
@@ -0,0 +1,111 @@
+// storage/user-settings.js
+// Small per-user settings documents: users/{uid}/settings/{key} = { value, updatedAt }.
+// The last known value is cached in localStorage so settings apply offline and
+// right after start-up; device-only mode (see tracker-repository.js) keeps them
+// in localStorage alone.
+
+const USER_SETTINGS_CACHE_PREFIX = 'userSetting:';
+const USER_SETTINGS_SAVE_WAIT_MS = 4000;
+
+function getUserSettingCacheKey(uid, key) {
+    return `${USER_SETTINGS_CACHE_PREFIX}${key}:${uid}`;
+}
+
+function readCachedUserSetting(uid, key) {
+    try {
+        const raw = localStorage.getItem(getUserSettingCacheKey(uid, key));
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeCachedUserSetting(uid, key, record) {
+    try {
+        localStorage.setItem(getUserSettingCacheKey(uid, key), JSON.stringify(record));
+    } catch (e) {
+        // ignore storage errors
+    }
+}
+
+function canUseRemoteUserSettings() {
+    return !window.isLocalTrackerMode() && !!window.firebaseDb && !!window.firebaseDoc;
+}
+
+async function pushUserSetting(uid, key, record) {
+    const ref = window.firebaseDoc(window.firebaseDb, 'users', uid, 'settings', key);
+    await window.firebaseSetDoc(ref, { value: record.value, updatedAt: record.updatedAt });
+    writeCachedUserSetting(uid, key, { value: record.value, updatedAt: record.updatedAt, dirty: false });
+}
+
+/**
+ * Read a setting, preferring Firestore when online. A cached value that was
+ * saved offline (dirty) wins and is pushed up instead.
+ * @param {string} uid - Owner of the setting
+ * @param {string} key - Settings document id
+ * @returns {Promise<*>} - Stored value, or null when never saved
+ */
+async function loadUserSetting(uid, key) {
+    if (!uid) return null;
+    const cached = readCachedUserSetting(uid, key);
+    if (!canUseRemoteUserSettings() || navigator.onLine === false) {
+        return cached ? cached.value : null;
+    }
+    if (cached && cached.dirty) {
+        pushUserSetting(uid, key, cached).catch((e) => console.warn(`Setting ${key} sync failed:`, e));
+        return cached.value;
+    }
+
+    try {
+        const snap = await window.firebaseGetDoc(window.firebaseDoc(window.firebaseDb, 'users', uid, 'settings', key));
+        const exists = typeof snap.exists === 'function' ? snap.exists() : !!snap.exists;
+        if (!exists) return cached ? cached.value : null;
+        const data = snap.data() || {};
+        writeCachedUserSetting(uid, key, { value: data.value, updatedAt: data.updatedAt || 0, dirty: false });
+        return data.value === undefined ? null : data.value;
+    } catch (e) {
+        console.warn(`Setting ${key} load failed, using cached copy:`, e);
+        return cached ? cached.value : null;
+    }
+}
+
+/**
+ * Save a setting locally and to Firestore. Offline saves stay marked dirty and
+ * are pushed on the next load.
+ * @returns {Promise<{pending: boolean}>}
+ */
+async function saveUserSetting(uid, key, value) {
+    if (!uid) throw new Error('No user to save settings for');
+    const record = { value: JSON.parse(JSON.stringify(value)), updatedAt: Date.now(), dirty: true };
+    writeCachedUserSetting(uid, key, record);
+    if (!canUseRemoteUserSettings()) {
+        writeCachedUserSetting(uid, key, Object.assign({}, record, { dirty: false }));
+        return { pending: false };
+    }
+    try {
+        // setDoc may not settle while offline; the push still completes later.
+        const saved = await Promise.race([
+            pushUserSetting(uid, key, record).then(() => true),
+            new Promise((resolve) => setTimeout(() => resolve(false), USER_SETTINGS_SAVE_WAIT_MS))
+        ]);
+        return { pending: !saved };
+    } catch (e) {
+        console.warn(`Setting ${key} saved on this device only:`, e);
+        return { pending: true };
+    }
+}
+
+function clearUserSettingsCache(uid) {
+    if (!uid) return;
+    try {
+        Object.keys(localStorage)
+            .filter((storageKey) => storageKey.startsWith(USER_SETTINGS_CACHE_PREFIX) && storageKey.endsWith(`:${uid}`))
+            .forEach((storageKey) => localStorage.removeItem(storageKey));
+    } catch (e) {
+        // ignore storage errors
+    }
+}
+
+window.loadUserSetting = loadUserSetting;
+window.saveUserSetting = saveUserSetting;
+window.clearUserSettingsCache = clearUserSettingsCache;
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'tracker-v2-static-v4';
+const CACHE_NAME = 'tracker-v2-static-v47';
 const APP_SHELL = [
   './',
   'index.html',
@@ -19,9 +19,30 @@ const APP_SHELL = [
   'trackers/sleep.css',
   'trackers/sleep.js',
   'trackers/caffeine.js',
+  'storage/entry-versions.js',
+  'storage/offline-queue.js',
+  'storage/tracker-repository.js',
+  'storage/user-settings.js',
+  'trackers/metrics.js',
+  'trackers/medications.js',
+  'trackers/check-ins.js',
+  'trackers/activities.js',
+  'trackers/note-tags.js',
+  'trackers/tag-manager.js',
+  'trackers/photos.js',
+  'trackers/diary-search.js',
+  'trackers/diary-calendar.js',
+  'trackers/diary-editor.js',
+  'trackers/backfill.js',
+  'trackers/history.js',
+  'trackers/day-sync.js',
   'analytics/analytics.css',
   'analytics/analytics.js',
+  'analytics/export.js',
+  'analytics/import.js',
   'analytics/charts.js',
+  'analytics/correlations.js',
+  'analytics/intraday.js',
   'analytics/insights.js',
   'analytics/utils.js'
 ];
@@ -46,6 +67,17 @@ self.addEventListener('activate', (event) => {
   self.clients.claim();
 });
 
+// The Firestore SDK only lives in the page, so background sync asks any open
+// client to replay its IndexedDB write queue.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'flush-entries') return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'flush-pending-writes' }));
+    })
+  );
+});
+
 self.addEventListener('fetch', (event) => {
   const req = event.request;
   if (req.method !== 'GET') return;
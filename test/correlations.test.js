@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserContext, loadScripts, plain } from './helpers/browser-context.js';
+
+function createCorrelations() {
+    return loadScripts(createBrowserContext(), ['analytics/utils.js', 'analytics/insights.js', 'analytics/correlations.js']);
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+}
+
+test('tied values share their mean rank', () => {
+    const window = createCorrelations();
+    assert.deepEqual(plain(window.rankValues([30, 10, 20, 20, 10, 10])), [6, 2, 4.5, 4.5, 2, 2]);
+});
+
+test('the 95% interval for a small sample follows the Fisher z transform', () => {
+    const window = createCorrelations();
+    // z = atanh(0.5) = 0.549306, se = 1 / sqrt(10 - 3)
+    const [low, high] = window.correlationInterval(0.5, 10, 'pearson');
+    assertClose(low, -0.189197, 'Pearson low');
+    assertClose(high, 0.859157, 'Pearson high');
+    // Spearman widens the standard error to sqrt(1.06 / 7)
+    const [rankLow, rankHigh] = window.correlationInterval(0.5, 10, 'spearman');
+    assertClose(rankLow, -0.210223, 'Spearman low');
+    assertClose(rankHigh, 0.864785, 'Spearman high');
+    assert.equal(window.correlationInterval(0.5, 3, 'pearson'), null);
+});
+
+test('p-values are two-sided on the same scale as the interval', () => {
+    const window = createCorrelations();
+    // z = 0.549306 * sqrt(27) = 2.854274, two-sided p = 0.004313
+    assertClose(window.correlationPValue(0.5, 30, 'pearson'), 0.0043135, 'p');
+    assertClose(window.correlationPValue(0, 30, 'pearson'), 1, 'p at r = 0');
+});
+
+test('Benjamini-Hochberg adjusts by rank and keeps the order', () => {
+    const window = createCorrelations();
+    const items = [0.01, 0.04, 0.03, 0.2].map((p) => ({ result: { p } }));
+    window.adjustPValues(items);
+    // Ranked 0.01, 0.03, 0.04, 0.2: p * 4 / rank = 0.04, 0.06, 0.0533, 0.2,
+    // then each is capped by the ones ranked after it
+    const q = items.map((item) => item.result.q);
+    [0.04, 0.16 / 3, 0.16 / 3, 0.2].forEach((expected, i) => assertClose(q[i], expected, `q ${i}`));
+});
+
+test('a lag pairs the column on the earlier day with the row', () => {
+    const window = createCorrelations();
+    const dates = [];
+    const x = {};
+    const y = {};
+    for (let day = 1; day <= 12; day++) {
+        const date = `2024-03-${String(day).padStart(2, '0')}`;
+        dates.push(date);
+        x[date] = (day * 7) % 5;
+    }
+    // y on a day is x on the day before
+    dates.forEach((date, i) => {
+        if (i > 0) y[date] = x[dates[i - 1]];
+    });
+    const variableX = { id: 'x', label: 'X', values: x };
+    const variableY = { id: 'y', label: 'Y', values: y };
+
+    const lagged = window.correlateVariables(variableX, variableY, 1, dates, 'pearson', 5);
+    assert.equal(lagged.n, 11);
+    assertClose(lagged.r, 1, 'lagged r');
+    assert.ok(window.correlateVariables(variableX, variableY, 0, dates, 'pearson', 5).r < 1);
+    assert.equal(window.correlateVariables(variableX, variableY, 1, dates, 'pearson', 20).suppressed, true);
+});
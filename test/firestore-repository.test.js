@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorageContext, plain } from './helpers/browser-context.js';
+
+const UID = 'user-1';
+const DAY = '2024-03-01';
+const DOC = `users/${UID}/entriesSymptoms/${DAY}`;
+
+// Stand-ins for the window.firebase* functions index.html sets up: documents
+// live in a plain object and deleted Storage paths are recorded
+function createFirestore(docs) {
+    const window = createStorageContext({ currentUser: { uid: UID, email: 'sam@example.com' } });
+    const deleted = [];
+    Object.assign(window, {
+        firebaseDb: {},
+        firebaseStorage: {},
+        firebaseCollection: () => ({}),
+        firebaseDoc: (db, ...path) => path.join('/'),
+        firebaseRef: (storage, path) => path,
+        firebaseDeleteObject: async (path) => {
+            deleted.push(path);
+        },
+        firebaseRunTransaction: async (db, update) => {
+            const writes = [];
+            await update({
+                get: async (ref) => ({ exists: () => ref in docs, data: () => plain(docs[ref]) }),
+                set: (ref, data, options) => writes.push({ ref, data: plain(data), merge: options.merge })
+            });
+            writes.forEach(({ ref, data, merge }) => {
+                docs[ref] = merge && docs[ref] ? Object.assign(docs[ref], data) : data;
+            });
+        }
+    });
+    window.localStorage.setItem('trackerDeviceId', 'this-device');
+    return { repository: window.createFirestoreTrackerRepository(), deleted };
+}
+
+function photo(id) {
+    return { id, path: `users/${UID}/photos/${DAY}/${id}.jpg`, url: `https://example.com/${id}.jpg` };
+}
+
+test('writes build the history from the document the server has', async () => {
+    const docs = {
+        [DOC]: {
+            mood: 3,
+            editedAt: 2,
+            editedDevice: { id: 'other', label: 'Mac' },
+            history: [{ editedAt: 1, editedBy: '', editedDevice: null, data: { mood: 1 } }]
+        }
+    };
+    const { repository } = createFirestore(docs);
+    await repository.putEntry(UID, DAY, { mood: 8, history: [] }, { merge: false });
+
+    assert.equal(docs[DOC].mood, 8);
+    assert.deepEqual(docs[DOC].history.map((version) => version.data.mood), [3, 1]);
+});
+
+test('a removed photo is kept while a version of the day still has it', async () => {
+    const docs = {
+        [DOC]: { photos: [photo('a'), photo('b')], editedAt: 1, editedDevice: { id: 'other', label: 'Mac' }, history: [] }
+    };
+    const { repository, deleted } = createFirestore(docs);
+    await repository.putEntry(UID, DAY, { photos: [photo('a')] }, { merge: true });
+
+    assert.deepEqual(deleted, []);
+    assert.equal(docs[DOC].history[0].data.photos.length, 2);
+});
+
+test('a photo removed in the same edit session is deleted straight away', async () => {
+    const docs = {
+        [DOC]: { photos: [photo('a')], editedAt: Date.now(), editedDevice: { id: 'this-device', label: 'Device' }, history: [] }
+    };
+    const { repository, deleted } = createFirestore(docs);
+    await repository.putEntry(UID, DAY, { photos: [] }, { merge: true });
+
+    assert.deepEqual(docs[DOC].history, []);
+    assert.deepEqual(deleted, [photo('a').path]);
+});
+
+test('a photo file is deleted when the last version holding it is trimmed', async () => {
+    const history = Array.from({ length: 15 }, (_, i) => ({
+        editedAt: 15 - i,
+        editedBy: '',
+        editedDevice: null,
+        data: { mood: i, photos: i === 14 ? [photo('old')] : [] }
+    }));
+    const docs = {
+        [DOC]: { mood: 20, photos: [], editedAt: 16, editedDevice: { id: 'other', label: 'Mac' }, history }
+    };
+    const { repository, deleted } = createFirestore(docs);
+    await repository.putEntry(UID, DAY, { mood: 21 }, { merge: true });
+
+    assert.equal(docs[DOC].history.length, 15);
+    assert.deepEqual(deleted, [photo('old').path]);
+});
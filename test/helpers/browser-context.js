@@ -0,0 +1,79 @@
+// test/helpers/browser-context.js
+// The app's modules are plain scripts that read and write window globals, so
+// tests run them in a vm context that stands in for the browser window.
+
+import { readFileSync } from 'node:fs';
+import { createContext, runInContext } from 'node:vm';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+
+const ROOT = new URL('../../', import.meta.url);
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// Timers that do not keep the test process alive (e.g. OFFLINE_FLUSH_WAIT_MS)
+function unrefTimeout(fn, ms) {
+    const timer = setTimeout(fn, ms);
+    if (timer && typeof timer.unref === 'function') timer.unref();
+    return timer;
+}
+
+/**
+ * A window-like global scope with its own localStorage and IndexedDB
+ * @param {Object} globals - Extra globals, e.g. { currentUser }
+ * @returns {Object} - The context; it is also its own `window`
+ */
+export function createBrowserContext(globals = {}) {
+    const events = new EventTarget();
+    const context = Object.assign({
+        console,
+        setTimeout: unrefTimeout,
+        clearTimeout,
+        URLSearchParams,
+        CustomEvent,
+        indexedDB: new IDBFactory(),
+        IDBKeyRange,
+        localStorage: createLocalStorage(),
+        navigator: { userAgent: 'node', onLine: true },
+        location: { search: '' },
+        addEventListener: events.addEventListener.bind(events),
+        removeEventListener: events.removeEventListener.bind(events),
+        dispatchEvent: events.dispatchEvent.bind(events)
+    }, globals);
+    context.window = context;
+    createContext(context);
+    return context;
+}
+
+/**
+ * Run repo scripts in the context, in the order index.html loads them
+ * @param {Array<string>} files - Paths from the repo root
+ */
+export function loadScripts(context, files) {
+    files.forEach((file) => {
+        runInContext(readFileSync(new URL(file, ROOT), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * Storage scripts with the repository and queue, as loaded by index.html
+ */
+export function createStorageContext(globals) {
+    return loadScripts(createBrowserContext(globals), [
+        'storage/entry-versions.js',
+        'storage/offline-queue.js',
+        'storage/tracker-repository.js'
+    ]);
+}
+
+// Values made in the context have its own Object prototype; compare plain copies
+export function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
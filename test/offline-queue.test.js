@@ -0,0 +1,245 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorageContext, plain } from './helpers/browser-context.js';
+
+const UID = 'user-1';
+const DAY = '2024-03-01';
+
+// An offline-first repository over a memory remote, starting offline
+function createQueue(seed) {
+    const window = createStorageContext({ currentUser: { uid: UID, email: 'sam@example.com' } });
+    window.navigator.onLine = false;
+    const remote = window.createMemoryTrackerRepository(seed);
+    const repository = window.createOfflineFirstTrackerRepository(remote);
+    return { window, remote, repository };
+}
+
+async function pendingDates(window) {
+    return plain(Array.from(await window.getPendingSyncDates(UID)).sort());
+}
+
+test('offline writes stay local and are reported as pending', async () => {
+    const { window, remote, repository } = createQueue();
+    const result = await repository.putEntry(UID, DAY, { mood: 6 }, { merge: true });
+
+    assert.equal(result.pending, true);
+    assert.deepEqual(await pendingDates(window), [DAY]);
+    assert.equal(await remote.getEntry(UID, DAY), null);
+    assert.equal((await repository.getEntry(UID, DAY)).mood, 6);
+});
+
+test('merge writes to one day fold into a single pending write', async () => {
+    const { window, remote, repository } = createQueue();
+    const writes = [];
+    const put = remote.putEntry;
+    remote.putEntry = (uid, dateStr, payload, options) => {
+        writes.push({ dateStr, payload: plain(payload), merge: options.merge });
+        return put(uid, dateStr, payload, options);
+    };
+
+    await repository.putEntry(UID, DAY, { mood: 6, note: 'First' }, { merge: true });
+    await repository.putEntry(UID, DAY, { note: 'Second' }, { merge: true });
+    window.navigator.onLine = true;
+    await window.flushPendingWrites();
+
+    assert.equal(writes.length, 1);
+    assert.equal(writes[0].merge, true);
+    assert.equal(writes[0].payload.mood, 6);
+    assert.equal(writes[0].payload.note, 'Second');
+    assert.deepEqual(await pendingDates(window), []);
+});
+
+test('a full write replaces what was queued before it', async () => {
+    const { window, remote, repository } = createQueue({ [UID]: [{ date: DAY, caffeine: 80 }] });
+
+    await repository.putEntry(UID, DAY, { mood: 6 }, { merge: true });
+    await repository.putEntry(UID, DAY, { note: 'Only this' }, { merge: false });
+    window.navigator.onLine = true;
+    await window.flushPendingWrites();
+
+    const stored = plain(await remote.getEntry(UID, DAY));
+    assert.equal(stored.note, 'Only this');
+    assert.equal('mood' in stored, false);
+    assert.equal('caffeine' in stored, false);
+});
+
+test('a merge after a full write keeps the queued write a full one', async () => {
+    const { window, remote, repository } = createQueue({ [UID]: [{ date: DAY, caffeine: 80 }] });
+
+    await repository.putEntry(UID, DAY, { note: 'Replaced' }, { merge: false });
+    await repository.putEntry(UID, DAY, { mood: 3 }, { merge: true });
+    window.navigator.onLine = true;
+    await window.flushPendingWrites();
+
+    const stored = plain(await remote.getEntry(UID, DAY));
+    assert.equal(stored.note, 'Replaced');
+    assert.equal(stored.mood, 3);
+    assert.equal('caffeine' in stored, false);
+});
+
+test('replay goes oldest first and merges into the remote day', async () => {
+    const { window, remote, repository } = createQueue({ [UID]: [{ date: '2024-03-02', caffeine: 80 }] });
+    const order = [];
+    const put = remote.putEntry;
+    remote.putEntry = (uid, dateStr, payload, options) => {
+        order.push(dateStr);
+        return put(uid, dateStr, payload, options);
+    };
+
+    await repository.putEntry(UID, '2024-03-02', { mood: 2 }, { merge: true });
+    await repository.putEntry(UID, '2024-03-01', { mood: 1 }, { merge: true });
+    window.navigator.onLine = true;
+    await window.flushPendingWrites();
+
+    assert.deepEqual(order, ['2024-03-02', '2024-03-01']);
+    const stored = plain(await remote.getEntry(UID, '2024-03-02'));
+    assert.equal(stored.mood, 2);
+    assert.equal(stored.caffeine, 80);
+});
+
+test('replay stops at a failed write and keeps it and later ones queued', async () => {
+    const { window, remote, repository } = createQueue();
+    await repository.putEntry(UID, '2024-03-01', { mood: 1 }, { merge: true });
+    await repository.putEntry(UID, '2024-03-02', { mood: 2 }, { merge: true });
+
+    const put = remote.putEntry;
+    const attempted = [];
+    remote.putEntry = (uid, dateStr, payload, options) => {
+        attempted.push(dateStr);
+        return attempted.length === 1 ? Promise.reject(new Error('unavailable')) : put(uid, dateStr, payload, options);
+    };
+    const warn = console.warn;
+    console.warn = () => {};
+    window.navigator.onLine = true;
+    try {
+        await window.flushPendingWrites();
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepEqual(attempted, ['2024-03-01']);
+    assert.deepEqual(await pendingDates(window), ['2024-03-01', '2024-03-02']);
+
+    await window.flushPendingWrites();
+    assert.deepEqual(await pendingDates(window), []);
+    assert.equal((await remote.getEntry(UID, '2024-03-01')).mood, 1);
+    assert.equal((await remote.getEntry(UID, '2024-03-02')).mood, 2);
+});
+
+test('listEntries lays unsynced local days over the remote ones', async () => {
+    const { window, repository } = createQueue({
+        [UID]: [{ date: '2024-03-01', mood: 1 }, { date: '2024-03-02', mood: 2 }]
+    });
+    await repository.putEntry(UID, '2024-03-02', { mood: 9 }, { merge: true });
+    window.navigator.onLine = true;
+
+    // Still queued: the remote has not seen the write yet
+    const listed = plain(await repository.listEntries(UID, { start: '2024-03-01', end: '2024-03-02' }));
+    const byDate = Object.fromEntries(listed.map((entry) => [entry.date, entry.mood]));
+    assert.deepEqual(byDate, { '2024-03-01': 1, '2024-03-02': 9 });
+});
+
+test('queued writes carry the edit stamp but not the history', async () => {
+    const { window, remote, repository } = createQueue();
+    const payloads = [];
+    const put = remote.putEntry;
+    remote.putEntry = (uid, dateStr, payload, options) => {
+        payloads.push(plain(payload));
+        return put(uid, dateStr, payload, options);
+    };
+
+    const before = Date.now();
+    await repository.putEntry(UID, DAY, { mood: 6 }, { merge: true });
+    await repository.putEntry(UID, DAY, { mood: 5 }, { merge: true, newVersion: true });
+    window.navigator.onLine = true;
+    await window.flushPendingWrites();
+
+    assert.equal(payloads.length, 1);
+    assert.equal('history' in payloads[0], false);
+    assert.equal(payloads[0].editedBy, 'sam@example.com');
+    assert.ok(payloads[0].editedAt >= before && payloads[0].editedAt <= Date.now());
+    assert.ok(payloads[0].editedDevice.id);
+});
+
+test('replay keeps versions the remote has that this device never saw', async () => {
+    const { window, remote, repository } = createQueue({
+        [UID]: [{
+            date: DAY,
+            mood: 3,
+            editedAt: 2,
+            editedBy: 'alex@example.com',
+            editedDevice: { id: 'other', label: 'Mac' },
+            history: [{ editedAt: 1, editedBy: 'alex@example.com', editedDevice: null, data: { mood: 1 } }]
+        }]
+    });
+
+    // The mirror is empty, so its own history for the day is empty too
+    await repository.putEntry(UID, DAY, { mood: 8 }, { merge: false, newVersion: true });
+    window.navigator.onLine = true;
+    await window.flushPendingWrites();
+
+    const stored = plain(await remote.getEntry(UID, DAY));
+    assert.equal(stored.mood, 8);
+    assert.deepEqual(stored.history.map((version) => version.data.mood), [3, 1]);
+});
+
+test('a batch of days is stored locally in one go and synced by one flush', async () => {
+    const { window, remote, repository } = createQueue({ [UID]: [{ date: '2024-03-02', caffeine: 80 }] });
+    const writes = ['2024-03-01', '2024-03-02', '2024-03-03'].map((date, i) => ({
+        date,
+        data: { mood: i + 1 },
+        options: { merge: true, newVersion: true }
+    }));
+
+    assert.deepEqual(plain(await repository.putEntries(UID, writes)), { pending: 3 });
+    assert.deepEqual(await pendingDates(window), ['2024-03-01', '2024-03-02', '2024-03-03']);
+    assert.equal((await repository.getEntry(UID, '2024-03-03')).mood, 3);
+
+    window.navigator.onLine = true;
+    await window.flushPendingWrites();
+    assert.deepEqual(await pendingDates(window), []);
+    const stored = plain(await remote.getEntry(UID, '2024-03-02'));
+    assert.equal(stored.mood, 2);
+    assert.equal(stored.caffeine, 80);
+});
+
+// Mirror refreshes run in the background after a remote read
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+test('a full remote list drops mirrored days deleted elsewhere but keeps pending ones', async () => {
+    const { window, repository } = createQueue({
+        [UID]: [{ date: '2024-03-01', mood: 1 }, { date: '2024-03-02', mood: 2 }]
+    });
+    window.navigator.onLine = true;
+    await repository.listEntries(UID);
+    await settle();
+
+    window.navigator.onLine = false;
+    await repository.putEntry(UID, '2024-03-03', { mood: 3 }, { merge: true });
+    // The remote now only has the first day
+    const trimmed = window.createOfflineFirstTrackerRepository(window.createMemoryTrackerRepository({
+        [UID]: [{ date: '2024-03-01', mood: 1 }]
+    }));
+    window.navigator.onLine = true;
+    await trimmed.listEntries(UID);
+    await settle();
+
+    window.navigator.onLine = false;
+    const dates = (await trimmed.listEntries(UID)).map((entry) => entry.date).sort();
+    assert.deepEqual(plain(dates), ['2024-03-01', '2024-03-03']);
+});
+
+test('signing out syncs the queue first, then clears the user from this device', async () => {
+    const { window, remote, repository } = createQueue();
+    await repository.putEntry(UID, DAY, { mood: 6 }, { merge: true });
+    assert.equal(await window.settlePendingWrites(UID), 1);
+
+    window.navigator.onLine = true;
+    assert.equal(await window.settlePendingWrites(UID), 0);
+    assert.equal((await remote.getEntry(UID, DAY)).mood, 6);
+
+    await window.clearOfflineEntries(UID);
+    assert.deepEqual(plain(await window.getLocalEntries(UID)), []);
+    assert.deepEqual(await pendingDates(window), []);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserContext, loadScripts, plain } from './helpers/browser-context.js';
+
+function createSleep() {
+    return loadScripts(createBrowserContext(), ['trackers/sleep.js']);
+}
+
+// 48 half-hour slots of a calendar day with the given slots asleep
+function slots(...ranges) {
+    const sleep = new Array(48).fill(0);
+    ranges.forEach(([from, to]) => {
+        for (let i = from; i < to; i++) sleep[i] = 1;
+    });
+    return sleep;
+}
+
+test('an older Quick Tracker day holds the whole night in its own array', () => {
+    const window = createSleep();
+    // 23:00-24:00 is the evening before, 00:00-07:00 the morning
+    const entry = { date: '2024-03-02', sleep: slots([46, 48], [0, 14]) };
+
+    assert.deepEqual(plain(window.getEntrySleepSessions(entry)), [
+        { start: '2024-03-01T23:00', end: '2024-03-02T07:00', type: 'main' }
+    ]);
+});
+
+test('an older grid day takes its bedtime from the evening of the day before', () => {
+    const window = createSleep();
+    const entries = [
+        { date: '2024-03-01', sleep: slots([46, 48]) },
+        { date: '2024-03-02', sleep: slots([0, 14]) }
+    ];
+
+    assert.deepEqual(plain(window.getEntrySleepSessions(entries[1], entries[0])), [
+        { start: '2024-03-01T23:00', end: '2024-03-02T07:00', type: 'main' }
+    ]);
+    assert.deepEqual(plain(window.convertLegacySleepEntries(entries)[1].sleepSessions), [
+        { start: '2024-03-01T23:00', end: '2024-03-02T07:00', type: 'main' }
+    ]);
+    // Without the day before only the morning is known
+    assert.deepEqual(plain(window.getEntrySleepSessions(entries[1])), [
+        { start: '2024-03-02T00:00', end: '2024-03-02T07:00', type: 'main' }
+    ]);
+});
+
+test('a day before that is not the previous date is not stitched on', () => {
+    const window = createSleep();
+    const earlier = { date: '2024-02-28', sleep: slots([46, 48]) };
+    const entry = { date: '2024-03-02', sleep: slots([0, 14]) };
+
+    assert.equal(window.getEntrySleepSessions(entry, earlier)[0].start, '2024-03-02T00:00');
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorageContext, plain } from './helpers/browser-context.js';
+
+const UID = 'user-1';
+
+function createRepository(seed) {
+    const window = createStorageContext({ currentUser: { uid: UID, email: 'sam@example.com' } });
+    return window.createMemoryTrackerRepository(seed);
+}
+
+test('getEntry returns null for a day that was never written', async () => {
+    const repository = createRepository();
+    assert.equal(await repository.getEntry(UID, '2024-03-01'), null);
+});
+
+test('putEntry with merge keeps fields the write does not mention', async () => {
+    const repository = createRepository();
+    await repository.putEntry(UID, '2024-03-01', { note: 'Slept well', mood: 7 });
+    await repository.putEntry(UID, '2024-03-01', { mood: 4, caffeine: 120 }, { merge: true });
+
+    const entry = plain(await repository.getEntry(UID, '2024-03-01'));
+    assert.equal(entry.date, '2024-03-01');
+    assert.equal(entry.note, 'Slept well');
+    assert.equal(entry.mood, 4);
+    assert.equal(entry.caffeine, 120);
+});
+
+test('putEntry without merge replaces the stored day', async () => {
+    const repository = createRepository();
+    await repository.putEntry(UID, '2024-03-01', { note: 'Slept well', mood: 7 });
+    await repository.putEntry(UID, '2024-03-01', { mood: 4 }, { merge: false });
+
+    const entry = plain(await repository.getEntry(UID, '2024-03-01'));
+    assert.equal(entry.mood, 4);
+    assert.equal('note' in entry, false);
+});
+
+test('putEntry always stores the date key it was given', async () => {
+    const repository = createRepository();
+    await repository.putEntry(UID, '2024-03-02', { date: '1999-01-01', mood: 5 });
+    assert.equal((await repository.getEntry(UID, '2024-03-02')).date, '2024-03-02');
+});
+
+test('entries are copies, so callers cannot change the store', async () => {
+    const repository = createRepository();
+    await repository.putEntry(UID, '2024-03-01', { tags: ['walk'] });
+    const entry = await repository.getEntry(UID, '2024-03-01');
+    entry.tags.push('run');
+    assert.deepEqual(plain((await repository.getEntry(UID, '2024-03-01')).tags), ['walk']);
+});
+
+test('listEntries returns every day sorted by date', async () => {
+    const repository = createRepository({
+        [UID]: [{ date: '2024-03-03', mood: 3 }, { date: '2024-03-01', mood: 1 }, { date: '2024-03-02', mood: 2 }],
+        other: [{ date: '2024-03-01', mood: 9 }]
+    });
+    const dates = (await repository.listEntries(UID)).map((entry) => entry.date);
+    assert.deepEqual(plain(dates), ['2024-03-01', '2024-03-02', '2024-03-03']);
+});
+
+test('listEntries ranges are inclusive and either end may be left open', async () => {
+    const repository = createRepository({
+        [UID]: ['2024-02-28', '2024-03-01', '2024-03-15', '2024-03-31', '2024-04-01'].map((date) => ({ date }))
+    });
+    const datesIn = async (range) => plain((await repository.listEntries(UID, range)).map((entry) => entry.date));
+
+    assert.deepEqual(await datesIn({ start: '2024-03-01', end: '2024-03-31' }), ['2024-03-01', '2024-03-15', '2024-03-31']);
+    assert.deepEqual(await datesIn({ start: '2024-03-31' }), ['2024-03-31', '2024-04-01']);
+    assert.deepEqual(await datesIn({ end: '2024-02-28' }), ['2024-02-28']);
+    assert.deepEqual(await datesIn({ start: '2024-05-01' }), []);
+});
+
+test('seed entries without a valid date are skipped', async () => {
+    const repository = createRepository({ [UID]: [{ date: 'March 1st' }, null, { date: '2024-03-01' }] });
+    assert.equal((await repository.listEntries(UID)).length, 1);
+});
+
+test('watchers hear every write until they unsubscribe', async () => {
+    const repository = createRepository();
+    const seen = [];
+    const unsubscribe = repository.watch(UID, (entries) => seen.push(entries.length));
+    const days = [];
+    const stopDay = repository.watchEntry(UID, '2024-03-02', (entry) => days.push(entry && entry.mood));
+
+    await repository.putEntry(UID, '2024-03-01', { mood: 1 });
+    await repository.putEntry(UID, '2024-03-02', { mood: 2 });
+    unsubscribe();
+    stopDay();
+    await repository.putEntry(UID, '2024-03-03', { mood: 3 });
+
+    assert.deepEqual(seen, [1, 2]);
+    assert.deepEqual(days, [null, 2]);
+});
+
+test('a new edit moves the stored version into the history', async () => {
+    const repository = createRepository({
+        [UID]: [{ date: '2024-03-01', mood: 7, editedAt: 1, editedBy: 'alex@example.com', editedDevice: { id: 'other', label: 'Mac' } }]
+    });
+    await repository.putEntry(UID, '2024-03-01', { mood: 4 }, { merge: true });
+
+    const entry = plain(await repository.getEntry(UID, '2024-03-01'));
+    assert.equal(entry.editedBy, 'sam@example.com');
+    assert.equal(entry.history.length, 1);
+    assert.equal(entry.history[0].editedBy, 'alex@example.com');
+    assert.deepEqual(entry.history[0].data, { mood: 7 });
+});
+
+test('history sent by a caller is ignored', async () => {
+    const repository = createRepository();
+    await repository.putEntry(UID, '2024-03-01', { mood: 4, history: [{ editedAt: 1, data: { mood: 1 } }] });
+    assert.deepEqual(plain((await repository.getEntry(UID, '2024-03-01')).history), []);
+});
+
+test('restoring with a full write keeps the history and adds the replaced version', async () => {
+    const repository = createRepository();
+    await repository.putEntry(UID, '2024-03-01', { mood: 7 });
+    await repository.putEntry(UID, '2024-03-01', { mood: 4 }, { merge: true, newVersion: true });
+    await repository.putEntry(UID, '2024-03-01', { mood: 7 }, { merge: false, newVersion: true });
+
+    const entry = plain(await repository.getEntry(UID, '2024-03-01'));
+    assert.equal(entry.mood, 7);
+    assert.deepEqual(entry.history.map((version) => version.data.mood), [4, 7]);
+});
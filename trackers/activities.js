@@ -0,0 +1,141 @@
+// trackers/activities.js
+// What the day was spent doing and who it was spent with. Each group has a
+// per-user library of names, saved as a user setting (storage/user-settings.js),
+// and the day entry keeps the picked names as plain arrays, which the impact
+// insights (analytics/insights.js) and the star jars (analytics/charts.js) read:
+//   activities: ['Walk', ...], people: ['Sam', ...]
+// Names are cleaned like note tags (sanitizeNoteTag in index.html).
+
+const DAY_TAG_GROUPS = [
+    { field: 'activities', setting: 'activityLibrary', label: 'Activities', empty: 'No activities yet. Add one above.' },
+    { field: 'people', setting: 'peopleLibrary', label: 'People', empty: 'No people yet. Add someone above.' }
+];
+
+const dayTagLibraries = { activities: [], people: [] };
+const dayTagSelections = { activities: [], people: [] }; // Names picked for the loaded day
+let dayTagLibraryUid = ''; // Owner of the loaded libraries; saves wait for it
+
+function getDayTagGroup(field) {
+    return DAY_TAG_GROUPS.find((group) => group.field === field) || null;
+}
+
+function findDayTagIndex(list, name) {
+    const key = normalizeNoteTag(name);
+    return list.findIndex((entry) => normalizeNoteTag(entry) === key);
+}
+
+function setDayTagLibrary(field, list) {
+    dayTagLibraries[field] = normalizeTagList(list);
+    renderDayTagPanel(field);
+    return dayTagLibraries[field];
+}
+
+/**
+ * Load the signed-in user's libraries. A day shown before they arrive keeps
+ * its names in the picker.
+ */
+async function loadDayTagLibraries(uid) {
+    dayTagLibraryUid = '';
+    for (const group of DAY_TAG_GROUPS) {
+        const stored = uid ? await loadUserSetting(uid, group.setting) : null;
+        setDayTagLibrary(group.field, (Array.isArray(stored) ? stored : []).concat(dayTagSelections[group.field]));
+    }
+    dayTagLibraryUid = uid || '';
+    return dayTagLibraries;
+}
+
+function resetDayTagLibraries() {
+    dayTagLibraryUid = '';
+    DAY_TAG_GROUPS.forEach((group) => {
+        dayTagSelections[group.field] = [];
+        setDayTagLibrary(group.field, []);
+    });
+}
+
+// Add names the library does not have yet. With save set, the library is saved
+// when any were new, once it has been loaded for the signed-in user.
+function addToDayTagLibrary(field, names, save) {
+    const added = normalizeTagList(names).filter((name) => findDayTagIndex(dayTagLibraries[field], name) === -1);
+    if (!added.length) return;
+    dayTagLibraries[field] = dayTagLibraries[field].concat(added);
+    const user = window.currentUser;
+    if (!save || !user || user.uid !== dayTagLibraryUid) return;
+    saveUserSetting(user.uid, getDayTagGroup(field).setting, dayTagLibraries[field]).catch((e) => {
+        console.warn(`${field} library save failed:`, e);
+    });
+}
+
+/**
+ * Picked names per group, for the day entry payload
+ * @returns {{activities: Array<string>, people: Array<string>}}
+ */
+function getDayTagData() {
+    const data = {};
+    DAY_TAG_GROUPS.forEach((group) => {
+        data[group.field] = dayTagSelections[group.field].slice();
+    });
+    return data;
+}
+
+/**
+ * Show a day's activities and people; names missing from a library are shown
+ * with it but not saved into it
+ * @param {Object|null} data - Day entry, or null to clear
+ */
+function setDayTagData(data) {
+    DAY_TAG_GROUPS.forEach((group) => {
+        const names = normalizeTagList(data ? data[group.field] : []);
+        addToDayTagLibrary(group.field, names);
+        dayTagSelections[group.field] = names;
+        renderDayTagPanel(group.field);
+    });
+}
+
+function toggleDayTag(field, index) {
+    const name = dayTagLibraries[field][index];
+    if (!name) return;
+    const selected = dayTagSelections[field];
+    const at = findDayTagIndex(selected, name);
+    dayTagSelections[field] = at === -1 ? selected.concat([name]) : selected.filter((entry, i) => i !== at);
+    renderDayTagPanel(field);
+    queueSymptomAutosave();
+}
+
+function addDayTagFromInput(field) {
+    const input = document.getElementById(`${field}TagInput`);
+    if (!input) return;
+    const name = sanitizeNoteTag(input.value);
+    input.value = '';
+    if (!name) return;
+    addToDayTagLibrary(field, [name], true);
+    const label = dayTagLibraries[field][findDayTagIndex(dayTagLibraries[field], name)];
+    if (findDayTagIndex(dayTagSelections[field], label) === -1) {
+        dayTagSelections[field] = dayTagSelections[field].concat([label]);
+    }
+    renderDayTagPanel(field);
+    queueSymptomAutosave();
+    input.focus();
+}
+
+function renderDayTagPanel(field) {
+    const container = document.getElementById(`${field}TagContainer`);
+    if (!container) return;
+    const library = dayTagLibraries[field];
+    if (!library.length) {
+        container.innerHTML = `<div class="caffeine-log-empty">${getDayTagGroup(field).empty}</div>`;
+        return;
+    }
+    container.innerHTML = library.map((name, index) => {
+        const selected = findDayTagIndex(dayTagSelections[field], name) !== -1;
+        return `<button type="button" class="tag${selected ? ' selected' : ''}" aria-pressed="${selected}"
+            onclick="toggleDayTag('${field}', ${index})">${escapeMetricText(name)}</button>`;
+    }).join('');
+}
+
+window.DAY_TAG_GROUPS = DAY_TAG_GROUPS;
+window.loadDayTagLibraries = loadDayTagLibraries;
+window.resetDayTagLibraries = resetDayTagLibraries;
+window.getDayTagData = getDayTagData;
+window.setDayTagData = setDayTagData;
+window.toggleDayTag = toggleDayTag;
+window.addDayTagFromInput = addDayTagFromInput;
@@ -0,0 +1,258 @@
+// trackers/backfill.js
+// Catching up on days with no entry. Days the user chose not to log are the
+// 'skippedDays' user setting (storage/user-settings.js), a sorted list of
+// 'YYYY-MM-DD' keys; they stop counting as missed but, like any day without an
+// entry, stay a gap in analytics.
+// The wizard lives on the Quick Tracker page and walks the missing days of a
+// chosen range one by one through setSimpleTrackerDate (index.html).
+
+const SKIPPED_DAYS_SETTING = 'skippedDays';
+const BACKFILL_RANGES = [
+    { id: '7', label: 'Last 7 days', days: 7 },
+    { id: '30', label: 'Last 30 days', days: 30 },
+    { id: '90', label: 'Last 90 days', days: 90 },
+    { id: 'all', label: 'Since first entry', days: null }
+];
+
+let skippedDays = new Set();
+let backfillLoggedDates = new Set(); // Dates with an entry, from refreshTrackerStats
+let backfillRangeId = '30';
+let backfillOpen = false;
+let backfillQueue = []; // Dates being walked, fixed when the walk starts
+let backfillIndex = -1; // -1 while choosing a range, queue length when done
+
+function isDaySkipped(dateStr) {
+    return skippedDays.has(dateStr);
+}
+
+function getSkippedDays() {
+    return Array.from(skippedDays).sort();
+}
+
+function setSkippedDays(list) {
+    skippedDays = new Set((Array.isArray(list) ? list : []).filter((value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)));
+    renderBackfillPanel();
+    return getSkippedDays();
+}
+
+async function loadSkippedDays(uid) {
+    const stored = uid ? await loadUserSetting(uid, SKIPPED_DAYS_SETTING) : null;
+    return setSkippedDays(stored || []);
+}
+
+function resetSkippedDays() {
+    backfillLoggedDates = new Set();
+    closeBackfillPanel();
+    return setSkippedDays([]);
+}
+
+async function setDaySkipped(dateStr, skipped) {
+    const user = window.currentUser;
+    if (!user) throw new Error('Sign in to skip days');
+    const next = new Set(skippedDays);
+    if (skipped) next.add(dateStr);
+    else next.delete(dateStr);
+    const list = Array.from(next).sort();
+    const result = await saveUserSetting(user.uid, SKIPPED_DAYS_SETTING, list);
+    setSkippedDays(list);
+    return result;
+}
+
+/**
+ * Remember which dates have an entry so missed days can be listed without
+ * another read. Called whenever the tracker stats are recounted.
+ */
+function setBackfillLoggedDates(dateSet) {
+    backfillLoggedDates = new Set(dateSet);
+    renderBackfillPanel();
+}
+
+function noteBackfillDayLogged(dateStr) {
+    if (backfillLoggedDates.has(dateStr)) return;
+    backfillLoggedDates.add(dateStr);
+    renderBackfillPanel();
+}
+
+/**
+ * Dates from start to end (inclusive) with no entry that were not skipped
+ */
+function listMissingDays(start, end) {
+    const missing = [];
+    for (let dateStr = start; dateStr <= end; dateStr = shiftDateString(dateStr, 1)) {
+        if (!backfillLoggedDates.has(dateStr) && !skippedDays.has(dateStr)) missing.push(dateStr);
+    }
+    return missing;
+}
+
+function getBackfillRange(rangeId) {
+    const end = shiftDateString(getTodayDateString(), -1);
+    const range = BACKFILL_RANGES.find((item) => item.id === rangeId) || BACKFILL_RANGES[1];
+    if (range.days) return { start: shiftDateString(end, 1 - range.days), end };
+    const first = Array.from(backfillLoggedDates).sort()[0];
+    return first && first <= end ? { start: first, end } : null;
+}
+
+/**
+ * Missed days since the first entry, for the page1 chip
+ */
+function countMissingDays() {
+    const range = getBackfillRange('all');
+    return range ? listMissingDays(range.start, range.end).length : 0;
+}
+
+function formatBackfillDate(dateStr, options) {
+    return new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, options);
+}
+
+// ===== Wizard (Quick Tracker page) =====
+
+function getBackfillDate() {
+    return backfillIndex >= 0 && backfillIndex < backfillQueue.length ? backfillQueue[backfillIndex] : '';
+}
+
+function renderBackfillSetup() {
+    const range = getBackfillRange(backfillRangeId);
+    const missing = range ? listMissingDays(range.start, range.end) : [];
+    const options = BACKFILL_RANGES.map((item) =>
+        `<option value="${item.id}"${item.id === backfillRangeId ? ' selected' : ''}>${item.label}</option>`).join('');
+    const chips = missing.map((dateStr) =>
+        `<button type="button" class="simple-missed-day" onclick="startBackfill('${dateStr}')">${formatBackfillDate(dateStr, { month: 'short', day: 'numeric' })}</button>`).join('');
+    return `
+        <div class="backfill-head">
+            <h2>Fill in missed days</h2>
+            <button type="button" class="check-in-action" onclick="closeBackfillPanel()" aria-label="Close">&times;</button>
+        </div>
+        <label class="backfill-range">Range <select onchange="setBackfillRange(this.value)">${options}</select></label>
+        <div class="backfill-summary">${missing.length
+            ? `${missing.length} day${missing.length === 1 ? '' : 's'} with no entry`
+            : 'Nothing missed in this range.'}</div>
+        ${chips ? `<div class="simple-missed-list backfill-dates">${chips}</div>` : ''}
+        ${missing.length ? '<button type="button" class="btn-primary" onclick="startBackfill()">Start</button>' : ''}`;
+}
+
+function renderBackfillStep() {
+    const dateStr = getBackfillDate();
+    const logged = backfillLoggedDates.has(dateStr);
+    const skipped = skippedDays.has(dateStr);
+    const isLast = backfillIndex === backfillQueue.length - 1;
+    let state = 'Not logged yet';
+    if (logged) state = 'Logged';
+    else if (skipped) state = 'Skipped on purpose';
+    return `
+        <div class="backfill-head">
+            <h2>Day ${backfillIndex + 1} of ${backfillQueue.length}</h2>
+            <button type="button" class="check-in-action" onclick="closeBackfillPanel()" aria-label="Close">&times;</button>
+        </div>
+        <div class="backfill-progress"><span style="width: ${Math.round((backfillIndex + 1) / backfillQueue.length * 100)}%"></span></div>
+        <div class="backfill-summary">${formatBackfillDate(dateStr, { weekday: 'long', month: 'long', day: 'numeric' })} &middot; ${state}</div>
+        <div class="backfill-actions">
+            <button type="button" class="btn-secondary" onclick="stepBackfill(-1)"${backfillIndex === 0 ? ' disabled' : ''}>Previous</button>
+            <button type="button" class="btn-secondary" onclick="toggleBackfillSkip()"${logged ? ' disabled' : ''}>${skipped ? 'Undo skip' : 'Skip on purpose'}</button>
+            <button type="button" class="btn-primary" onclick="stepBackfill(1)">${isLast ? 'Finish' : 'Next'}</button>
+        </div>
+        <div class="metric-editor-status" id="backfillStatus"></div>`;
+}
+
+function renderBackfillDone() {
+    const logged = backfillQueue.filter((dateStr) => backfillLoggedDates.has(dateStr)).length;
+    const skipped = backfillQueue.filter((dateStr) => !backfillLoggedDates.has(dateStr) && skippedDays.has(dateStr)).length;
+    const left = backfillQueue.length - logged - skipped;
+    return `
+        <div class="backfill-head">
+            <h2>All done</h2>
+            <button type="button" class="check-in-action" onclick="closeBackfillPanel()" aria-label="Close">&times;</button>
+        </div>
+        <div class="backfill-summary">${logged} logged, ${skipped} skipped${left ? `, ${left} still empty` : ''}.</div>
+        <div class="backfill-actions">
+            <button type="button" class="btn-secondary" onclick="openBackfillPanel()">Pick another range</button>
+            <button type="button" class="btn-primary" onclick="closeBackfillPanel()">Close</button>
+        </div>`;
+}
+
+function renderBackfillPanel() {
+    const panel = document.getElementById('backfillPanel');
+    if (!panel) return;
+    panel.hidden = !backfillOpen;
+    if (!backfillOpen) {
+        panel.innerHTML = '';
+        return;
+    }
+    if (backfillIndex < 0) panel.innerHTML = renderBackfillSetup();
+    else if (backfillIndex < backfillQueue.length) panel.innerHTML = renderBackfillStep();
+    else panel.innerHTML = renderBackfillDone();
+}
+
+function openBackfillPanel() {
+    backfillOpen = true;
+    backfillIndex = -1;
+    backfillQueue = [];
+    renderBackfillPanel();
+}
+
+function closeBackfillPanel() {
+    backfillOpen = false;
+    backfillIndex = -1;
+    backfillQueue = [];
+    renderBackfillPanel();
+}
+
+function setBackfillRange(rangeId) {
+    backfillRangeId = rangeId;
+    renderBackfillPanel();
+}
+
+/**
+ * Walk the missing days of the chosen range, starting at startDate when given
+ */
+async function startBackfill(startDate) {
+    const range = getBackfillRange(backfillRangeId);
+    backfillQueue = range ? listMissingDays(range.start, range.end) : [];
+    if (!backfillQueue.length) return;
+    backfillIndex = Math.max(0, backfillQueue.indexOf(startDate));
+    renderBackfillPanel();
+    await setSimpleTrackerDate(getBackfillDate());
+}
+
+async function stepBackfill(direction) {
+    if (backfillIndex < 0) return;
+    backfillIndex = Math.max(0, Math.min(backfillQueue.length, backfillIndex + direction));
+    renderBackfillPanel();
+    const dateStr = getBackfillDate();
+    if (dateStr) await setSimpleTrackerDate(dateStr);
+}
+
+async function toggleBackfillSkip() {
+    const dateStr = getBackfillDate();
+    if (!dateStr) return;
+    const skip = !skippedDays.has(dateStr);
+    try {
+        const result = await setDaySkipped(dateStr, skip);
+        if (skip && backfillIndex < backfillQueue.length - 1) {
+            await stepBackfill(1);
+        } else if (result.pending) {
+            const status = document.getElementById('backfillStatus');
+            if (status) status.textContent = 'Saved on this device. It will sync when you are back online.';
+        }
+    } catch (e) {
+        console.error('Skipped day save failed:', e);
+        const status = document.getElementById('backfillStatus');
+        if (status) status.textContent = 'Save failed. Please try again.';
+    }
+}
+
+window.BACKFILL_RANGES = BACKFILL_RANGES;
+window.isDaySkipped = isDaySkipped;
+window.getSkippedDays = getSkippedDays;
+window.loadSkippedDays = loadSkippedDays;
+window.resetSkippedDays = resetSkippedDays;
+window.setDaySkipped = setDaySkipped;
+window.setBackfillLoggedDates = setBackfillLoggedDates;
+window.noteBackfillDayLogged = noteBackfillDayLogged;
+window.countMissingDays = countMissingDays;
+window.getBackfillDate = getBackfillDate;
+window.openBackfillPanel = openBackfillPanel;
+window.closeBackfillPanel = closeBackfillPanel;
+window.setBackfillRange = setBackfillRange;
+window.startBackfill = startBackfill;
+window.stepBackfill = stepBackfill;
+window.toggleBackfillSkip = toggleBackfillSkip;
@@ -3,6 +3,7 @@
 let caffeineScore = 0;
 const maxCaffeine = 1000; // Maximum mg displayed on mug
 let isLiquidPink = false; // Track if liquid is pink
+let caffeineLog = []; // Drinks for the loaded day: [{ mg, time: 'HH:MM' | '' }]
 
 function setCaffeineDoneState(done) {
     isLiquidPink = !!done;
@@ -20,35 +21,139 @@ function setCaffeineScoreValue(value, done) {
     const parsed = Number(value);
     caffeineScore = Number.isFinite(parsed) && parsed >= 0 ? parsed : 0;
     const scoreEl = document.getElementById('scoreValue');
-    const finalInput = document.getElementById('finalScoreInput');
     if (scoreEl) scoreEl.innerText = caffeineScore;
-    if (finalInput) finalInput.value = caffeineScore > 0 ? String(caffeineScore) : '';
     updateMugFill();
     setCaffeineDoneState(done);
 }
 
-function addCaffeine(amount) {
-    if (caffeineScore < maxCaffeine) {
-        caffeineScore = Math.min(caffeineScore + amount, maxCaffeine);
-        document.getElementById('scoreValue').innerText = caffeineScore;
-        document.getElementById('finalScoreInput').value = caffeineScore;
-        updateMugFill();
-        if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
+function getCaffeineTimeNow() {
+    const now = new Date();
+    return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+}
+
+function normalizeCaffeineDrink(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const mg = Math.round(Number(raw.mg));
+    if (!Number.isFinite(mg) || mg <= 0) return null;
+    const time = typeof raw.time === 'string' && /^\d{2}:\d{2}$/.test(raw.time) ? raw.time : '';
+    return { mg, time };
+}
+
+function sortCaffeineLog() {
+    caffeineLog.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+function sumCaffeineLog() {
+    return caffeineLog.reduce((sum, drink) => sum + drink.mg, 0);
+}
+
+function renderCaffeineLog() {
+    const list = document.getElementById('caffeineLogList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!caffeineLog.length) {
+        list.innerHTML = '<div class="caffeine-log-empty">No drinks logged yet.</div>';
+        return;
     }
+    caffeineLog.forEach((drink, index) => {
+        const row = document.createElement('div');
+        row.className = 'caffeine-log-item';
+
+        const timeEl = document.createElement('span');
+        timeEl.className = 'caffeine-log-time';
+        timeEl.textContent = drink.time || '--:--';
+
+        const mgEl = document.createElement('span');
+        mgEl.className = 'caffeine-log-mg';
+        mgEl.textContent = `${drink.mg} mg`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'caffeine-log-remove';
+        removeBtn.setAttribute('aria-label', `Remove ${drink.mg} mg drink`);
+        removeBtn.innerHTML = '&times;';
+        removeBtn.addEventListener('click', () => removeCaffeineDrink(index));
+
+        row.appendChild(timeEl);
+        row.appendChild(mgEl);
+        row.appendChild(removeBtn);
+        list.appendChild(row);
+    });
+}
+
+function syncCaffeineFromLog(done) {
+    sortCaffeineLog();
+    setCaffeineScoreValue(sumCaffeineLog(), done);
+    renderCaffeineLog();
+}
+
+function addCaffeine(amount) {
+    const timeInput = document.getElementById('caffeineTimeInput');
+    const drink = normalizeCaffeineDrink({
+        mg: amount,
+        time: timeInput && timeInput.value ? timeInput.value : getCaffeineTimeNow()
+    });
+    if (!drink) return;
+    caffeineLog.push(drink);
+    syncCaffeineFromLog(isLiquidPink);
+    if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
+}
+
+function removeCaffeineDrink(index) {
+    if (index < 0 || index >= caffeineLog.length) return;
+    caffeineLog.splice(index, 1);
+    syncCaffeineFromLog(isLiquidPink);
+    if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
 }
 
 function resetCaffeine() {
-    setCaffeineScoreValue(0, false);
+    caffeineLog = [];
+    const finalInput = document.getElementById('finalScoreInput');
+    if (finalInput) finalInput.value = '';
+    syncCaffeineFromLog(false);
     if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
 }
 
 function saveCaffeine() {
-    const finalScore = document.getElementById('finalScoreInput').value;
-    if (finalScore) {
-        setCaffeineScoreValue(parseInt(finalScore, 10), true);
-        if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
-        console.log('Caffeine score saved:', caffeineScore);
+    const finalInput = document.getElementById('finalScoreInput');
+    const customMg = finalInput ? parseInt(finalInput.value, 10) : NaN;
+    if (Number.isFinite(customMg) && customMg > 0) {
+        caffeineLog.push(normalizeCaffeineDrink({
+            mg: customMg,
+            time: document.getElementById('caffeineTimeInput')?.value || getCaffeineTimeNow()
+        }));
+        finalInput.value = '';
     }
+    syncCaffeineFromLog(true);
+    if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
+    console.log('Caffeine saved:', caffeineScore);
+}
+
+/**
+ * Restore the caffeine panel from a day entry.
+ * Older entries only carry a numeric `caffeine` total; it becomes a single untimed drink.
+ */
+function setCaffeineData(log, total, done) {
+    caffeineLog = Array.isArray(log)
+        ? log.map(normalizeCaffeineDrink).filter(Boolean)
+        : [];
+    const legacyTotal = Math.round(Number(total));
+    if (!caffeineLog.length && Number.isFinite(legacyTotal) && legacyTotal > 0) {
+        caffeineLog.push({ mg: legacyTotal, time: '' });
+    }
+    const finalInput = document.getElementById('finalScoreInput');
+    const timeInput = document.getElementById('caffeineTimeInput');
+    if (finalInput) finalInput.value = '';
+    if (timeInput) timeInput.value = '';
+    syncCaffeineFromLog(!!done);
+}
+
+function getCaffeineData() {
+    return {
+        caffeine: sumCaffeineLog(),
+        caffeineLog: caffeineLog.map(drink => ({ mg: drink.mg, time: drink.time })),
+        caffeineDone: isLiquidPink
+    };
 }
 
 function updateMugFill() {
@@ -62,19 +167,10 @@ function updateMugFill() {
     }
 }
 
-// Allow manual input to update the mug
 document.addEventListener('DOMContentLoaded', function() {
-    const finalScoreInput = document.getElementById('finalScoreInput');
-    
-    if (finalScoreInput) {
-        finalScoreInput.addEventListener('input', function(e) {
-            const value = parseInt(this.value) || 0;
-            if (value >= 0 && value <= maxCaffeine * 2) {
-                setCaffeineScoreValue(value, isLiquidPink);
-                if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
-            }
-        });
-    }
+    renderCaffeineLog();
 });
 
 window.setCaffeineScoreValue = setCaffeineScoreValue;
+window.setCaffeineData = setCaffeineData;
+window.getCaffeineData = getCaffeineData;
@@ -0,0 +1,243 @@
+// trackers/check-ins.js
+// Several timestamped check-ins per day, each rating every metric once:
+//   checkIns: [{ id, time: 'HH:MM', slot: 'morning'|'afternoon'|'night'|'other', values: { energy: 5, anxiety: 2, ... } }]
+// When a day has check-ins its daily metric fields are derived from them, so
+// everything that reads entry[metricId] keeps working: range metrics take the
+// highest and lowest check-in, single metrics the rounded average.
+// Changes fire 'checkinschange' so the States sliders can show the result.
+
+const CHECK_IN_SLOTS = [
+    { id: 'morning', label: 'Morning', time: '09:00' },
+    { id: 'afternoon', label: 'Afternoon', time: '14:00' },
+    { id: 'night', label: 'Night', time: '21:00' },
+    { id: 'other', label: 'Other', time: '' }
+];
+
+let checkInLog = []; // Check-ins of the loaded day, sorted by time
+let checkInDraft = null; // Check-in being added or edited
+
+function normalizeCheckInTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function normalizeCheckIn(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const time = normalizeCheckInTime(raw.time);
+    if (!time) return null;
+    const values = {};
+    Object.keys(raw.values || {}).forEach((id) => {
+        const value = Number(raw.values[id]);
+        if (/^[a-z][A-Za-z0-9]{0,23}$/.test(id) && raw.values[id] != null && Number.isFinite(value)) values[id] = value;
+    });
+    return {
+        id: typeof raw.id === 'string' && /^[A-Za-z0-9_-]{1,40}$/.test(raw.id) ? raw.id : `chk${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        time,
+        slot: CHECK_IN_SLOTS.some((slot) => slot.id === raw.slot) ? raw.slot : getCheckInSlotForTime(time),
+        values
+    };
+}
+
+function getCheckInSlotForTime(time) {
+    const hour = Number(String(time).slice(0, 2));
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 18) return 'afternoon';
+    return 'night';
+}
+
+function getCheckInSlotLabel(slotId) {
+    const slot = CHECK_IN_SLOTS.find((item) => item.id === slotId);
+    return slot ? slot.label : '';
+}
+
+/**
+ * Check-ins of a day entry, sorted by time
+ */
+function getEntryCheckIns(entry) {
+    if (!entry || !Array.isArray(entry.checkIns)) return [];
+    return entry.checkIns
+        .map(normalizeCheckIn)
+        .filter(Boolean)
+        .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Daily metric fields from check-ins. Metrics no check-in rated are left out.
+ * @returns {Object} - { mood: { highest, lowest }, anxiety: 3, ... }
+ */
+function deriveMetricValuesFromCheckIns(checkIns) {
+    const values = {};
+    getMetricSchema().forEach((metric) => {
+        const rated = checkIns
+            .map((checkIn) => checkIn.values[metric.id])
+            .filter((value) => value != null)
+            .map((value) => Math.max(metric.min, Math.min(metric.max, value)));
+        if (!rated.length) return;
+        values[metric.id] = metric.range
+            ? { highest: Math.max(...rated), lowest: Math.min(...rated) }
+            : Math.round(rated.reduce((sum, value) => sum + value, 0) / rated.length);
+    });
+    return values;
+}
+
+function notifyCheckInsChanged() {
+    renderCheckInPanel();
+    window.dispatchEvent(new CustomEvent('checkinschange', { detail: { checkIns: getCheckInData() } }));
+}
+
+// ===== Day list (States tab) =====
+
+function describeCheckInValues(checkIn) {
+    return getMetricSchema()
+        .filter((metric) => checkIn.values[metric.id] != null)
+        .map((metric) => `${escapeMetricText(metric.label)} ${checkIn.values[metric.id]}`)
+        .join(' · ');
+}
+
+function renderCheckInPanel() {
+    const list = document.getElementById('checkInList');
+    if (!list) return;
+    if (!checkInLog.length) {
+        list.innerHTML = '<div class="caffeine-log-empty">No check-ins yet. Add one to rate how you are right now; the sliders below then show the day\'s highs and lows from them.</div>';
+        return;
+    }
+    list.innerHTML = checkInLog.map((checkIn) => `<div class="check-in-item">
+            <div class="check-in-item-head">
+                <span class="check-in-time">${checkIn.time}</span>
+                <span class="check-in-slot">${escapeMetricText(getCheckInSlotLabel(checkIn.slot))}</span>
+                <button type="button" class="check-in-action" onclick="editCheckIn('${checkIn.id}')">Edit</button>
+                <button type="button" class="check-in-action" onclick="removeCheckIn('${checkIn.id}')" aria-label="Remove check-in at ${checkIn.time}">&times;</button>
+            </div>
+            <div class="check-in-values">${describeCheckInValues(checkIn) || 'Nothing rated'}</div>
+        </div>`).join('');
+}
+
+/**
+ * Restore the check-in list from a day entry
+ */
+function setCheckInData(checkIns) {
+    checkInLog = (Array.isArray(checkIns) ? checkIns : []).map(normalizeCheckIn).filter(Boolean)
+        .sort((a, b) => a.time.localeCompare(b.time));
+    closeCheckInEditor();
+    renderCheckInPanel();
+}
+
+function getCheckInData() {
+    return checkInLog.map((checkIn) => Object.assign({}, checkIn, { values: Object.assign({}, checkIn.values) }));
+}
+
+function removeCheckIn(id) {
+    checkInLog = checkInLog.filter((checkIn) => checkIn.id !== id);
+    if (checkInDraft && checkInDraft.id === id) closeCheckInEditor();
+    notifyCheckInsChanged();
+}
+
+// ===== Editor (States tab) =====
+
+function getCurrentCheckInTime() {
+    const now = new Date();
+    return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+}
+
+function startCheckIn() {
+    const time = getCurrentCheckInTime();
+    checkInDraft = { id: '', time, slot: getCheckInSlotForTime(time), values: {} };
+    renderCheckInEditor();
+}
+
+function editCheckIn(id) {
+    const checkIn = checkInLog.find((item) => item.id === id);
+    if (!checkIn) return;
+    checkInDraft = Object.assign({}, checkIn, { values: Object.assign({}, checkIn.values) });
+    renderCheckInEditor();
+}
+
+function closeCheckInEditor() {
+    checkInDraft = null;
+    const editor = document.getElementById('checkInEditor');
+    if (editor) {
+        editor.hidden = true;
+        editor.innerHTML = '';
+    }
+}
+
+function renderCheckInEditor(status) {
+    const editor = document.getElementById('checkInEditor');
+    if (!editor || !checkInDraft) return;
+    const slotOptions = CHECK_IN_SLOTS.map((slot) =>
+        `<option value="${slot.id}"${checkInDraft.slot === slot.id ? ' selected' : ''}>${slot.label}</option>`).join('');
+    const scales = getMetricSchema().map((metric) => {
+        let buttons = '';
+        for (let value = metric.min; value <= metric.max; value++) {
+            buttons += `<button type="button" class="check-in-scale-btn${checkInDraft.values[metric.id] === value ? ' active' : ''}"
+                onclick="setCheckInDraftValue('${metric.id}', ${value})">${value}</button>`;
+        }
+        return `<div class="check-in-scale">
+            <div class="check-in-scale-label">${escapeMetricText(metric.label)}</div>
+            <div class="check-in-scale-buttons" style="--check-in-scale-count: ${metric.max - metric.min + 1}">${buttons}</div>
+        </div>`;
+    }).join('');
+
+    editor.hidden = false;
+    editor.innerHTML = `
+        <div class="check-in-editor-row">
+            <label>Time <input type="time" value="${checkInDraft.time}" onchange="updateCheckInDraft('time', this.value)"></label>
+            <label>Part of day <select onchange="updateCheckInDraft('slot', this.value)">${slotOptions}</select></label>
+        </div>
+        ${scales}
+        <div class="metric-editor-actions">
+            <button type="button" class="btn-secondary" onclick="closeCheckInEditor()">Cancel</button>
+            <button type="button" class="btn-primary" onclick="saveCheckInDraft()">${checkInDraft.id ? 'Save check-in' : 'Add check-in'}</button>
+        </div>
+        <div class="metric-editor-status">${escapeMetricText(status || '')}</div>`;
+}
+
+function updateCheckInDraft(field, value) {
+    if (!checkInDraft) return;
+    checkInDraft[field] = value;
+    if (field === 'time') {
+        // Keep the part of day in step with the time unless it was set to Other
+        const time = normalizeCheckInTime(value);
+        if (time && checkInDraft.slot !== 'other') checkInDraft.slot = getCheckInSlotForTime(time);
+        renderCheckInEditor();
+    }
+}
+
+function setCheckInDraftValue(metricId, value) {
+    if (!checkInDraft) return;
+    // Tapping the chosen value again clears it
+    if (checkInDraft.values[metricId] === value) delete checkInDraft.values[metricId];
+    else checkInDraft.values[metricId] = value;
+    renderCheckInEditor();
+}
+
+function saveCheckInDraft() {
+    if (!checkInDraft) return;
+    if (!normalizeCheckInTime(checkInDraft.time)) {
+        renderCheckInEditor('Pick a time for this check-in.');
+        return;
+    }
+    if (!Object.keys(checkInDraft.values).length) {
+        renderCheckInEditor('Rate at least one metric.');
+        return;
+    }
+    const checkIn = normalizeCheckIn(checkInDraft);
+    checkInLog = checkInLog.filter((item) => item.id !== checkIn.id).concat(checkIn)
+        .sort((a, b) => a.time.localeCompare(b.time));
+    closeCheckInEditor();
+    notifyCheckInsChanged();
+}
+
+window.CHECK_IN_SLOTS = CHECK_IN_SLOTS;
+window.getEntryCheckIns = getEntryCheckIns;
+window.deriveMetricValuesFromCheckIns = deriveMetricValuesFromCheckIns;
+window.setCheckInData = setCheckInData;
+window.getCheckInData = getCheckInData;
+window.startCheckIn = startCheckIn;
+window.editCheckIn = editCheckIn;
+window.removeCheckIn = removeCheckIn;
+window.closeCheckInEditor = closeCheckInEditor;
+window.updateCheckInDraft = updateCheckInDraft;
+window.setCheckInDraftValue = setCheckInDraftValue;
+window.saveCheckInDraft = saveCheckInDraft;
@@ -0,0 +1,243 @@
+// trackers/day-sync.js
+// Keeps a page's open day in step with edits made elsewhere (another device,
+// or the other tracker page on this one).
+// Each page registers a sync with hooks:
+//   collect() -> the payload the page would save now
+//   apply(data) -> show a day document in the inputs without autosaving
+//   save() -> queue the page's autosave
+// Two snapshots are kept per open day: the stored document as last seen
+// (to spot remote changes) and what the inputs showed when it was loaded (to
+// spot local ones). Autosave then writes only the fields edited here, remote
+// edits to other fields are merged into the inputs, and a field changed on
+// both sides to different values waits in a conflict banner until the user picks.
+
+const daySyncs = {};
+
+function isSameEntryValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function setEntryField(target, field, value) {
+    if (value === undefined) delete target[field];
+    else target[field] = value;
+}
+
+/**
+ * @param {string} name - Id used by the banner buttons
+ * @param {Object} hooks - { bannerId, collect, apply, save }
+ */
+function createDaySync(name, hooks) {
+    daySyncs[name] = {
+        name,
+        hooks,
+        uid: '',
+        date: '',
+        stored: {}, // Document fields as last seen in storage
+        shown: {}, // Page payload when loaded, or when last saved or merged
+        ownWrites: new Set(), // Fields this page has written since the day was opened
+        conflicts: {}, // field -> { theirs, editedBy, editedDevice }
+        unsubscribe: null
+    };
+    return daySyncs[name];
+}
+
+function getShownChanges(sync, current) {
+    return new Set(Object.keys(current).filter((field) => !isSameEntryValue(current[field], sync.shown[field])));
+}
+
+/**
+ * Start following a day after the page has shown it
+ * @param {Object|null} entry - The document the inputs were filled from
+ */
+function openDaySync(sync, uid, dateStr, entry) {
+    closeDaySync(sync);
+    sync.uid = uid;
+    sync.date = dateStr;
+    sync.stored = getEntryVersionData(entry);
+    sync.shown = getEntryVersionData(sync.hooks.collect());
+    if (window.trackerRepository && window.trackerRepository.watchEntry) {
+        sync.unsubscribe = window.trackerRepository.watchEntry(uid, dateStr, (remote) => {
+            if (sync.uid === uid && sync.date === dateStr) handleDaySyncRemote(sync, remote);
+        });
+    }
+}
+
+function closeDaySync(sync) {
+    if (sync.unsubscribe) sync.unsubscribe();
+    sync.unsubscribe = null;
+    sync.uid = '';
+    sync.date = '';
+    sync.stored = {};
+    sync.shown = {};
+    sync.ownWrites = new Set();
+    sync.conflicts = {};
+    renderDayConflicts(sync);
+}
+
+function hasDayConflicts(sync) {
+    return Object.keys(sync.conflicts).length > 0;
+}
+
+/**
+ * Narrow a save to the fields edited on this page, leaving out unresolved
+ * conflicts. The first save of a day not stored yet writes every field.
+ * @returns {{write: Object, fields: Array}|null} - null when there is nothing to write
+ */
+function prepareDaySyncWrite(sync, payload) {
+    if (!sync.date || payload.date !== sync.date) return { write: payload, fields: [] };
+    const current = getEntryVersionData(payload);
+    const candidates = Object.keys(sync.stored).length ? Array.from(getShownChanges(sync, current)) : Object.keys(current);
+    const fields = candidates.filter((field) => !sync.conflicts[field]);
+    if (!fields.length) return null;
+    const write = {};
+    ENTRY_VERSION_META_FIELDS.forEach((field) => {
+        if (payload[field] !== undefined) write[field] = payload[field];
+    });
+    fields.forEach((field) => {
+        write[field] = current[field];
+    });
+    return { write, fields };
+}
+
+/**
+ * Save a page's payload through the sync: only the edited fields are passed to
+ * put, and they count as saved once put resolves. A failed write leaves them
+ * edited, so the next save tries them again.
+ * @param {Function} put - (write) -> Promise, the repository write
+ * @returns {Promise<{payload: Object, result: *}|null>} - null when there was nothing to write
+ */
+async function saveDaySyncWrite(sync, payload, put) {
+    const prepared = prepareDaySyncWrite(sync, payload);
+    if (!prepared) return null;
+    const { write, fields } = prepared;
+    const uid = sync.uid;
+    const dateStr = sync.date;
+    // Echoes of the write can arrive before put resolves
+    const added = fields.filter((field) => !sync.ownWrites.has(field));
+    added.forEach((field) => sync.ownWrites.add(field));
+    const stillOpen = () => sync.uid === uid && sync.date === dateStr;
+    let result;
+    try {
+        result = await put(write);
+    } catch (e) {
+        if (stillOpen()) added.forEach((field) => sync.ownWrites.delete(field));
+        throw e;
+    }
+    if (stillOpen()) {
+        fields.forEach((field) => {
+            setEntryField(sync.shown, field, write[field]);
+            setEntryField(sync.stored, field, write[field]);
+        });
+    }
+    return { payload: write, result };
+}
+
+// Show the stored document with this page's unsaved edits on top
+function reapplyDaySync(sync, keepFields) {
+    const current = getEntryVersionData(sync.hooks.collect());
+    const merged = Object.assign({}, sync.stored, { date: sync.date });
+    keepFields.forEach((field) => setEntryField(merged, field, current[field]));
+    sync.hooks.apply(merged);
+    const after = getEntryVersionData(sync.hooks.collect());
+    Object.keys(after).forEach((field) => {
+        if (!keepFields.has(field)) sync.shown[field] = after[field];
+    });
+}
+
+function handleDaySyncRemote(sync, remote) {
+    const remoteData = getEntryVersionData(remote);
+    const device = getTrackerDevice();
+    // Echoes of this page's own writes can arrive late and out of order
+    const fromHere = remote && remote.editedDevice && remote.editedDevice.id === device.id;
+    const fields = new Set(Object.keys(sync.stored).concat(Object.keys(remoteData)));
+    const remoteChanges = Array.from(fields).filter((field) =>
+        !isSameEntryValue(remoteData[field], sync.stored[field]) && !(fromHere && sync.ownWrites.has(field)));
+    if (!remoteChanges.length) return;
+
+    const current = getEntryVersionData(sync.hooks.collect());
+    const localChanges = getShownChanges(sync, current);
+    let merge = false;
+    remoteChanges.forEach((field) => {
+        setEntryField(sync.stored, field, remoteData[field]);
+        if (!localChanges.has(field)) {
+            merge = true;
+        } else if (isSameEntryValue(current[field], remoteData[field])) {
+            // Both sides made the same edit
+            setEntryField(sync.shown, field, current[field]);
+            delete sync.conflicts[field];
+        } else {
+            sync.conflicts[field] = {
+                theirs: remoteData[field],
+                editedBy: (remote && remote.editedBy) || '',
+                editedDevice: (remote && remote.editedDevice) || null
+            };
+        }
+    });
+    if (merge) reapplyDaySync(sync, new Set(Array.from(localChanges).filter((field) => field in current)));
+    renderDayConflicts(sync);
+}
+
+/**
+ * Settle a conflicting field: 'mine' saves this page's value over the other
+ * device's, 'theirs' puts the other device's value into the inputs
+ */
+function resolveDayConflict(name, field, choice) {
+    const sync = daySyncs[name];
+    if (!sync || !sync.conflicts[field]) return;
+    delete sync.conflicts[field];
+    if (choice === 'theirs') {
+        const current = getEntryVersionData(sync.hooks.collect());
+        const keep = getShownChanges(sync, current);
+        keep.delete(field);
+        reapplyDaySync(sync, keep);
+        renderDayConflicts(sync);
+        return;
+    }
+    renderDayConflicts(sync);
+    sync.hooks.save();
+}
+
+function resolveAllDayConflicts(name, choice) {
+    const sync = daySyncs[name];
+    if (!sync) return;
+    Object.keys(sync.conflicts).forEach((field) => resolveDayConflict(name, field, choice));
+}
+
+function renderDayConflicts(sync) {
+    const banner = document.getElementById(sync.hooks.bannerId);
+    if (!banner) return;
+    const fields = Object.keys(sync.conflicts);
+    banner.hidden = fields.length === 0;
+    if (!fields.length) {
+        banner.innerHTML = '';
+        return;
+    }
+    const current = getEntryVersionData(sync.hooks.collect());
+    const first = sync.conflicts[fields[0]];
+    const where = first.editedDevice && first.editedDevice.label ? first.editedDevice.label : 'another device';
+    const rows = fields.map((field) => {
+        const mine = formatEntryFieldValue(field, current[field]);
+        const theirs = formatEntryFieldValue(field, sync.conflicts[field].theirs);
+        const values = mine || theirs ? ` <span class="day-conflict-values">yours ${mine} &middot; theirs ${theirs}</span>` : '';
+        return `<div class="day-conflict-row">
+                <span class="day-conflict-field">${escapeMetricText(describeEntryField(field))}${values}</span>
+                <button type="button" class="check-in-action" onclick="resolveDayConflict('${sync.name}', '${field}', 'mine')">Keep mine</button>
+                <button type="button" class="check-in-action" onclick="resolveDayConflict('${sync.name}', '${field}', 'theirs')">Use theirs</button>
+            </div>`;
+    }).join('');
+    const all = fields.length > 1
+        ? `<div class="day-conflict-row day-conflict-all">
+                <button type="button" class="check-in-action" onclick="resolveAllDayConflicts('${sync.name}', 'mine')">Keep all mine</button>
+                <button type="button" class="check-in-action" onclick="resolveAllDayConflicts('${sync.name}', 'theirs')">Use all theirs</button>
+            </div>`
+        : '';
+    banner.innerHTML = `<div class="day-conflict-title">Also changed on ${escapeMetricText(where)} while you had this day open</div>${rows}${all}`;
+}
+
+window.createDaySync = createDaySync;
+window.openDaySync = openDaySync;
+window.closeDaySync = closeDaySync;
+window.hasDayConflicts = hasDayConflicts;
+window.saveDaySyncWrite = saveDaySyncWrite;
+window.resolveDayConflict = resolveDayConflict;
+window.resolveAllDayConflicts = resolveAllDayConflicts;
@@ -0,0 +1,145 @@
+// trackers/diary-calendar.js
+// Calendar view of the diary month: one cell per day, shaded from the day's
+// lowest mood at the bottom to its highest at the top, and marked when it has
+// a note, tags or photos. Tapping a day shows its card below the grid, with
+// the same edit and open actions as in the list. Days come from the diary index
+// (trackers/diary-search.js); the chosen view is remembered per device.
+
+const DIARY_VIEW_KEY = 'diaryView';
+const DIARY_MOOD_METRIC_ID = 'mood';
+// Low, middle and high ratings, in the sleep quality colours (analytics/utils.js)
+const DIARY_MOOD_STOPS = [[237, 182, 140], [167, 173, 217], [168, 230, 217]];
+const DIARY_WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+let diaryView = readDiaryView();
+let diaryCalendarDay = ''; // Expanded day, '' when none
+
+function readDiaryView() {
+    try {
+        return localStorage.getItem(DIARY_VIEW_KEY) === 'calendar' ? 'calendar' : 'list';
+    } catch (e) {
+        return 'list';
+    }
+}
+
+function isDiaryCalendarView() {
+    return diaryView === 'calendar';
+}
+
+function setDiaryView(view) {
+    diaryView = view === 'calendar' ? 'calendar' : 'list';
+    try {
+        localStorage.setItem(DIARY_VIEW_KEY, diaryView);
+    } catch (e) {
+        // ignore storage errors
+    }
+    renderDiaryViewButtons();
+    renderDiaryEntries();
+}
+
+function renderDiaryViewButtons() {
+    document.querySelectorAll('[data-diary-view]').forEach((button) => {
+        const active = button.dataset.diaryView === diaryView;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+}
+
+function getDiaryMoodColor(value, metric) {
+    let t = Math.min(1, Math.max(0, (value - metric.min) / ((metric.max - metric.min) || 1)));
+    if (metric.higherIsBetter === false) t = 1 - t;
+    const scaled = t * (DIARY_MOOD_STOPS.length - 1);
+    const index = Math.min(DIARY_MOOD_STOPS.length - 2, Math.floor(scaled));
+    const from = DIARY_MOOD_STOPS[index];
+    const to = DIARY_MOOD_STOPS[index + 1];
+    const rgb = from.map((channel, i) => Math.round(channel + (to[i] - channel) * (scaled - index)));
+    return `rgba(${rgb.join(', ')}, 0.55)`;
+}
+
+// { metric, low, high }, or null when the day has no mood rating
+function readDiaryMood(entry) {
+    const metric = getMetricDefinition(DIARY_MOOD_METRIC_ID);
+    if (!metric || !entry) return null;
+    const high = readMetricEntryValue(entry, metric.id, metric.range ? 'highest' : null);
+    const low = metric.range ? readMetricEntryValue(entry, metric.id, 'lowest') : high;
+    if (high == null && low == null) return null;
+    return { metric, low: low ?? high, high: high ?? low };
+}
+
+function describeDiaryMood(mood) {
+    if (!mood) return '';
+    return mood.low === mood.high ? `${mood.metric.label} ${mood.high}` : `${mood.metric.label} ${mood.low}–${mood.high}`;
+}
+
+function renderDiaryCalendar(monthKey) {
+    const container = document.getElementById('diaryCalendar');
+    if (!container) return;
+    const [year, month] = monthKey.split('-').map(Number);
+    const lead = (new Date(year, month - 1, 1).getDay() + 6) % 7; // Weeks start on Monday
+    const dayCount = new Date(year, month, 0).getDate();
+    const today = getTodayDateString();
+    if (!diaryCalendarDay.startsWith(`${monthKey}-`)) diaryCalendarDay = '';
+
+    const cells = DIARY_WEEKDAY_LABELS.map((label) => `<div class="diary-cal-weekday">${label}</div>`);
+    for (let i = 0; i < lead; i++) cells.push('<div class="diary-cal-blank"></div>');
+    for (let day = 1; day <= dayCount; day++) {
+        const dateStr = `${monthKey}-${String(day).padStart(2, '0')}`;
+        const item = getDiaryDayNote(dateStr);
+        const mood = readDiaryMood(item.entry);
+        const marks = [];
+        if (item.note) marks.push('<span class="diary-cal-mark" aria-hidden="true">&#9998;</span>');
+        if (item.tags.length) marks.push('<span class="diary-cal-mark" aria-hidden="true">#</span>');
+        if (item.photos.length) marks.push('<span class="diary-cal-mark" aria-hidden="true">&#9635;</span>');
+        const label = [
+            formatDiaryEntryDate(dateStr),
+            describeDiaryMood(mood),
+            item.note ? 'note' : '',
+            item.tags.length ? `${item.tags.length} tag${item.tags.length === 1 ? '' : 's'}` : '',
+            item.photos.length ? `${item.photos.length} photo${item.photos.length === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(', ');
+        const classes = ['diary-cal-cell'];
+        if (dateStr === diaryCalendarDay) classes.push('selected');
+        if (dateStr === today) classes.push('today');
+        const background = mood
+            ? ` style="background: linear-gradient(to top, ${getDiaryMoodColor(mood.low, mood.metric)}, ${getDiaryMoodColor(mood.high, mood.metric)})"`
+            : '';
+        cells.push(`<button type="button" class="${classes.join(' ')}"${background}${dateStr > today ? ' disabled' : ''}
+            aria-label="${escapeMetricText(label)}" aria-pressed="${dateStr === diaryCalendarDay}"
+            onclick="toggleDiaryCalendarDay('${dateStr}')">
+            <span class="diary-cal-day">${day}</span>
+            <span class="diary-cal-marks">${marks.join('')}</span>
+        </button>`);
+    }
+    container.innerHTML = `<div class="diary-cal-grid">${cells.join('')}</div><div id="diaryCalendarDetail"></div>`;
+    renderDiaryCalendarDetail();
+}
+
+function renderDiaryCalendarDetail() {
+    const detail = document.getElementById('diaryCalendarDetail');
+    if (!detail) return;
+    detail.innerHTML = '';
+    if (!diaryCalendarDay) return;
+    const item = getDiaryDayNote(diaryCalendarDay);
+    const empty = item.entry ? 'Nothing written this day.' : 'Nothing tracked this day.';
+    const card = buildDiaryCard(Object.assign({}, item, { note: item.note || empty }), null);
+    const mood = describeDiaryMood(readDiaryMood(item.entry));
+    if (mood) {
+        const moodEl = document.createElement('div');
+        moodEl.className = 'diary-cal-mood';
+        moodEl.textContent = mood;
+        card.insertBefore(moodEl, card.children[1] || null);
+    }
+    detail.appendChild(card);
+}
+
+function toggleDiaryCalendarDay(dateStr) {
+    diaryCalendarDay = diaryCalendarDay === dateStr ? '' : dateStr;
+    renderDiaryEntries();
+}
+
+renderDiaryViewButtons();
+
+window.isDiaryCalendarView = isDiaryCalendarView;
+window.setDiaryView = setDiaryView;
+window.renderDiaryCalendar = renderDiaryCalendar;
+window.toggleDiaryCalendarDay = toggleDiaryCalendarDay;
@@ -0,0 +1,196 @@
+// trackers/diary-editor.js
+// Editing a day's note and tags right on its diary card. One card is edited
+// at a time; changes are saved like the tracker's autosave (queueSymptomAutosave
+// in index.html): a short pause after the last edit, then a merge write of
+// whichever of note and noteTags changed since the card opened (so a note edit
+// does not overwrite tags changed elsewhere), with the same Saving / Saved /
+// Saved offline states.
+// A tracker page showing that day picks the change up through its day sync
+// (trackers/day-sync.js), and the diary index (trackers/diary-search.js) is
+// updated straight away so the card does not flash back to the old text.
+
+const DIARY_EDIT_SAVE_DELAY = 450;
+
+let diaryEdit = null; // { date, note, tags, shown, status, state } while a card is open for editing
+let diaryEditTimer = null;
+let diaryEditSaving = null; // Promise of the save in flight
+let diaryEditTagChoices = []; // Tag names in the order the editor shows them
+
+function isDiaryEditing(dateStr) {
+    if (!diaryEdit) return false;
+    return dateStr === undefined || diaryEdit.date === dateStr;
+}
+
+async function startDiaryEdit(dateStr) {
+    if (!window.currentUser) return;
+    if (diaryEdit && diaryEdit.date !== dateStr && !(await finishDiaryEdit())) return;
+    const item = getDiaryDayNote(dateStr);
+    const tags = normalizeTagList(item.tags);
+    // Field values as opened, or as last saved from here
+    const shown = { note: item.note, noteTags: tags };
+    diaryEdit = { date: dateStr, note: item.note, tags, shown, status: '', state: '' };
+    renderDiaryEntries();
+    const text = document.getElementById('diaryEditText');
+    if (text) text.focus();
+}
+
+function setDiaryEditStatus(text, state) {
+    if (!diaryEdit) return;
+    diaryEdit.status = text;
+    diaryEdit.state = state || '';
+    const el = document.getElementById('diaryEditStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.dataset.state = diaryEdit.state;
+}
+
+async function saveDiaryEdit(edit) {
+    const user = window.currentUser;
+    if (!user || !window.trackerRepository) return null;
+    const current = { note: edit.note, noteTags: normalizeTagList(edit.tags) };
+    const fields = Object.keys(current).filter((field) => !isSameEntryValue(current[field], edit.shown[field]));
+    if (!fields.length) return null;
+    const data = { date: edit.date };
+    fields.forEach((field) => {
+        data[field] = current[field];
+    });
+    const payload = buildSymptomEntryPayload(user, data);
+    const result = await window.trackerRepository.putEntry(user.uid, edit.date, payload, { merge: true });
+    fields.forEach((field) => {
+        edit.shown[field] = current[field];
+    });
+    applyDiaryEntryChange(user.uid, payload);
+    queueTrackerStatsRefresh();
+    return result;
+}
+
+// Resolves to false when the save failed
+function runDiaryEditSave() {
+    diaryEditTimer = null;
+    const edit = diaryEdit;
+    if (!edit) return Promise.resolve(true);
+    const saving = saveDiaryEdit(Object.assign({}, edit)).then((result) => {
+        if (diaryEdit === edit) {
+            if (result && result.pending) setDiaryEditStatus('Saved offline', 'pending');
+            else setDiaryEditStatus('Saved', 'saved');
+        }
+        return true;
+    }).catch((err) => {
+        console.error('Diary save failed:', err);
+        if (diaryEdit === edit) setDiaryEditStatus('Save failed', 'error');
+        return false;
+    }).finally(() => {
+        if (diaryEditSaving === saving) diaryEditSaving = null;
+    });
+    diaryEditSaving = saving;
+    return saving;
+}
+
+function queueDiaryEditSave() {
+    if (!diaryEdit) return;
+    setDiaryEditStatus('Saving...', 'saving');
+    clearTimeout(diaryEditTimer);
+    diaryEditTimer = setTimeout(runDiaryEditSave, DIARY_EDIT_SAVE_DELAY);
+}
+
+/**
+ * Save what is still waiting and close the editor. It stays open when the save fails.
+ * @returns {Promise<boolean>} - Whether the editor was closed
+ */
+async function finishDiaryEdit() {
+    if (!diaryEdit) return true;
+    let saved = true;
+    if (diaryEditTimer || diaryEdit.state === 'error') {
+        clearTimeout(diaryEditTimer);
+        saved = await runDiaryEditSave();
+    } else if (diaryEditSaving) {
+        saved = await diaryEditSaving;
+    }
+    if (!saved) return false;
+    diaryEdit = null;
+    refreshDiaryFromIndex();
+    return true;
+}
+
+function resetDiaryEditor() {
+    clearTimeout(diaryEditTimer);
+    diaryEditTimer = null;
+    diaryEditSaving = null;
+    diaryEdit = null;
+}
+
+// Kept without a redraw so the text area keeps focus while typing
+function setDiaryEditNote(value) {
+    if (!diaryEdit) return;
+    diaryEdit.note = value;
+    queueDiaryEditSave();
+}
+
+function toggleDiaryEditTag(index) {
+    const name = diaryEditTagChoices[index];
+    if (!diaryEdit || !name) return;
+    const key = normalizeNoteTag(name);
+    const selected = diaryEdit.tags.some((tag) => normalizeNoteTag(tag) === key);
+    diaryEdit.tags = selected ? diaryEdit.tags.filter((tag) => normalizeNoteTag(tag) !== key) : diaryEdit.tags.concat([name]);
+    renderDiaryEditTags();
+    queueDiaryEditSave();
+}
+
+function addDiaryEditTag() {
+    const input = document.getElementById('diaryEditTagInput');
+    if (!diaryEdit || !input) return;
+    const name = sanitizeNoteTag(input.value);
+    input.value = '';
+    if (!name) return;
+    addNoteTagsToLibrary([name]);
+    diaryEdit.tags = normalizeTagList(diaryEdit.tags.concat([name]));
+    renderDiaryEditTags();
+    queueDiaryEditSave();
+    input.focus();
+}
+
+function renderDiaryEditTags(root) {
+    const container = root ? root.querySelector('.tag-container') : document.getElementById('diaryEditTags');
+    if (!container || !diaryEdit) return;
+    // Tags of the day that the library no longer has stay pickable
+    diaryEditTagChoices = normalizeTagList(getNoteTagNames().concat(diaryEdit.tags));
+    const selected = new Set(diaryEdit.tags.map(normalizeNoteTag));
+    container.innerHTML = diaryEditTagChoices.map((name, index) => {
+        const active = selected.has(normalizeNoteTag(name));
+        return `<button type="button" class="tag${active ? ' selected' : ''}" aria-pressed="${active}"
+            onclick="toggleDiaryEditTag(${index})">${escapeMetricText(name)}</button>`;
+    }).join('');
+}
+
+/**
+ * The editor that replaces the note and tags of the card being edited
+ * @returns {HTMLElement}
+ */
+function buildDiaryEditor() {
+    const editor = document.createElement('div');
+    editor.className = 'diary-editor';
+    editor.innerHTML = `
+        <textarea class="note-textarea" id="diaryEditText" rows="5" placeholder="Write your note here..."
+            oninput="setDiaryEditNote(this.value)">${escapeMetricText(diaryEdit.note)}</textarea>
+        <div class="note-tag-creator">
+            <input type="text" id="diaryEditTagInput" class="note-tag-input" maxlength="24" placeholder="Create a tag"
+                onkeydown="if (event.key === 'Enter') { event.preventDefault(); addDiaryEditTag(); }">
+            <button type="button" class="btn-secondary note-tag-add-btn" onclick="addDiaryEditTag()">Add tag</button>
+        </div>
+        <div class="tag-container" id="diaryEditTags"></div>
+        <div class="diary-editor-foot">
+            <span class="autosave-status" id="diaryEditStatus" data-state="${diaryEdit.state}">${escapeMetricText(diaryEdit.status)}</span>
+            <button type="button" class="btn-primary" onclick="finishDiaryEdit()">Done</button>
+        </div>`;
+    renderDiaryEditTags(editor);
+    return editor;
+}
+
+window.isDiaryEditing = isDiaryEditing;
+window.startDiaryEdit = startDiaryEdit;
+window.finishDiaryEdit = finishDiaryEdit;
+window.resetDiaryEditor = resetDiaryEditor;
+window.setDiaryEditNote = setDiaryEditNote;
+window.toggleDiaryEditTag = toggleDiaryEditTag;
+window.addDiaryEditTag = addDiaryEditTag;
+window.buildDiaryEditor = buildDiaryEditor;
@@ -0,0 +1,283 @@
+// trackers/diary-search.js
+// Diary notes for the whole history, read once per account and kept current
+// by the tracker stats refresh (refreshTrackerStats in index.html). The month
+// view reads its notes from here, and the search box looks through every day
+// with an inverted index built from note text and tags:
+//   word -> Set of dates
+// Words are runs of letters and digits in any script, so Cyrillic notes are
+// split the same way as Latin ones. Each search word matches the indexed
+// words it starts, and a day must match all of them; terms shaped like a
+// date (2025, 2025-03, 2025-03-14) match the day's date instead. Results can
+// be narrowed by tag, date range and one metric rating (e.g. Mood Lowest <= 2).
+// Days without notes are kept as well for the calendar (trackers/diary-calendar.js).
+
+const DIARY_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const DIARY_DATE_TERM_PATTERN = /^\d{4}(-\d{1,2}(-\d{1,2})?)?$/;
+const DIARY_METRIC_COMPARATORS = [
+    { id: 'lte', label: '≤', test: (value, limit) => value <= limit },
+    { id: 'gte', label: '≥', test: (value, limit) => value >= limit },
+    { id: 'eq', label: '=', test: (value, limit) => value === limit }
+];
+
+let diaryIndexUid = '';
+let diaryIndexLoading = null; // { uid, promise } while the entries are read
+let diaryEntriesByDate = new Map(); // Every day entry, notes or not
+let diaryNotes = []; // [{ date, note, tags, photos, entry }] newest first
+let diaryWordDates = new Map();
+let diaryWords = []; // Keys of diaryWordDates, sorted for prefix lookups
+let diaryFiltersOpen = false;
+const diarySearchFilters = { tag: '', start: '', end: '', metric: '', comparator: 'lte', value: '' };
+
+// ё is folded into е, as Russian text often spells one as the other
+function normalizeDiaryText(text) {
+    return String(text || '').toLowerCase().replace(/ё/g, 'е');
+}
+
+function splitDiaryWords(text) {
+    return normalizeDiaryText(text).match(DIARY_WORD_PATTERN) || [];
+}
+
+function toDiaryNote(entry) {
+    if (!entry || !isIsoDateKey(entry.date)) return null;
+    const note = typeof entry.note === 'string' ? entry.note.trim() : '';
+    const tags = Array.isArray(entry.noteTags)
+        ? entry.noteTags.map((tag) => String(tag || '').trim()).filter(Boolean)
+        : [];
+    const photos = Array.isArray(entry.photos)
+        ? entry.photos.filter((photo) => photo && typeof photo.url === 'string' && photo.url)
+        : [];
+    if (!note && !tags.length && !photos.length) return null;
+    return { date: entry.date, note, tags, photos, entry };
+}
+
+/**
+ * Rebuild the notes and index from every entry of an account
+ */
+function updateDiarySearchIndex(uid, entries) {
+    diaryIndexUid = uid;
+    diaryEntriesByDate = new Map((entries || []).filter((entry) => entry && isIsoDateKey(entry.date)).map((entry) => [entry.date, entry]));
+    diaryNotes = (entries || []).map(toDiaryNote).filter(Boolean).sort((a, b) => b.date.localeCompare(a.date));
+    diaryWordDates = new Map();
+    diaryNotes.forEach((item) => {
+        splitDiaryWords(`${item.note} ${item.tags.join(' ')}`).forEach((word) => {
+            if (!diaryWordDates.has(word)) diaryWordDates.set(word, new Set());
+            diaryWordDates.get(word).add(item.date);
+        });
+    });
+    diaryWords = Array.from(diaryWordDates.keys()).sort();
+}
+
+async function loadDiarySearchIndex(uid) {
+    if (!uid || !window.trackerRepository) return [];
+    if (diaryIndexUid === uid) return diaryNotes;
+    if (!diaryIndexLoading || diaryIndexLoading.uid !== uid) {
+        const promise = window.trackerRepository.listEntries(uid).then((entries) => {
+            if (diaryIndexLoading && diaryIndexLoading.promise === promise) updateDiarySearchIndex(uid, entries);
+        }).finally(() => {
+            if (diaryIndexLoading && diaryIndexLoading.promise === promise) diaryIndexLoading = null;
+        });
+        diaryIndexLoading = { uid, promise };
+    }
+    await diaryIndexLoading.promise;
+    return diaryNotes;
+}
+
+function resetDiarySearchIndex() {
+    diaryIndexLoading = null;
+    updateDiarySearchIndex('', []);
+    clearDiarySearchFilters();
+}
+
+/**
+ * Notes of one month, newest first
+ * @param {string} monthKey - YYYY-MM
+ */
+function getDiaryMonthNotes(monthKey) {
+    return diaryNotes.filter((item) => item.date.startsWith(`${monthKey}-`));
+}
+
+/**
+ * Fold a saved change into the index ahead of the next full rebuild
+ * @param {Object} change - Entry fields written, with its date
+ */
+function applyDiaryEntryChange(uid, change) {
+    if (!uid || uid !== diaryIndexUid || !change || !isIsoDateKey(change.date)) return;
+    const entries = Array.from(diaryEntriesByDate.values()).filter((entry) => entry.date !== change.date);
+    entries.push(Object.assign({}, diaryEntriesByDate.get(change.date), change));
+    updateDiarySearchIndex(uid, entries);
+}
+
+/**
+ * The stored entry of a day, or null
+ */
+function getDiaryDayEntry(dateStr) {
+    return diaryEntriesByDate.get(dateStr) || null;
+}
+
+/**
+ * A day as a diary note, also when nothing was written that day
+ */
+function getDiaryDayNote(dateStr) {
+    const entry = getDiaryDayEntry(dateStr);
+    return toDiaryNote(entry) || { date: dateStr, note: '', tags: [], photos: [], entry };
+}
+
+function findDiaryWordsStartingWith(prefix) {
+    let low = 0;
+    let high = diaryWords.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (diaryWords[mid] < prefix) low = mid + 1;
+        else high = mid;
+    }
+    const found = [];
+    for (let i = low; i < diaryWords.length && diaryWords[i].startsWith(prefix); i++) found.push(diaryWords[i]);
+    return found;
+}
+
+function parseDiaryQuery(query) {
+    const words = [];
+    const dates = [];
+    String(query || '').trim().split(/\s+/).filter(Boolean).forEach((term) => {
+        if (DIARY_DATE_TERM_PATTERN.test(term)) dates.push(term);
+        else words.push(...splitDiaryWords(term));
+    });
+    return { words, dates };
+}
+
+function getDiaryMetricFilterField() {
+    if (!diarySearchFilters.metric || diarySearchFilters.value === '') return null;
+    const field = getMetricInputFields().find((item) => `${item.metricId}:${item.part || ''}` === diarySearchFilters.metric);
+    const limit = Number(diarySearchFilters.value);
+    return field && Number.isFinite(limit) ? { field, limit } : null;
+}
+
+function isDiarySearchActive(query) {
+    return String(query || '').trim() !== '' || !!(diarySearchFilters.tag || diarySearchFilters.start ||
+        diarySearchFilters.end || getDiaryMetricFilterField());
+}
+
+function passesDiaryFilters(item) {
+    const filters = diarySearchFilters;
+    if (filters.tag && !item.tags.some((tag) => normalizeNoteTag(tag) === normalizeNoteTag(filters.tag))) return false;
+    if (filters.start && item.date < filters.start) return false;
+    if (filters.end && item.date > filters.end) return false;
+    const metric = getDiaryMetricFilterField();
+    if (metric) {
+        const value = readMetricEntryValue(item.entry, metric.field.metricId, metric.field.part);
+        const comparator = DIARY_METRIC_COMPARATORS.find((entry) => entry.id === filters.comparator) || DIARY_METRIC_COMPARATORS[0];
+        if (value == null || !comparator.test(value, metric.limit)) return false;
+    }
+    return true;
+}
+
+/**
+ * Notes from every day that match the query and filters, newest first
+ */
+function searchDiary(query) {
+    const { words, dates } = parseDiaryQuery(query);
+    let matches = null;
+    words.forEach((word) => {
+        const wordDates = new Set();
+        findDiaryWordsStartingWith(word).forEach((found) => {
+            diaryWordDates.get(found).forEach((date) => wordDates.add(date));
+        });
+        matches = matches ? new Set(Array.from(matches).filter((date) => wordDates.has(date))) : wordDates;
+    });
+    return diaryNotes.filter((item) =>
+        (!matches || matches.has(item.date)) &&
+        dates.every((prefix) => item.date.startsWith(prefix)) &&
+        passesDiaryFilters(item));
+}
+
+/**
+ * Fill an element with text, wrapping the parts that matched the query in <mark>
+ */
+function renderDiaryHighlight(element, text, query) {
+    const { words } = parseDiaryQuery(query);
+    element.textContent = '';
+    let last = 0;
+    if (words.length) {
+        for (const match of String(text).matchAll(DIARY_WORD_PATTERN)) {
+            const normalized = normalizeDiaryText(match[0]);
+            const hit = words.filter((word) => normalized.startsWith(word)).sort((a, b) => b.length - a.length)[0];
+            if (!hit) continue;
+            // Case folding can change the length of a few letters; mark the whole word then
+            const end = match.index + (normalized.length === match[0].length ? hit.length : match[0].length);
+            element.appendChild(document.createTextNode(text.slice(last, match.index)));
+            const mark = document.createElement('mark');
+            mark.className = 'diary-search-hit';
+            mark.textContent = text.slice(match.index, end);
+            element.appendChild(mark);
+            last = end;
+        }
+    }
+    element.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function renderDiarySearchFilters() {
+    const panel = document.getElementById('diarySearchFilters');
+    const button = document.getElementById('diaryFiltersBtn');
+    if (button) button.setAttribute('aria-expanded', diaryFiltersOpen ? 'true' : 'false');
+    if (!panel) return;
+    panel.hidden = !diaryFiltersOpen;
+    if (!diaryFiltersOpen) return;
+    const filters = diarySearchFilters;
+    const tags = getNoteTagNames().map((name) =>
+        `<option value="${escapeMetricText(name)}"${name === filters.tag ? ' selected' : ''}>${escapeMetricText(name)}</option>`).join('');
+    const metrics = getMetricInputFields().map((field) => {
+        const id = `${field.metricId}:${field.part || ''}`;
+        return `<option value="${id}"${id === filters.metric ? ' selected' : ''}>${escapeMetricText(field.label)}</option>`;
+    }).join('');
+    const comparators = DIARY_METRIC_COMPARATORS.map((comparator) =>
+        `<option value="${comparator.id}"${comparator.id === filters.comparator ? ' selected' : ''}>${comparator.label}</option>`).join('');
+    panel.innerHTML = `
+        <label class="backfill-range">Tag <select onchange="setDiarySearchFilter('tag', this.value)">
+            <option value="">Any</option>${tags}
+        </select></label>
+        <div class="diary-filter-row">
+            <label class="backfill-range">From <input type="date" value="${filters.start}" onchange="setDiarySearchFilter('start', this.value)"></label>
+            <label class="backfill-range">To <input type="date" value="${filters.end}" onchange="setDiarySearchFilter('end', this.value)"></label>
+        </div>
+        <div class="diary-filter-row">
+            <select aria-label="Metric" onchange="setDiarySearchFilter('metric', this.value)">
+                <option value="">Any rating</option>${metrics}
+            </select>
+            <select aria-label="Comparison" onchange="setDiarySearchFilter('comparator', this.value)">${comparators}</select>
+            <input type="number" class="diary-filter-value" aria-label="Rating" value="${escapeMetricText(filters.value)}"
+                oninput="setDiarySearchFilter('value', this.value, false)">
+        </div>
+        <button type="button" class="check-in-action" onclick="clearDiarySearchFilters(); renderDiaryEntries();">Clear filters</button>`;
+}
+
+function toggleDiarySearchFilters() {
+    diaryFiltersOpen = !diaryFiltersOpen;
+    renderDiarySearchFilters();
+}
+
+// The rating field is not redrawn while typing so it keeps focus
+function setDiarySearchFilter(key, value, redraw) {
+    if (!(key in diarySearchFilters)) return;
+    diarySearchFilters[key] = String(value || '');
+    if (redraw !== false) renderDiarySearchFilters();
+    renderDiaryEntries();
+}
+
+function clearDiarySearchFilters() {
+    Object.assign(diarySearchFilters, { tag: '', start: '', end: '', metric: '', comparator: 'lte', value: '' });
+    renderDiarySearchFilters();
+}
+
+window.updateDiarySearchIndex = updateDiarySearchIndex;
+window.loadDiarySearchIndex = loadDiarySearchIndex;
+window.resetDiarySearchIndex = resetDiarySearchIndex;
+window.getDiaryMonthNotes = getDiaryMonthNotes;
+window.applyDiaryEntryChange = applyDiaryEntryChange;
+window.getDiaryDayEntry = getDiaryDayEntry;
+window.getDiaryDayNote = getDiaryDayNote;
+window.isDiarySearchActive = isDiarySearchActive;
+window.searchDiary = searchDiary;
+window.renderDiaryHighlight = renderDiaryHighlight;
+window.toggleDiarySearchFilters = toggleDiarySearchFilters;
+window.setDiarySearchFilter = setDiarySearchFilter;
+window.clearDiarySearchFilters = clearDiarySearchFilters;
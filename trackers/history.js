@@ -0,0 +1,183 @@
+// trackers/history.js
+// History panel on the tracker page: earlier versions of the selected day
+// (kept by storage/entry-versions.js), what changed after each, and restore.
+// Restoring writes the old version as a new one, so it can be undone the same way.
+
+const HISTORY_FIELD_LABELS = {
+    sleep: 'Sleep',
+    sleepSessions: 'Sleep',
+    sleepDuration: 'Sleep',
+    sleepDetails: 'Sleep details',
+    caffeine: 'Caffeine',
+    caffeineLog: 'Caffeine',
+    caffeineDone: 'Caffeine',
+    medications: 'Medications',
+    checkIns: 'Check-ins',
+    note: 'Note',
+    noteTags: 'Note tags',
+    activities: 'Activities',
+    people: 'People',
+    photos: 'Photos'
+};
+
+let entryHistoryOpen = false;
+let entryHistoryDate = '';
+let entryHistoryEntry = null; // Day document the panel was rendered from
+
+function getHistoryDate() {
+    const input = document.getElementById('date');
+    return input ? input.value : '';
+}
+
+function formatHistoryTime(ms) {
+    if (!ms) return 'Unknown time';
+    return new Date(ms).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function formatHistoryMetricValue(value) {
+    if (value == null) return '&ndash;';
+    if (typeof value === 'object') return `${value.lowest ?? '?'}&ndash;${value.highest ?? '?'}`;
+    return escapeMetricText(value);
+}
+
+function describeEntryField(field) {
+    const metric = getMetricDefinition(field);
+    return metric ? metric.label : (HISTORY_FIELD_LABELS[field] || field);
+}
+
+/**
+ * Short HTML for a field value: metric ratings and the note are shown, other
+ * fields return '' and are only named
+ */
+function formatEntryFieldValue(field, value) {
+    if (getMetricDefinition(field)) return formatHistoryMetricValue(value);
+    if (field === 'note') {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (!text) return '(empty)';
+        return `"${escapeMetricText(text.length > 40 ? `${text.slice(0, 40)}...` : text)}"`;
+    }
+    if (field === 'photos') {
+        const count = Array.isArray(value) ? value.length : 0;
+        return `${count} photo${count === 1 ? '' : 's'}`;
+    }
+    return '';
+}
+
+/**
+ * One readable line per changed field; fields sharing a label are listed once
+ */
+function describeHistoryChanges(before, after) {
+    const seen = new Set();
+    return diffEntryVersions(before, after).map((field) => {
+        if (getMetricDefinition(field)) {
+            return `${escapeMetricText(describeEntryField(field))} ${formatHistoryMetricValue(before[field])} &rarr; ${formatHistoryMetricValue(after[field])}`;
+        }
+        const label = describeEntryField(field);
+        if (seen.has(label)) return '';
+        seen.add(label);
+        return escapeMetricText(label);
+    }).filter(Boolean);
+}
+
+function describeHistoryEditor(version) {
+    const device = version.editedDevice && version.editedDevice.label ? version.editedDevice.label : 'unknown device';
+    const who = version.editedBy || 'this account';
+    return `${escapeMetricText(formatHistoryTime(version.editedAt))} &middot; ${escapeMetricText(who)} &middot; ${escapeMetricText(device)}`;
+}
+
+function renderEntryHistory(status) {
+    const panel = document.getElementById('entryHistoryPanel');
+    const button = document.getElementById('entryHistoryBtn');
+    if (button) button.setAttribute('aria-expanded', entryHistoryOpen ? 'true' : 'false');
+    if (!panel) return;
+    panel.hidden = !entryHistoryOpen;
+    if (!entryHistoryOpen) {
+        panel.innerHTML = '';
+        return;
+    }
+    const entry = entryHistoryEntry;
+    const history = entry && Array.isArray(entry.history) ? entry.history : [];
+    let items = '';
+    if (!entry) {
+        items = '<div class="caffeine-log-empty">Nothing saved for this day yet.</div>';
+    } else {
+        let newer = getEntryVersionData(entry);
+        items = `<div class="check-in-item entry-history-item">
+                <div class="check-in-item-head"><span class="check-in-time">Current</span></div>
+                <div class="check-in-values">${describeHistoryEditor(entry)}</div>
+            </div>`;
+        history.forEach((version, index) => {
+            const changes = describeHistoryChanges(version.data || {}, newer);
+            newer = version.data || {};
+            items += `<div class="check-in-item entry-history-item">
+                <div class="check-in-item-head">
+                    <span class="check-in-slot">${describeHistoryEditor(version)}</span>
+                    <button type="button" class="check-in-action" onclick="restoreEntryVersion(${index})">Restore</button>
+                </div>
+                <div class="check-in-values">${changes.length ? `Changed after: ${changes.join(' · ')}` : 'No field changes'}</div>
+            </div>`;
+        });
+        if (!history.length) items += '<div class="caffeine-log-empty">No earlier versions yet. They appear once this day is edited again later or on another device.</div>';
+    }
+    panel.innerHTML = `${items}<div class="metric-editor-status">${escapeMetricText(status || '')}</div>`;
+}
+
+async function loadEntryHistory() {
+    const user = window.currentUser;
+    entryHistoryDate = getHistoryDate();
+    entryHistoryEntry = null;
+    if (!user || !window.trackerRepository || !entryHistoryDate) {
+        renderEntryHistory('Sign in to see the history of this day.');
+        return;
+    }
+    renderEntryHistory('Loading...');
+    try {
+        const entry = await window.trackerRepository.getEntry(user.uid, entryHistoryDate);
+        if (entryHistoryDate !== getHistoryDate()) return;
+        entryHistoryEntry = entry;
+        renderEntryHistory();
+    } catch (e) {
+        console.error('History load failed:', e);
+        renderEntryHistory('Could not load the history.');
+    }
+}
+
+function toggleEntryHistory() {
+    entryHistoryOpen = !entryHistoryOpen;
+    if (entryHistoryOpen) loadEntryHistory();
+    else renderEntryHistory();
+}
+
+function closeEntryHistory() {
+    entryHistoryOpen = false;
+    entryHistoryEntry = null;
+    renderEntryHistory();
+}
+
+async function restoreEntryVersion(index) {
+    const user = window.currentUser;
+    const history = entryHistoryEntry && Array.isArray(entryHistoryEntry.history) ? entryHistoryEntry.history : [];
+    const version = history[index];
+    if (!user || !version) return;
+    if (!confirm(`Restore the version from ${formatHistoryTime(version.editedAt)}? The current one stays in the history.`)) return;
+
+    const dateStr = entryHistoryDate;
+    renderEntryHistory('Restoring...');
+    try {
+        const payload = Object.assign({ userId: user.uid, userEmail: user.email }, version.data, { date: dateStr });
+        const result = await window.trackerRepository.putEntry(user.uid, dateStr, payload, { merge: false, newVersion: true });
+        await loadTrackerDataForDate(dateStr);
+        entryHistoryOpen = true;
+        await loadEntryHistory();
+        renderEntryHistory(result.pending ? 'Restored on this device. It will sync when you are back online.' : 'Restored');
+    } catch (e) {
+        console.error('Restore failed:', e);
+        renderEntryHistory('Restore failed. Please try again.');
+    }
+}
+
+window.describeEntryField = describeEntryField;
+window.formatEntryFieldValue = formatEntryFieldValue;
+window.toggleEntryHistory = toggleEntryHistory;
+window.closeEntryHistory = closeEntryHistory;
+window.restoreEntryVersion = restoreEntryVersion;
@@ -0,0 +1,307 @@
+// trackers/medications.js
+// Per-user medication list plus the day's taken/skipped/dose-changed log.
+// The list is the 'medications' user setting (storage/user-settings.js); each item is
+//   { id, name, dose, unit, times: ['08:00', ...], asNeeded }
+// The day entry keeps a `medications` array so merge writes replace it as a whole:
+//   [{ id, name, time, status: 'taken'|'skipped'|'changed', dose, unit }]
+// with one item per scheduled dose: time is the dose's 'HH:MM' from the
+// medication's times, or '' for a medication without times or taken as needed.
+// Items logged before doses had times also have '' and stand for the whole day.
+
+const MEDICATION_LIST_SETTING = 'medications';
+const MEDICATION_STATUSES = ['taken', 'skipped', 'changed'];
+
+let medicationList = [];
+let medicationLog = []; // Statuses for the loaded day
+let medicationEditorDraft = null;
+
+function splitMedicationTimes(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,\s]+/);
+    return list.map((time) => String(time).trim()).filter(Boolean);
+}
+
+// 'H:MM' or 'HH:MM' as 'HH:MM', or null when it is not a clock time
+function normalizeMedicationTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (!match || +match[1] > 23 || +match[2] > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+function normalizeMedicationTimes(value) {
+    const times = splitMedicationTimes(value).map(normalizeMedicationTime).filter(Boolean);
+    return Array.from(new Set(times)).sort();
+}
+
+function normalizeMedicationDose(value) {
+    const dose = Number(String(value == null ? '' : value).replace(',', '.'));
+    return Number.isFinite(dose) && dose > 0 ? Math.round(dose * 1000) / 1000 : null;
+}
+
+function normalizeMedication(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = String(raw.name || '').trim().replace(/\s+/g, ' ').slice(0, 40);
+    if (!name) return null;
+    return {
+        id: typeof raw.id === 'string' && /^[A-Za-z0-9_-]{1,40}$/.test(raw.id) ? raw.id : `med${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        dose: normalizeMedicationDose(raw.dose),
+        unit: String(raw.unit || '').trim().slice(0, 12),
+        times: normalizeMedicationTimes(raw.times),
+        asNeeded: !!raw.asNeeded
+    };
+}
+
+function normalizeMedicationLogItem(raw) {
+    if (!raw || typeof raw !== 'object' || !/^[A-Za-z0-9_-]{1,40}$/.test(String(raw.id || ''))) return null;
+    if (!MEDICATION_STATUSES.includes(raw.status)) return null;
+    return {
+        id: String(raw.id),
+        name: String(raw.name || ''),
+        time: /^\d{2}:\d{2}$/.test(String(raw.time || '')) ? raw.time : '',
+        status: raw.status,
+        dose: normalizeMedicationDose(raw.dose),
+        unit: String(raw.unit || '')
+    };
+}
+
+function getMedicationList() {
+    return medicationList;
+}
+
+function setMedicationList(list) {
+    medicationList = (Array.isArray(list) ? list : []).map(normalizeMedication).filter(Boolean);
+    renderMedicationPanel();
+    return medicationList;
+}
+
+async function loadMedicationList(uid) {
+    const stored = uid ? await loadUserSetting(uid, MEDICATION_LIST_SETTING) : null;
+    return setMedicationList(stored || []);
+}
+
+function resetMedicationList() {
+    medicationEditorDraft = null;
+    medicationLog = [];
+    const editor = document.getElementById('medicationEditor');
+    if (editor) editor.hidden = true;
+    return setMedicationList([]);
+}
+
+/**
+ * Times of the doses to log each day; [''] is a single dose without a time
+ */
+function getMedicationDoseTimes(medication) {
+    return medication.asNeeded || !medication.times.length ? [''] : medication.times;
+}
+
+function describeMedicationSchedule(medication) {
+    if (medication.asNeeded) return 'As needed';
+    return medication.times.length ? medication.times.join(', ') : 'Daily';
+}
+
+function formatMedicationDose(dose, unit) {
+    if (dose == null) return '';
+    return unit ? `${dose} ${unit}` : String(dose);
+}
+
+// ===== Day log (Medications tab) =====
+
+function findMedicationLogItem(id, time) {
+    return medicationLog.find((item) => item.id === id && item.time === (time || '')) || null;
+}
+
+function setMedicationStatus(id, status, time) {
+    const medication = medicationList.find((item) => item.id === id);
+    if (!medication) return;
+    time = time || '';
+    const existing = findMedicationLogItem(id, time);
+    if (existing && existing.status === status) {
+        // Tapping the active status again clears it
+        medicationLog = medicationLog.filter((item) => item !== existing);
+    } else if (existing) {
+        existing.status = status;
+        if (status !== 'changed') existing.dose = medication.dose;
+    } else {
+        medicationLog.push({ id, name: medication.name, time, status, dose: medication.dose, unit: medication.unit });
+        medicationLog.sort((a, b) => a.time.localeCompare(b.time));
+    }
+    renderMedicationPanel();
+    if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
+}
+
+function setMedicationLogDose(id, value, time) {
+    const item = findMedicationLogItem(id, time);
+    if (!item) return;
+    item.dose = normalizeMedicationDose(value);
+    if (typeof window.queueSymptomAutosave === 'function') window.queueSymptomAutosave();
+}
+
+function renderMedicationPanel() {
+    const list = document.getElementById('medicationLogList');
+    if (!list) return;
+    if (!medicationList.length && !medicationLog.length) {
+        list.innerHTML = '<div class="caffeine-log-empty">No medications yet. Add them under Manage medications.</div>';
+        return;
+    }
+
+    const shown = new Set();
+    const html = medicationList.map((medication) => {
+        const doses = getMedicationDoseTimes(medication).map((time) => {
+            const item = findMedicationLogItem(medication.id, time);
+            if (item) shown.add(item);
+            const status = item ? item.status : '';
+            const buttons = MEDICATION_STATUSES.map((value) => {
+                const label = value === 'changed' ? 'Dose changed' : value.charAt(0).toUpperCase() + value.slice(1);
+                return `<button type="button" class="medication-status-btn${status === value ? ' active' : ''}" data-status="${value}"
+                    onclick="setMedicationStatus('${medication.id}', '${value}', '${time}')">${label}</button>`;
+            }).join('');
+            const doseInput = status === 'changed'
+                ? `<label class="medication-dose-field">New dose <input type="number" min="0" step="any" value="${item.dose == null ? '' : item.dose}"
+                    onchange="setMedicationLogDose('${medication.id}', this.value, '${time}')"> ${escapeMetricText(medication.unit)}</label>`
+                : '';
+            const label = time ? `<span class="medication-dose-time">${time}</span>` : '';
+            return `${label}<div class="medication-status-row">${buttons}</div>${doseInput}`;
+        }).join('');
+        return `<div class="medication-item">
+            <div class="medication-item-head">
+                <span class="medication-name">${escapeMetricText(medication.name)}</span>
+                <span class="medication-meta">${escapeMetricText(formatMedicationDose(medication.dose, medication.unit))} · ${escapeMetricText(describeMedicationSchedule(medication))}</span>
+            </div>
+            ${doses}
+        </div>`;
+    });
+
+    // Doses of medications since removed from the list, or no longer scheduled
+    // at that time, stay visible for that day
+    medicationLog.filter((item) => !shown.has(item)).forEach((item) => {
+        const listed = medicationList.some((medication) => medication.id === item.id);
+        let where = 'no longer in your list';
+        if (listed) where = item.time ? 'no longer scheduled' : 'logged for the whole day';
+        const status = item.time ? `${item.status} at ${item.time}` : item.status;
+        html.push(`<div class="medication-item medication-item-removed">
+            <div class="medication-item-head">
+                <span class="medication-name">${escapeMetricText(item.name)}</span>
+                <span class="medication-meta">${escapeMetricText(status)} · ${where}</span>
+            </div>
+        </div>`);
+    });
+    list.innerHTML = html.join('');
+}
+
+/**
+ * Restore the Medications panel from a day entry
+ */
+function setMedicationData(log) {
+    medicationLog = Array.isArray(log) ? log.map(normalizeMedicationLogItem).filter(Boolean) : [];
+    medicationLog.sort((a, b) => a.time.localeCompare(b.time));
+    renderMedicationPanel();
+}
+
+function getMedicationData() {
+    return medicationLog.map((item) => Object.assign({}, item));
+}
+
+// ===== Editor (Medications tab) =====
+
+function toggleMedicationEditor() {
+    const editor = document.getElementById('medicationEditor');
+    if (!editor) return;
+    editor.hidden = !editor.hidden;
+    if (!editor.hidden) {
+        medicationEditorDraft = medicationList.map((medication) => Object.assign({}, medication, { times: medication.times.join(', ') }));
+        renderMedicationEditor();
+    }
+}
+
+function renderMedicationEditor(status) {
+    const editor = document.getElementById('medicationEditor');
+    if (!editor || !medicationEditorDraft) return;
+    const rows = medicationEditorDraft.map((medication, index) => `
+        <div class="metric-editor-row">
+            <input type="text" class="metric-editor-label" maxlength="40" placeholder="Name" value="${escapeMetricText(medication.name)}"
+                aria-label="Medication name" onchange="updateMedicationDraft(${index}, 'name', this.value)">
+            <label>Dose <input type="number" min="0" step="any" value="${medication.dose == null ? '' : medication.dose}"
+                onchange="updateMedicationDraft(${index}, 'dose', this.value)"></label>
+            <label>Unit <input type="text" class="medication-editor-unit" maxlength="12" placeholder="mg" value="${escapeMetricText(medication.unit)}"
+                onchange="updateMedicationDraft(${index}, 'unit', this.value)"></label>
+            <label>Times <input type="text" class="medication-editor-times" placeholder="08:00, 20:00" value="${escapeMetricText(medication.times)}"
+                onchange="updateMedicationDraft(${index}, 'times', this.value)"></label>
+            <label class="metric-editor-check"><input type="checkbox" ${medication.asNeeded ? 'checked' : ''}
+                onchange="updateMedicationDraft(${index}, 'asNeeded', this.checked)"> As needed</label>
+            <button type="button" class="metric-editor-remove" onclick="removeMedicationDraft(${index})" aria-label="Remove ${escapeMetricText(medication.name)}">&times;</button>
+        </div>`).join('');
+
+    editor.innerHTML = `
+        <p class="metric-editor-note">Removing a medication keeps what you already logged for it.</p>
+        ${rows}
+        <div class="metric-editor-actions">
+            <button type="button" class="btn-secondary" onclick="addMedicationDraft()">Add medication</button>
+            <button type="button" class="btn-primary" onclick="saveMedicationEditor()">Save medications</button>
+        </div>
+        <div class="metric-editor-status">${escapeMetricText(status || '')}</div>`;
+}
+
+function updateMedicationDraft(index, field, value) {
+    const medication = medicationEditorDraft && medicationEditorDraft[index];
+    if (!medication) return;
+    medication[field] = value;
+}
+
+function addMedicationDraft() {
+    if (!medicationEditorDraft) return;
+    medicationEditorDraft.push({ id: '', name: '', dose: null, unit: 'mg', times: '', asNeeded: false });
+    renderMedicationEditor();
+    const labels = document.querySelectorAll('#medicationEditor .metric-editor-label');
+    if (labels.length) labels[labels.length - 1].focus();
+}
+
+function removeMedicationDraft(index) {
+    if (!medicationEditorDraft) return;
+    medicationEditorDraft.splice(index, 1);
+    renderMedicationEditor();
+}
+
+async function saveMedicationEditor() {
+    const user = window.currentUser;
+    if (!medicationEditorDraft) return;
+    if (!user) {
+        renderMedicationEditor('Sign in to save your medications.');
+        return;
+    }
+    for (const medication of medicationEditorDraft) {
+        if (!String(medication.name || '').trim()) {
+            renderMedicationEditor('Every medication needs a name.');
+            return;
+        }
+        // Every time must read as one, so no dose drops out of the schedule unnoticed
+        if (!medication.asNeeded && splitMedicationTimes(medication.times).some((time) => !normalizeMedicationTime(time))) {
+            renderMedicationEditor(`Write the times for "${medication.name}" like 08:00, 20:00.`);
+            return;
+        }
+    }
+
+    renderMedicationEditor('Saving...');
+    try {
+        const next = medicationEditorDraft.map(normalizeMedication).filter(Boolean);
+        const result = await saveUserSetting(user.uid, MEDICATION_LIST_SETTING, next);
+        setMedicationList(next);
+        medicationEditorDraft = medicationList.map((medication) => Object.assign({}, medication, { times: medication.times.join(', ') }));
+        renderMedicationEditor(result.pending ? 'Saved on this device. It will sync when you are back online.' : 'Saved');
+    } catch (e) {
+        console.error('Medication list save failed:', e);
+        renderMedicationEditor('Save failed. Please try again.');
+    }
+}
+
+window.getMedicationList = getMedicationList;
+window.loadMedicationList = loadMedicationList;
+window.resetMedicationList = resetMedicationList;
+window.setMedicationData = setMedicationData;
+window.getMedicationData = getMedicationData;
+window.setMedicationStatus = setMedicationStatus;
+window.setMedicationLogDose = setMedicationLogDose;
+window.toggleMedicationEditor = toggleMedicationEditor;
+window.updateMedicationDraft = updateMedicationDraft;
+window.addMedicationDraft = addMedicationDraft;
+window.removeMedicationDraft = removeMedicationDraft;
+window.saveMedicationEditor = saveMedicationEditor;
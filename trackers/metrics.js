@@ -0,0 +1,300 @@
+// trackers/metrics.js
+// Per-user metric schema: which rating scales the tracker asks for.
+// Each metric is { id, label, min, max, baseline, higherIsBetter, range }:
+//   range: true  -> stored on the day entry as entry[id] = { highest, lowest }
+//   range: false -> stored as entry[id] = number
+// The schema is saved as the 'metrics' user setting (storage/user-settings.js).
+// The active one is window.metricSchema; changes fire 'metricschemachange'.
+
+const METRIC_SCHEMA_SETTING = 'metrics';
+const METRIC_SCALE_LIMIT = { min: 0, max: 10 };
+// Entry fields that are not metrics, so a metric can never be named after them
+const METRIC_RESERVED_IDS = [
+    'date', 'sleep', 'sleepSessions', 'sleepDetails', 'sleepDuration', 'caffeine', 'caffeineLog', 'caffeineDone',
+    'note', 'noteTags', 'medications', 'checkIns', 'userId', 'userEmail', 'timestamp', 'updatedAt', 'isMissing',
+    'history', 'editedAt', 'editedBy', 'editedDevice', 'activities', 'people', 'photos'
+];
+const DEFAULT_METRICS = [
+    { id: 'energy', label: 'Energy', min: 1, max: 7, baseline: 4, higherIsBetter: true, range: true },
+    { id: 'mood', label: 'Mood', min: 1, max: 7, baseline: 4, higherIsBetter: true, range: true },
+    { id: 'anxiety', label: 'Anxiety', min: 1, max: 7, baseline: 4, higherIsBetter: false, range: false },
+    { id: 'irritability', label: 'Irritability', min: 1, max: 7, baseline: 4, higherIsBetter: false, range: false }
+];
+
+let metricSchema = DEFAULT_METRICS.map((metric) => Object.assign({}, metric));
+let metricEditorDraft = null;
+
+function clampMetricInt(value, min, max, fallback) {
+    const parsed = Math.round(Number(value));
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.max(min, Math.min(max, parsed));
+}
+
+function normalizeMetricDefinition(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+    if (!/^[a-z][A-Za-z0-9]{0,23}$/.test(id) || METRIC_RESERVED_IDS.includes(id)) return null;
+
+    const min = clampMetricInt(raw.min, METRIC_SCALE_LIMIT.min, METRIC_SCALE_LIMIT.max - 1, 1);
+    const max = clampMetricInt(raw.max, min + 1, METRIC_SCALE_LIMIT.max, Math.max(min + 1, 7));
+    const label = String(raw.label || '').trim().replace(/\s+/g, ' ').slice(0, 24) || id;
+    return {
+        id,
+        label,
+        min,
+        max,
+        baseline: clampMetricInt(raw.baseline, min, max, Math.round((min + max) / 2)),
+        higherIsBetter: raw.higherIsBetter !== false,
+        range: !!raw.range
+    };
+}
+
+function normalizeMetricSchema(list) {
+    const seen = new Set();
+    const metrics = (Array.isArray(list) ? list : [])
+        .map(normalizeMetricDefinition)
+        .filter((metric) => {
+            if (!metric || seen.has(metric.id)) return false;
+            seen.add(metric.id);
+            return true;
+        });
+    return metrics.length ? metrics : DEFAULT_METRICS.map((metric) => Object.assign({}, metric));
+}
+
+function getMetricSchema() {
+    return metricSchema;
+}
+
+function getMetricDefinition(id) {
+    return metricSchema.find((metric) => metric.id === id) || null;
+}
+
+// Built-in metrics keep their original slider ids (moodHighest, anxiety, ...);
+// added ones are prefixed so they cannot clash with other element ids.
+function getMetricInputBaseId(metric) {
+    return DEFAULT_METRICS.some((builtIn) => builtIn.id === metric.id) ? metric.id : `metricInput_${metric.id}`;
+}
+
+/**
+ * One input per rating: range metrics get a Highest and a Lowest input.
+ * @returns {Array} - [{ inputId, metricId, part: 'highest'|'lowest'|null, label, metric }]
+ */
+function getMetricInputFields() {
+    const fields = [];
+    metricSchema.forEach((metric) => {
+        const baseId = getMetricInputBaseId(metric);
+        if (metric.range) {
+            fields.push({ inputId: `${baseId}Highest`, metricId: metric.id, part: 'highest', label: `${metric.label} Highest`, metric });
+            fields.push({ inputId: `${baseId}Lowest`, metricId: metric.id, part: 'lowest', label: `${metric.label} Lowest`, metric });
+        } else {
+            fields.push({ inputId: baseId, metricId: metric.id, part: null, label: metric.label, metric });
+        }
+    });
+    return fields;
+}
+
+/**
+ * Read one rating from a day entry
+ * @returns {number|null} - null when the entry has no value
+ */
+function readMetricEntryValue(entry, metricId, part) {
+    const raw = entry ? entry[metricId] : undefined;
+    const value = raw && typeof raw === 'object' ? raw[part || 'highest'] : raw;
+    const parsed = Number(value);
+    return value != null && Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Build the metric fields of a day entry from an input reader
+ * @param {Function} getValue - (field) => number, called for every input field
+ * @returns {Object} - { mood: { highest, lowest }, anxiety: 3, ... }
+ */
+function buildMetricEntryValues(getValue) {
+    const values = {};
+    getMetricInputFields().forEach((field) => {
+        const value = getValue(field);
+        if (field.part) {
+            values[field.metricId] = values[field.metricId] || {};
+            values[field.metricId][field.part] = value;
+        } else {
+            values[field.metricId] = value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Every metric at its baseline, used for days without an entry
+ */
+function getMetricBaselineValues() {
+    const values = {};
+    metricSchema.forEach((metric) => {
+        values[metric.id] = metric.range
+            ? { highest: metric.baseline, lowest: metric.baseline }
+            : metric.baseline;
+    });
+    return values;
+}
+
+function setMetricSchema(list) {
+    metricSchema = normalizeMetricSchema(list);
+    window.metricSchema = metricSchema;
+    window.dispatchEvent(new CustomEvent('metricschemachange'));
+    return metricSchema;
+}
+
+async function loadMetricSchema(uid) {
+    const stored = uid ? await loadUserSetting(uid, METRIC_SCHEMA_SETTING) : null;
+    const next = normalizeMetricSchema(stored || DEFAULT_METRICS);
+    if (JSON.stringify(next) === JSON.stringify(metricSchema)) return metricSchema;
+    return setMetricSchema(next);
+}
+
+async function saveMetricSchema(uid, list) {
+    const next = normalizeMetricSchema(list);
+    const result = await saveUserSetting(uid, METRIC_SCHEMA_SETTING, next);
+    setMetricSchema(next);
+    return result;
+}
+
+function resetMetricSchema() {
+    metricEditorDraft = null;
+    return setMetricSchema(DEFAULT_METRICS);
+}
+
+function metricIdFromLabel(label) {
+    const words = String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    const id = words.map((word, i) => i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)).join('').slice(0, 24);
+    return /^[a-z]/.test(id) ? id : `metric${id}`;
+}
+
+// ===== Editor (States tab) =====
+
+function escapeMetricText(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function toggleMetricEditor() {
+    const editor = document.getElementById('metricEditor');
+    if (!editor) return;
+    editor.hidden = !editor.hidden;
+    if (!editor.hidden) {
+        metricEditorDraft = metricSchema.map((metric) => Object.assign({ saved: true }, metric));
+        renderMetricEditor();
+    }
+}
+
+function renderMetricEditor(status) {
+    const editor = document.getElementById('metricEditor');
+    if (!editor || !metricEditorDraft) return;
+    const rows = metricEditorDraft.map((metric, index) => `
+        <div class="metric-editor-row">
+            <input type="text" class="metric-editor-label" maxlength="24" value="${escapeMetricText(metric.label)}"
+                aria-label="Metric name" onchange="updateMetricDraft(${index}, 'label', this.value)">
+            <label>From <input type="number" min="${METRIC_SCALE_LIMIT.min}" max="${METRIC_SCALE_LIMIT.max}" value="${metric.min}"
+                onchange="updateMetricDraft(${index}, 'min', this.value)"></label>
+            <label>To <input type="number" min="${METRIC_SCALE_LIMIT.min}" max="${METRIC_SCALE_LIMIT.max}" value="${metric.max}"
+                onchange="updateMetricDraft(${index}, 'max', this.value)"></label>
+            <label>Neutral <input type="number" min="${METRIC_SCALE_LIMIT.min}" max="${METRIC_SCALE_LIMIT.max}" value="${metric.baseline}"
+                onchange="updateMetricDraft(${index}, 'baseline', this.value)"></label>
+            <label class="metric-editor-check"><input type="checkbox" ${metric.higherIsBetter ? 'checked' : ''}
+                onchange="updateMetricDraft(${index}, 'higherIsBetter', this.checked)"> Higher is better</label>
+            ${metric.saved
+                ? `<span class="metric-editor-kind">${metric.range ? 'Highest + lowest' : 'Single value'}</span>`
+                : `<label class="metric-editor-check"><input type="checkbox" ${metric.range ? 'checked' : ''}
+                    onchange="updateMetricDraft(${index}, 'range', this.checked)"> Highest + lowest</label>`}
+            <button type="button" class="metric-editor-remove" onclick="removeMetricDraft(${index})" aria-label="Remove ${escapeMetricText(metric.label)}">&times;</button>
+        </div>`).join('');
+
+    editor.innerHTML = `
+        <p class="metric-editor-note">Removing a metric only hides it. Days you already tracked keep their values.</p>
+        ${rows}
+        <div class="metric-editor-actions">
+            <button type="button" class="btn-secondary" onclick="addMetricDraft()">Add metric</button>
+            <button type="button" class="btn-primary" onclick="saveMetricEditor()">Save metrics</button>
+        </div>
+        <div class="metric-editor-status">${escapeMetricText(status || '')}</div>`;
+}
+
+function updateMetricDraft(index, field, value) {
+    const metric = metricEditorDraft && metricEditorDraft[index];
+    if (!metric) return;
+    metric[field] = value;
+    if (field === 'label' && !metric.saved) {
+        metric.id = metricIdFromLabel(value);
+    }
+}
+
+function addMetricDraft() {
+    if (!metricEditorDraft) return;
+    metricEditorDraft.push({ id: '', label: '', min: 1, max: 7, baseline: 4, higherIsBetter: true, range: false, saved: false });
+    renderMetricEditor();
+    const labels = document.querySelectorAll('#metricEditor .metric-editor-label');
+    if (labels.length) labels[labels.length - 1].focus();
+}
+
+function removeMetricDraft(index) {
+    if (!metricEditorDraft || metricEditorDraft.length <= 1) {
+        renderMetricEditor('Keep at least one metric.');
+        return;
+    }
+    metricEditorDraft.splice(index, 1);
+    renderMetricEditor();
+}
+
+async function saveMetricEditor() {
+    const user = window.currentUser;
+    if (!metricEditorDraft) return;
+    if (!user) {
+        renderMetricEditor('Sign in to save your metrics.');
+        return;
+    }
+
+    const ids = new Set();
+    for (const metric of metricEditorDraft) {
+        if (!String(metric.label || '').trim()) {
+            renderMetricEditor('Every metric needs a name.');
+            return;
+        }
+        if (!normalizeMetricDefinition(metric)) {
+            renderMetricEditor(`"${metric.label}" cannot be used as a metric name.`);
+            return;
+        }
+        if (ids.has(metric.id)) {
+            renderMetricEditor(`There are two metrics called "${metric.label}".`);
+            return;
+        }
+        ids.add(metric.id);
+    }
+
+    renderMetricEditor('Saving...');
+    try {
+        const result = await saveMetricSchema(user.uid, metricEditorDraft);
+        metricEditorDraft = metricSchema.map((metric) => Object.assign({ saved: true }, metric));
+        renderMetricEditor(result.pending ? 'Saved on this device. It will sync when you are back online.' : 'Saved');
+    } catch (e) {
+        console.error('Metric schema save failed:', e);
+        renderMetricEditor('Save failed. Please try again.');
+    }
+}
+
+window.metricSchema = metricSchema;
+window.getMetricSchema = getMetricSchema;
+window.escapeMetricText = escapeMetricText;
+window.getMetricDefinition = getMetricDefinition;
+window.getMetricInputFields = getMetricInputFields;
+window.readMetricEntryValue = readMetricEntryValue;
+window.buildMetricEntryValues = buildMetricEntryValues;
+window.getMetricBaselineValues = getMetricBaselineValues;
+window.loadMetricSchema = loadMetricSchema;
+window.saveMetricSchema = saveMetricSchema;
+window.resetMetricSchema = resetMetricSchema;
+window.toggleMetricEditor = toggleMetricEditor;
+window.updateMetricDraft = updateMetricDraft;
+window.addMetricDraft = addMetricDraft;
+window.removeMetricDraft = removeMetricDraft;
+window.saveMetricEditor = saveMetricEditor;
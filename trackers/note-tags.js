@@ -0,0 +1,197 @@
+// trackers/note-tags.js
+// The note tag library, saved as the 'noteTags' user setting (storage/user-settings.js)
+// so every device sees the same tags:
+//   [{ name, count, lastUsed }]  count = days tagged with it, lastUsed = latest such day ('' if none)
+// The first load seeds it from the noteTags of every saved day, and tags from
+// the device-only list older versions kept in localStorage are merged in once.
+// Usage is recounted from the full history along with the tracker stats
+// (refreshTrackerStats in index.html).
+// Tag names are cleaned by sanitizeNoteTag/normalizeNoteTag (index.html).
+
+const NOTE_TAG_LIBRARY_SETTING = 'noteTags';
+const LEGACY_NOTE_TAGS_PREFIX = 'noteCustomTags:';
+
+let noteTagRecords = [];
+let noteTagLibraryUid = ''; // Owner of the loaded library; usage updates wait for it
+
+function normalizeNoteTagRecord(raw) {
+    const record = typeof raw === 'string' ? { name: raw } : raw;
+    if (!record || typeof record !== 'object') return null;
+    const name = sanitizeNoteTag(record.name);
+    if (!name) return null;
+    const count = Number(record.count);
+    return {
+        name,
+        count: Number.isFinite(count) && count > 0 ? Math.round(count) : 0,
+        lastUsed: typeof record.lastUsed === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(record.lastUsed) ? record.lastUsed : ''
+    };
+}
+
+function findNoteTagRecord(records, name) {
+    const key = normalizeNoteTag(name);
+    return records.find((record) => normalizeNoteTag(record.name) === key) || null;
+}
+
+// Most used first, then most recently used, then by name
+function sortNoteTagRecords(records) {
+    return records.slice().sort((a, b) =>
+        (b.count - a.count) || b.lastUsed.localeCompare(a.lastUsed) || a.name.localeCompare(b.name));
+}
+
+function setNoteTagRecords(list) {
+    const records = [];
+    (Array.isArray(list) ? list : []).forEach((raw) => {
+        const record = normalizeNoteTagRecord(raw);
+        if (record && !findNoteTagRecord(records, record.name)) records.push(record);
+    });
+    noteTagRecords = sortNoteTagRecords(records);
+    return noteTagRecords;
+}
+
+/**
+ * Library records, most used first
+ * @returns {Array<{name: string, count: number, lastUsed: string}>}
+ */
+function getNoteTagLibrary() {
+    return noteTagRecords.map((record) => Object.assign({}, record));
+}
+
+function getNoteTagNames() {
+    return noteTagRecords.map((record) => record.name);
+}
+
+function saveNoteTagLibrary() {
+    const user = window.currentUser;
+    if (!user || user.uid !== noteTagLibraryUid) return Promise.resolve({ pending: false });
+    return saveUserSetting(user.uid, NOTE_TAG_LIBRARY_SETTING, noteTagRecords).catch((e) => {
+        console.warn('Note tag library save failed:', e);
+        return { pending: true };
+    });
+}
+
+/**
+ * Count how many days use each tag and when each was last used. Names seen in
+ * entries but missing from the library are added.
+ * @returns {boolean} - Whether anything changed
+ */
+function applyNoteTagUsage(entries) {
+    const usage = {};
+    (entries || []).forEach((entry) => {
+        if (!entry || !Array.isArray(entry.noteTags)) return;
+        normalizeTagList(entry.noteTags).forEach((name) => {
+            const key = normalizeNoteTag(name);
+            const item = usage[key] || (usage[key] = { name, count: 0, lastUsed: '' });
+            item.count++;
+            if (typeof entry.date === 'string' && entry.date > item.lastUsed) item.lastUsed = entry.date;
+        });
+    });
+    const records = noteTagRecords.map((record) => {
+        const item = usage[normalizeNoteTag(record.name)];
+        return { name: record.name, count: item ? item.count : 0, lastUsed: item ? item.lastUsed : '' };
+    });
+    Object.keys(usage).forEach((key) => {
+        if (!findNoteTagRecord(records, usage[key].name)) records.push(usage[key]);
+    });
+    const sorted = sortNoteTagRecords(records);
+    if (JSON.stringify(sorted) === JSON.stringify(noteTagRecords)) return false;
+    noteTagRecords = sorted;
+    return true;
+}
+
+function readLegacyNoteTags(uid) {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(`${LEGACY_NOTE_TAGS_PREFIX}${uid}`) || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Load the signed-in user's library, seeding it on first use
+ */
+async function loadNoteTagLibrary(uid) {
+    noteTagLibraryUid = '';
+    setNoteTagRecords([]);
+    if (!uid) {
+        renderNoteTags();
+        return getNoteTagLibrary();
+    }
+    const stored = await loadUserSetting(uid, NOTE_TAG_LIBRARY_SETTING);
+    const legacy = readLegacyNoteTags(uid);
+    setNoteTagRecords((Array.isArray(stored) ? stored : []).concat(legacy));
+    noteTagLibraryUid = uid;
+    if (!stored && window.trackerRepository) applyNoteTagUsage(await window.trackerRepository.listEntries(uid));
+    if (!stored || legacy.length) {
+        await saveNoteTagLibrary();
+        try {
+            localStorage.removeItem(`${LEGACY_NOTE_TAGS_PREFIX}${uid}`);
+        } catch (e) {
+            // ignore storage errors
+        }
+    }
+    renderNoteTags();
+    return getNoteTagLibrary();
+}
+
+function resetNoteTagLibrary() {
+    noteTagLibraryUid = '';
+    setNoteTagRecords([]);
+    renderNoteTags();
+}
+
+/**
+ * Add tags the library does not have yet
+ * @returns {Array<string>} - Names that were added
+ */
+function addNoteTagsToLibrary(names) {
+    const added = normalizeTagList(names).filter((name) => !findNoteTagRecord(noteTagRecords, name));
+    if (!added.length) return added;
+    noteTagRecords = noteTagRecords.concat(added.map((name) => ({ name, count: 0, lastUsed: '' })));
+    saveNoteTagLibrary();
+    return added;
+}
+
+/**
+ * Rename a tag, folding it into an existing tag with the new name, or remove
+ * it when `to` is empty. Entries are rewritten separately (trackers/tag-manager.js);
+ * merged counts are a sum until the next recount drops days that had both.
+ */
+function replaceNoteTagInLibrary(from, to) {
+    const source = findNoteTagRecord(noteTagRecords, from);
+    if (!source) return;
+    const name = sanitizeNoteTag(to);
+    const target = name ? findNoteTagRecord(noteTagRecords.filter((record) => record !== source), name) : null;
+    const records = noteTagRecords.filter((record) => record !== source && record !== target);
+    if (name) {
+        records.push({
+            name: target ? target.name : name,
+            count: source.count + (target ? target.count : 0),
+            lastUsed: target && target.lastUsed > source.lastUsed ? target.lastUsed : source.lastUsed
+        });
+    }
+    noteTagRecords = sortNoteTagRecords(records);
+    saveNoteTagLibrary();
+}
+
+/**
+ * Recount usage from every entry (see refreshTrackerStats). The picker is
+ * redrawn here only when new names appeared, so tags do not move under the
+ * pointer right after a save; the new order shows on its next redraw.
+ */
+function updateNoteTagUsage(entries) {
+    const user = window.currentUser;
+    if (!user || user.uid !== noteTagLibraryUid) return;
+    const before = noteTagRecords.length;
+    if (!applyNoteTagUsage(entries)) return;
+    saveNoteTagLibrary();
+    if (noteTagRecords.length !== before) renderNoteTags();
+}
+
+window.getNoteTagLibrary = getNoteTagLibrary;
+window.getNoteTagNames = getNoteTagNames;
+window.loadNoteTagLibrary = loadNoteTagLibrary;
+window.resetNoteTagLibrary = resetNoteTagLibrary;
+window.addNoteTagsToLibrary = addNoteTagsToLibrary;
+window.replaceNoteTagInLibrary = replaceNoteTagInLibrary;
+window.updateNoteTagUsage = updateNoteTagUsage;
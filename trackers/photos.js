@@ -0,0 +1,220 @@
+// trackers/photos.js
+// Photos attached to a day from the Note tab. Each picked image is scaled to
+// fit PHOTO_MAX_EDGE and re-encoded as JPEG on a canvas, which also leaves its
+// EXIF data (camera, GPS) behind, then uploaded to Firebase Storage under
+//   users/<uid>/photos/<date>/<id>.jpg
+// The day entry only keeps references, which the diary cards and exports read:
+//   photos: [{ id, path, url, width, height, addedAt }]
+// Removing a photo drops the reference. The file is kept while an older version
+// of the day (trackers/history.js) still has it, so that version can be restored
+// with it, and deleted once the history moves past it (deleteReleasedPhotos in
+// storage/tracker-repository.js).
+
+const PHOTO_MAX_EDGE = 1600;
+const PHOTO_JPEG_QUALITY = 0.82;
+const PHOTO_DAY_LIMIT = 6;
+
+let dayPhotos = []; // References for the loaded day
+const photoUploadCounts = {}; // date -> uploads still running for it
+let photoStatus = '';
+
+function getPhotoDate() {
+    const input = document.getElementById('date');
+    return input ? input.value : '';
+}
+
+function getPhotoUploadCount(dateStr) {
+    return photoUploadCounts[dateStr] || 0;
+}
+
+function normalizePhotoList(list) {
+    return (Array.isArray(list) ? list : []).filter((photo) =>
+        photo && typeof photo.path === 'string' && typeof photo.url === 'string' && photo.url
+    ).map((photo) => ({
+        id: typeof photo.id === 'string' ? photo.id : photo.path,
+        path: photo.path,
+        url: photo.url,
+        width: Number(photo.width) || 0,
+        height: Number(photo.height) || 0,
+        addedAt: Number(photo.addedAt) || 0
+    }));
+}
+
+/**
+ * Photo references for the day entry payload
+ */
+function getDayPhotoData() {
+    return dayPhotos.map((photo) => Object.assign({}, photo));
+}
+
+/**
+ * Show a day's photos
+ * @param {Object|null} data - Day entry, or null to clear
+ */
+function setDayPhotoData(data) {
+    dayPhotos = normalizePhotoList(data ? data.photos : []);
+    photoStatus = '';
+    renderDayPhotos();
+}
+
+// Browsers that support it apply the EXIF orientation while decoding, so
+// portrait phone shots stay upright once the metadata is gone
+async function decodePhotoFile(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (e) {
+            // fall back to an <img>
+        }
+    }
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`${file.name || 'File'} is not a readable image`));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Scale an image file down and re-encode it without metadata
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+async function compressPhoto(file) {
+    const source = await decodePhotoFile(file);
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const scale = Math.min(1, PHOTO_MAX_EDGE / Math.max(sourceWidth, sourceHeight, 1));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency; keep see-through PNGs from turning black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(source, 0, 0, width, height);
+    if (typeof source.close === 'function') source.close();
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', PHOTO_JPEG_QUALITY));
+    if (!blob) throw new Error('Could not compress the photo');
+    return { blob, width, height };
+}
+
+async function uploadDayPhoto(uid, dateStr, file) {
+    const { blob, width, height } = await compressPhoto(file);
+    const id = `pho${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const path = `users/${uid}/photos/${dateStr}/${id}.jpg`;
+    const photoRef = window.firebaseRef(window.firebaseStorage, path);
+    await window.firebaseUploadBytes(photoRef, blob, { contentType: 'image/jpeg' });
+    const url = await window.firebaseGetDownloadURL(photoRef);
+    return { id, path, url, width, height, addedAt: Date.now() };
+}
+
+// The tracker moved to another day mid-upload: add the photo to the stored entry instead
+async function attachPhotoToStoredDay(user, dateStr, photo) {
+    const entry = await window.trackerRepository.getEntry(user.uid, dateStr);
+    await window.trackerRepository.putEntry(user.uid, dateStr, {
+        userId: user.uid,
+        userEmail: user.email,
+        date: dateStr,
+        photos: normalizePhotoList(entry && entry.photos).concat([photo])
+    }, { merge: true });
+}
+
+function getPhotoUploadBlocker() {
+    const user = window.currentUser;
+    if (!user || (window.isLocalTrackerMode && window.isLocalTrackerMode())) return 'Sign in to attach photos.';
+    if (!window.firebaseStorage || !window.firebaseUploadBytes) return 'Photo uploads are not available right now.';
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return 'Photos need a connection to upload.';
+    return '';
+}
+
+async function addDayPhotosFromInput(input) {
+    const files = Array.from(input.files || []).filter((file) => !file.type || file.type.startsWith('image/'));
+    input.value = '';
+    if (!files.length) return;
+    const blocker = getPhotoUploadBlocker();
+    if (blocker) {
+        photoStatus = blocker;
+        renderDayPhotos();
+        return;
+    }
+    const dateStr = getPhotoDate();
+    const room = PHOTO_DAY_LIMIT - dayPhotos.length - getPhotoUploadCount(dateStr);
+    if (room <= 0) {
+        photoStatus = `Up to ${PHOTO_DAY_LIMIT} photos per day.`;
+        renderDayPhotos();
+        return;
+    }
+
+    const user = window.currentUser;
+    const picked = files.slice(0, room);
+    let failed = 0;
+    photoUploadCounts[dateStr] = getPhotoUploadCount(dateStr) + picked.length;
+    photoStatus = files.length > room ? `Only ${room} more photo${room === 1 ? '' : 's'} fit on this day.` : '';
+    renderDayPhotos();
+
+    for (const file of picked) {
+        try {
+            const photo = await uploadDayPhoto(user.uid, dateStr, file);
+            if (window.currentUser !== user) continue;
+            if (getPhotoDate() === dateStr) {
+                dayPhotos = dayPhotos.concat([photo]);
+                queueSymptomAutosave();
+            } else {
+                await attachPhotoToStoredDay(user, dateStr, photo);
+            }
+        } catch (e) {
+            console.error('Photo upload failed:', e);
+            failed++;
+        } finally {
+            photoUploadCounts[dateStr] = Math.max(0, getPhotoUploadCount(dateStr) - 1);
+            renderDayPhotos();
+        }
+    }
+    if (failed) {
+        photoStatus = `${failed} photo${failed === 1 ? '' : 's'} could not be uploaded. Please try again.`;
+        renderDayPhotos();
+    }
+}
+
+function removeDayPhoto(index) {
+    if (!dayPhotos[index]) return;
+    dayPhotos = dayPhotos.filter((photo, i) => i !== index);
+    photoStatus = '';
+    renderDayPhotos();
+    queueSymptomAutosave();
+}
+
+function renderDayPhotos() {
+    const grid = document.getElementById('notePhotoGrid');
+    const status = document.getElementById('notePhotoStatus');
+    const button = document.getElementById('notePhotoAddBtn');
+    const uploading = getPhotoUploadCount(getPhotoDate());
+    if (button) button.disabled = dayPhotos.length + uploading >= PHOTO_DAY_LIMIT;
+    if (status) status.textContent = photoStatus;
+    if (!grid) return;
+    const thumbnails = dayPhotos.map((photo, index) => `
+        <div class="note-photo">
+            <a href="${escapeMetricText(photo.url)}" target="_blank" rel="noopener">
+                <img src="${escapeMetricText(photo.url)}" alt="Photo ${index + 1}" loading="lazy">
+            </a>
+            <button type="button" class="note-photo-remove" onclick="removeDayPhoto(${index})" aria-label="Remove photo ${index + 1}">&times;</button>
+        </div>`);
+    for (let i = 0; i < uploading; i++) {
+        thumbnails.push('<div class="note-photo note-photo-uploading">Uploading...</div>');
+    }
+    grid.innerHTML = thumbnails.length ? thumbnails.join('') : '<div class="caffeine-log-empty">No photos for this day.</div>';
+}
+
+window.getDayPhotoData = getDayPhotoData;
+window.setDayPhotoData = setDayPhotoData;
+window.addDayPhotosFromInput = addDayPhotosFromInput;
+window.removeDayPhoto = removeDayPhoto;
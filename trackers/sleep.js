@@ -1,77 +1,627 @@
 // trackers/sleep.js
+// Sleep is stored on the day entry as sessions:
+//   sleepSessions: [{ start: 'YYYY-MM-DDTHH:MM', end: 'YYYY-MM-DDTHH:MM', type: 'main'|'nap'|'awake' }]
+// A date's sessions cover its sleep day, 18:00 the evening before until 18:00,
+// so the night that ends on a morning belongs to that date. 'awake' is time
+// lying awake in bed and does not count as sleep.
+// Older entries have a 48-slot `sleep` array for the calendar day instead
+// (see legacySleepSlots for how it is read into the same window).
+// How the night went is kept beside the sessions, replaced as a whole on save:
+//   sleepDetails: { quality: 1-7, latency: minutes to fall asleep, awakenings, dreams, nightmares }
+
+const SLEEP_DAY_START_HOUR = 18;
+const SLEEP_SLOT_MINUTES = 30;
+const SLEEP_SLOT_SIZES = [15, 30];
+const SLEEP_SLOT_SETTING = "sleepSlotMinutes";
+const SLEEP_SESSION_TYPES = ["main", "nap", "awake"];
+const SLEEP_QUALITY_MIN = 1;
+const SLEEP_QUALITY_MAX = 7;
+const SLEEP_LATENCY_MAX = 600;
+const SLEEP_AWAKENINGS_MAX = 50;
+
+// Grid slot states
+const SLEEP_SLOT_EMPTY = 0;
+const SLEEP_SLOT_ASLEEP = 1;
+const SLEEP_SLOT_AWAKE = 2;
 
 let sleepInitialized = false;
-let sleepData = [];
+let sleepSlots = [];
+let sleepPaintMode = SLEEP_SLOT_ASLEEP;
+let sleepSlotMinutes = SLEEP_SLOT_MINUTES;
+// Sessions the grid was loaded from; saved as-is until a slot is edited so a
+// coarser grid does not round them
+let sleepLoadedSessions = [];
+let sleepGridEdited = false;
+let sleepRange = null; // { anchor, value, before } while dragging or Shift+arrowing
+let sleepFocusIndex = 0;
+
+// ===== Session model =====
+
+function formatSleepTimestamp(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function parseSleepTimestamp(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  return new Date(+match[1], +match[2] - 1, +match[3], +match[4], +match[5]);
+}
+
+// Wall-clock time of a slot in a date's sleep day (slot 0 is 18:00 the day before)
+function getSleepSlotTime(dateStr, index, slotMinutes = SLEEP_SLOT_MINUTES) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(year, month - 1, day - 1, SLEEP_DAY_START_HOUR, index * slotMinutes);
+}
+
+function getSleepDayStart(dateStr) {
+  return getSleepSlotTime(dateStr, 0);
+}
+
+// The date before, as YYYY-MM-DD (the sleep day starts on it)
+function getPreviousSleepDate(dateStr) {
+  return formatSleepTimestamp(getSleepDayStart(dateStr)).slice(0, 10);
+}
+
+function normalizeSleepSession(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const start = parseSleepTimestamp(raw.start);
+  const end = parseSleepTimestamp(raw.end);
+  if (!start || !end || end <= start || end - start > 24 * 60 * 60 * 1000) return null;
+  return {
+    start: raw.start,
+    end: raw.end,
+    type: SLEEP_SESSION_TYPES.includes(raw.type) ? raw.type : "main"
+  };
+}
+
+/**
+ * Turn grid slots into sessions. Each run of marked slots becomes one sleep
+ * session from its first to its last asleep slot, with its awake slots as
+ * 'awake' sessions; the run with the most sleep is 'main', the rest are naps.
+ */
+function sleepSessionsFromSlots(slots, dateStr, slotMinutes = SLEEP_SLOT_MINUTES) {
+  if (!dateStr || !Array.isArray(slots)) return [];
+  const at = (index) => formatSleepTimestamp(getSleepSlotTime(dateStr, index, slotMinutes));
+  const sleeps = [];
+  const sessions = [];
+  let i = 0;
+  while (i < slots.length) {
+    if (!slots[i]) { i += 1; continue; }
+    let firstAsleep = -1;
+    let lastAsleep = -1;
+    let asleepCount = 0;
+    while (i < slots.length && slots[i]) {
+      if (slots[i] === SLEEP_SLOT_AWAKE) {
+        const awakeStart = i;
+        while (i < slots.length && slots[i] === SLEEP_SLOT_AWAKE) i += 1;
+        sessions.push({ start: at(awakeStart), end: at(i), type: "awake" });
+        continue;
+      }
+      if (firstAsleep === -1) firstAsleep = i;
+      lastAsleep = i;
+      asleepCount += 1;
+      i += 1;
+    }
+    if (firstAsleep !== -1) {
+      sleeps.push({ start: at(firstAsleep), end: at(lastAsleep + 1), type: "nap", asleepCount });
+    }
+  }
+
+  const main = sleeps.reduce((best, session) => (!best || session.asleepCount > best.asleepCount ? session : best), null);
+  if (main) main.type = "main";
+  return sleeps
+    .map((session) => ({ start: session.start, end: session.end, type: session.type }))
+    .concat(sessions)
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Paint sessions onto a date's grid. A slot is marked when its middle falls
+ * inside a session; awake time is painted over sleep.
+ */
+function sleepSlotsFromSessions(sessions, dateStr, slotMinutes = SLEEP_SLOT_MINUTES) {
+  const count = (24 * 60) / slotMinutes;
+  const slots = new Array(count).fill(SLEEP_SLOT_EMPTY);
+  if (!dateStr) return slots;
+  const ordered = sessions.filter((session) => session.type !== "awake")
+    .concat(sessions.filter((session) => session.type === "awake"));
+  ordered.forEach((session) => {
+    const start = parseSleepTimestamp(session.start);
+    const end = parseSleepTimestamp(session.end);
+    if (!start || !end) return;
+    for (let i = 0; i < count; i++) {
+      const middle = getSleepSlotTime(dateStr, i + 0.5, slotMinutes);
+      if (middle >= start && middle < end) slots[i] = session.type === "awake" ? SLEEP_SLOT_AWAKE : SLEEP_SLOT_ASLEEP;
+    }
+  });
+  return slots;
+}
+
+function isLegacySleepArray(sleep) {
+  return Array.isArray(sleep) && sleep.length === 48;
+}
+
+// Entries that only have the older slot array
+function isLegacySleepEntry(entry) {
+  return !!entry && !Array.isArray(entry.sleepSessions) && isLegacySleepArray(entry.sleep);
+}
+
+/**
+ * Older entries: 48 calendar-day slots. Two conventions were written:
+ * - the old Quick Tracker wrapped the night into the date's own array, so its
+ *   18:00-24:00 slots are the evening before and are rotated to the front;
+ * - the old full-tracker grid stored the calendar day as drawn, so a bedtime
+ *   before midnight sits in the previous date's 18:00-24:00 slots.
+ * The first is the default. A date with no evening slots of its own takes the
+ * previous date's evening slots instead, which reads grid nights whole.
+ * @param {Array} sleep - The date's slots
+ * @param {Array} previousSleep - The previous date's slots, if known
+ */
+function legacySleepSlots(sleep, previousSleep) {
+  const offset = SLEEP_DAY_START_HOUR * 2;
+  const marked = (slots) => slots.slice(offset).some(Boolean);
+  const evening = !marked(sleep) && isLegacySleepArray(previousSleep) && marked(previousSleep)
+    ? previousSleep.slice(offset)
+    : sleep.slice(offset);
+  return evening.concat(sleep.slice(0, offset)).map((slot) => (slot ? SLEEP_SLOT_ASLEEP : SLEEP_SLOT_EMPTY));
+}
+
+/**
+ * Sleep sessions of a day entry, reading the older slot array when needed
+ * @param {Object} entry - Day entry with `date`
+ * @param {Object} previousEntry - The day before, for older entries (optional)
+ * @returns {Array} - Sessions sorted by start
+ */
+function getEntrySleepSessions(entry, previousEntry) {
+  if (!entry) return [];
+  if (Array.isArray(entry.sleepSessions)) {
+    return entry.sleepSessions
+      .map(normalizeSleepSession)
+      .filter(Boolean)
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+  if (isLegacySleepArray(entry.sleep) && entry.date) {
+    const previousDate = getPreviousSleepDate(entry.date);
+    const previousSleep = previousEntry && previousEntry.date === previousDate ? previousEntry.sleep : null;
+    return sleepSessionsFromSlots(legacySleepSlots(entry.sleep, previousSleep), entry.date, 30);
+  }
+  return [];
+}
+
+/**
+ * Give older entries in a list of days their sessions, read with the day
+ * before where the list has it. Other entries are returned as they are.
+ */
+function convertLegacySleepEntries(entries) {
+  const byDate = {};
+  entries.forEach((entry) => {
+    if (entry && entry.date) byDate[entry.date] = entry;
+  });
+  return entries.map((entry) => {
+    if (!isLegacySleepEntry(entry) || !entry.date) return entry;
+    const previousDate = getPreviousSleepDate(entry.date);
+    return Object.assign({}, entry, { sleepSessions: getEntrySleepSessions(entry, byDate[previousDate]) });
+  });
+}
+
+/**
+ * Session from clock times on a date: it ends on the date and starts the
+ * evening before when the start time is not earlier than the end time.
+ * @returns {Object|null}
+ */
+function buildSleepSessionFromTimes(dateStr, startTime, endTime, type) {
+  const startMatch = /^(\d{1,2}):(\d{2})$/.exec(startTime || "");
+  const endMatch = /^(\d{1,2}):(\d{2})$/.exec(endTime || "");
+  if (!dateStr || !startMatch || !endMatch) return null;
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const start = new Date(year, month - 1, day, +startMatch[1], +startMatch[2]);
+  const end = new Date(year, month - 1, day, +endMatch[1], +endMatch[2]);
+  if (start.getTime() === end.getTime()) return null;
+  if (start > end) start.setDate(start.getDate() - 1);
+  return normalizeSleepSession({ start: formatSleepTimestamp(start), end: formatSleepTimestamp(end), type });
+}
+
+// ===== Night details =====
+
+function clampSleepDetailNumber(value, min, max) {
+  if (value === "" || value == null) return null;
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * @returns {Object|null} - null when nothing about the night was recorded
+ */
+function normalizeSleepDetails(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const details = {
+    quality: clampSleepDetailNumber(raw.quality, SLEEP_QUALITY_MIN, SLEEP_QUALITY_MAX),
+    latency: clampSleepDetailNumber(raw.latency, 0, SLEEP_LATENCY_MAX),
+    awakenings: clampSleepDetailNumber(raw.awakenings, 0, SLEEP_AWAKENINGS_MAX),
+    dreams: !!raw.dreams,
+    nightmares: !!raw.nightmares
+  };
+  const empty = details.quality == null && details.latency == null && details.awakenings == null &&
+    !details.dreams && !details.nightmares;
+  return empty ? null : details;
+}
+
+function getEntrySleepDetails(entry) {
+  return entry ? normalizeSleepDetails(entry.sleepDetails) : null;
+}
+
+/**
+ * Build the night-details fields into a container. The Sleep tab and the
+ * Quick Tracker each have one; `onChange` runs after every edit.
+ */
+function renderSleepDetailsFields(container, onChange) {
+  if (!container || container.dataset.built === "1") return;
+  container.dataset.built = "1";
+
+  let qualityButtons = "";
+  for (let i = SLEEP_QUALITY_MIN; i <= SLEEP_QUALITY_MAX; i++) {
+    qualityButtons += `<button type="button" class="sleep-quality-btn" data-value="${i}" aria-pressed="false">${i}</button>`;
+  }
+  container.innerHTML = `
+    <div class="sleep-details-label">Sleep quality</div>
+    <div class="sleep-quality-buttons" role="group" aria-label="Sleep quality from ${SLEEP_QUALITY_MIN} to ${SLEEP_QUALITY_MAX}">${qualityButtons}</div>
+    <div class="sleep-details-row">
+      <label>Minutes to fall asleep
+        <input type="number" data-detail="latency" min="0" max="${SLEEP_LATENCY_MAX}" step="5" inputmode="numeric">
+      </label>
+      <label>Awakenings
+        <input type="number" data-detail="awakenings" min="0" max="${SLEEP_AWAKENINGS_MAX}" step="1" inputmode="numeric">
+      </label>
+    </div>
+    <div class="sleep-details-row sleep-details-flags">
+      <label><input type="checkbox" data-detail="dreams"> Dreams</label>
+      <label><input type="checkbox" data-detail="nightmares"> Nightmares</label>
+    </div>`;
+
+  container.addEventListener("click", (event) => {
+    const btn = event.target.closest(".sleep-quality-btn");
+    if (!btn) return;
+    // Tapping the chosen rating again clears it
+    const value = btn.classList.contains("active") ? null : Number(btn.dataset.value);
+    setSleepDetailsQuality(container, value);
+    if (typeof onChange === "function") onChange();
+  });
+  container.addEventListener("change", (event) => {
+    if (event.target.dataset.detail && typeof onChange === "function") onChange();
+  });
+}
+
+function setSleepDetailsQuality(container, value) {
+  container.querySelectorAll(".sleep-quality-btn").forEach((btn) => {
+    const active = Number(btn.dataset.value) === value;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", String(active));
+  });
+}
+
+function setSleepDetailsFields(container, details) {
+  if (!container) return;
+  const normalized = normalizeSleepDetails(details) || {};
+  setSleepDetailsQuality(container, normalized.quality == null ? null : normalized.quality);
+  container.querySelectorAll("[data-detail]").forEach((input) => {
+    const value = normalized[input.dataset.detail];
+    if (input.type === "checkbox") input.checked = !!value;
+    else input.value = value == null ? "" : String(value);
+  });
+}
+
+function readSleepDetailsFields(container) {
+  if (!container) return null;
+  const active = container.querySelector(".sleep-quality-btn.active");
+  const raw = { quality: active ? Number(active.dataset.value) : null };
+  container.querySelectorAll("[data-detail]").forEach((input) => {
+    raw[input.dataset.detail] = input.type === "checkbox" ? input.checked : input.value;
+  });
+  return normalizeSleepDetails(raw);
+}
+
+// ===== Grid editor (Sleep tab) =====
+// Press and drag (or Shift+arrow keys) marks a range of slots in the current
+// paint mode; starting on a slot already in that mode erases the range instead.
+
+function getSleepSlotCount() {
+  return (24 * 60) / sleepSlotMinutes;
+}
+
+// Three hours per row at 30 minutes, two at 15 (matches .sleep-grid-fine)
+function getSleepGridColumns() {
+  return sleepSlotMinutes === 15 ? 8 : 6;
+}
+
+function getSleepGridDate() {
+  const dateInput = document.getElementById("date");
+  return dateInput ? dateInput.value : "";
+}
 
 function formatTime(index) {
-  const hours = String(Math.floor(index / 2)).padStart(2, "0");
-  const minutes = (index % 2) * 30; // 0, 30 minutes
-  return `${hours}:${String(minutes).padStart(2, "0")}`;
+  const minutes = (SLEEP_DAY_START_HOUR * 60 + index * sleepSlotMinutes) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
 }
 
-function initSleepTracker() {
-  if (sleepInitialized) return;
-  sleepInitialized = true;
+function renderSleepSlot(slot, state) {
+  slot.classList.toggle("asleep", state === SLEEP_SLOT_ASLEEP);
+  slot.classList.toggle("awake-in-bed", state === SLEEP_SLOT_AWAKE);
+  const label = state === SLEEP_SLOT_ASLEEP ? "asleep" : state === SLEEP_SLOT_AWAKE ? "awake in bed" : "not marked";
+  slot.setAttribute("aria-label", `${slot.dataset.time} ${label}`);
+}
+
+function renderSleepSlots() {
+  const slots = document.querySelectorAll("#sleepGrid .sleep-slot");
+  slots.forEach((slot, idx) => renderSleepSlot(slot, sleepSlots[idx]));
+}
 
+function buildSleepGrid() {
   const sleepGrid = document.getElementById("sleepGrid");
   if (!sleepGrid) return;
 
-  sleepData = new Array(48).fill(false); // 24 hours * 2 slots per hour (30-min intervals)
+  const count = getSleepSlotCount();
+  sleepGrid.innerHTML = "";
+  sleepGrid.classList.toggle("sleep-grid-fine", sleepSlotMinutes === 15);
+  sleepFocusIndex = Math.min(sleepFocusIndex, count - 1);
 
-  // Create 48 slots (exactly 24 hours in 30-minute intervals)
-  for (let i = 0; i < 48; i++) {
+  // One slot per sleepSlotMinutes from 18:00 the evening before
+  for (let i = 0; i < count; i++) {
     const slot = document.createElement("div");
+    const time = formatTime(i);
     slot.className = "sleep-slot";
+    if (time === "00:00") slot.classList.add("sleep-slot-midnight");
+    if (!time.endsWith(":00") && !time.endsWith(":30")) slot.classList.add("sleep-slot-quarter");
+    slot.dataset.index = String(i);
+    slot.dataset.time = time;
+    slot.setAttribute("role", "button");
+    slot.tabIndex = i === sleepFocusIndex ? 0 : -1;
+    slot.title = time;
 
     const timeLabel = document.createElement("span");
     timeLabel.className = "sleep-slot-time";
-    timeLabel.textContent = formatTime(i);
-
+    timeLabel.textContent = time;
     slot.appendChild(timeLabel);
-    slot.title = formatTime(i);
-
-    const toggleSleepSlot = () => {
-      sleepData[i] = !sleepData[i];
-      slot.classList.toggle("asleep");
-      if (typeof window.queueSymptomAutosave === "function") {
-        window.queueSymptomAutosave();
-      }
-    };
-
-    if (window.PointerEvent) {
-      slot.addEventListener("pointerup", toggleSleepSlot);
-    } else {
-      slot.addEventListener("click", toggleSleepSlot);
-    }
 
+    renderSleepSlot(slot, sleepSlots[i]);
     sleepGrid.appendChild(slot);
   }
+}
+
+function startSleepRange(index) {
+  const value = sleepSlots[index] === sleepPaintMode ? SLEEP_SLOT_EMPTY : sleepPaintMode;
+  sleepRange = { anchor: index, value, before: sleepSlots.slice() };
+  extendSleepRange(index);
+}
+
+function extendSleepRange(index) {
+  if (!sleepRange) return;
+  const from = Math.min(sleepRange.anchor, index);
+  const to = Math.max(sleepRange.anchor, index);
+  sleepSlots = sleepRange.before.map((state, i) => (i >= from && i <= to ? sleepRange.value : state));
+  renderSleepSlots();
+}
+
+function finishSleepRange() {
+  if (!sleepRange) return;
+  const changed = sleepSlots.some((state, i) => state !== sleepRange.before[i]);
+  sleepRange = null;
+  if (!changed) return;
+  sleepGridEdited = true;
+  if (typeof window.queueSymptomAutosave === "function") {
+    window.queueSymptomAutosave();
+  }
+}
+
+function cancelSleepRange() {
+  if (!sleepRange) return;
+  sleepSlots = sleepRange.before;
+  sleepRange = null;
+  renderSleepSlots();
+}
+
+function getSleepSlotIndex(element) {
+  const slot = element && element.closest ? element.closest("#sleepGrid .sleep-slot") : null;
+  return slot ? Number(slot.dataset.index) : -1;
+}
+
+function focusSleepSlot(index) {
+  const slots = document.querySelectorAll("#sleepGrid .sleep-slot");
+  if (!slots[index]) return;
+  if (slots[sleepFocusIndex]) slots[sleepFocusIndex].tabIndex = -1;
+  sleepFocusIndex = index;
+  slots[index].tabIndex = 0;
+  slots[index].focus();
+}
+
+function handleSleepGridPointerDown(event) {
+  const index = getSleepSlotIndex(event.target);
+  if (index === -1 || (event.pointerType === "mouse" && event.button !== 0)) return;
+  event.preventDefault();
+  // Keep receiving moves when the finger or pointer leaves the slot it started on
+  event.currentTarget.setPointerCapture(event.pointerId);
+  focusSleepSlot(index);
+  startSleepRange(index);
+}
+
+function handleSleepGridPointerMove(event) {
+  if (!sleepRange) return;
+  const index = getSleepSlotIndex(document.elementFromPoint(event.clientX, event.clientY));
+  if (index !== -1) extendSleepRange(index);
+}
+
+function handleSleepGridKeyDown(event) {
+  const index = getSleepSlotIndex(event.target);
+  if (index === -1) return;
+  const count = getSleepSlotCount();
+  const steps = {
+    ArrowLeft: -1,
+    ArrowRight: 1,
+    ArrowUp: -getSleepGridColumns(),
+    ArrowDown: getSleepGridColumns()
+  };
+
+  let next = null;
+  if (event.key in steps) next = index + steps[event.key];
+  else if (event.key === "Home") next = 0;
+  else if (event.key === "End") next = count - 1;
+
+  if (next !== null) {
+    event.preventDefault();
+    next = Math.max(0, Math.min(count - 1, next));
+    if (event.shiftKey) {
+      if (!sleepRange) startSleepRange(index);
+      extendSleepRange(next);
+    } else {
+      finishSleepRange();
+    }
+    focusSleepSlot(next);
+  } else if (event.key === " " || event.key === "Enter") {
+    event.preventDefault();
+    finishSleepRange();
+    startSleepRange(index);
+    finishSleepRange();
+  } else if (event.key === "Escape") {
+    cancelSleepRange();
+  }
+}
+
+function initSleepTracker() {
+  if (sleepInitialized) return;
+  const sleepGrid = document.getElementById("sleepGrid");
+  if (!sleepGrid) return;
+  sleepInitialized = true;
+
+  sleepSlots = new Array(getSleepSlotCount()).fill(SLEEP_SLOT_EMPTY);
+  sleepGrid.setAttribute("role", "group");
+  sleepGrid.setAttribute("aria-label", "Sleep grid. Arrow keys move, Space marks a slot, Shift with arrow keys marks a range.");
+  buildSleepGrid();
+
+  if (window.PointerEvent) {
+    sleepGrid.addEventListener("pointerdown", handleSleepGridPointerDown);
+    sleepGrid.addEventListener("pointermove", handleSleepGridPointerMove);
+    sleepGrid.addEventListener("pointerup", finishSleepRange);
+    sleepGrid.addEventListener("pointercancel", finishSleepRange);
+  } else {
+    sleepGrid.addEventListener("click", (event) => {
+      const index = getSleepSlotIndex(event.target);
+      if (index === -1) return;
+      startSleepRange(index);
+      finishSleepRange();
+    });
+  }
+  sleepGrid.addEventListener("keydown", handleSleepGridKeyDown);
+  sleepGrid.addEventListener("keyup", (event) => {
+    if (event.key === "Shift") finishSleepRange();
+  });
+  sleepGrid.addEventListener("focusout", (event) => {
+    if (!sleepGrid.contains(event.relatedTarget)) finishSleepRange();
+  });
+
+  renderSleepDetailsFields(document.getElementById("sleepDetails"), () => {
+    if (typeof window.queueSymptomAutosave === "function") window.queueSymptomAutosave();
+  });
 }
 
-function setSleepData(nextData) {
-  initSleepTracker();
-  const normalized = Array.isArray(nextData)
-    ? nextData.slice(0, 48).map(slot => !!slot)
-    : [];
-  while (normalized.length < 48) normalized.push(false);
-
-  sleepData = normalized;
-  const slots = document.querySelectorAll("#sleepGrid .sleep-slot");
-  slots.forEach((slot, idx) => {
-    slot.classList.toggle("asleep", !!sleepData[idx]);
+function setSleepPaintMode(mode) {
+  sleepPaintMode = mode === "awake" ? SLEEP_SLOT_AWAKE : SLEEP_SLOT_ASLEEP;
+  document.querySelectorAll(".sleep-paint-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.sleepMode === mode);
   });
 }
 
-// Calculate sleep duration from sleepData array
-function calculateSleepDuration() {
-  if (!sleepData || sleepData.length === 0) return 0;
+/**
+ * Switch the grid between 15- and 30-minute slots. Edits made so far are kept
+ * as sessions first, so nothing is lost when switching to the coarser grid
+ * before saving.
+ * @param {number|string} minutes - 15 or 30
+ * @param {boolean} persist - Save as the signed-in user's preference
+ */
+function setSleepSlotMinutes(minutes, persist) {
+  const next = SLEEP_SLOT_SIZES.includes(Number(minutes)) ? Number(minutes) : SLEEP_SLOT_MINUTES;
+  const select = document.getElementById("sleepSlotSize");
+  if (select) select.value = String(next);
+
+  if (next !== sleepSlotMinutes) {
+    finishSleepRange();
+    if (sleepGridEdited) {
+      sleepLoadedSessions = sleepSessionsFromSlots(sleepSlots, getSleepGridDate(), sleepSlotMinutes);
+      sleepGridEdited = false;
+    }
+    sleepFocusIndex = Math.floor((sleepFocusIndex * sleepSlotMinutes) / next);
+    sleepSlotMinutes = next;
+    sleepSlots = sleepSlotsFromSessions(sleepLoadedSessions, getSleepGridDate(), next);
+    if (sleepInitialized) buildSleepGrid();
+  }
+
+  const user = window.currentUser;
+  if (persist && user) {
+    saveUserSetting(user.uid, SLEEP_SLOT_SETTING, next).catch((e) => {
+      console.error("Sleep grid setting save failed:", e);
+    });
+  }
+}
+
+async function loadSleepGridSettings(uid) {
+  const stored = uid ? await loadUserSetting(uid, SLEEP_SLOT_SETTING) : null;
+  setSleepSlotMinutes(stored || SLEEP_SLOT_MINUTES, false);
+}
 
-  // Count true values (each represents 30 minutes)
-  const sleepSlots = sleepData.filter(slot => slot === true).length;
+function resetSleepGridSettings() {
+  setSleepSlotMinutes(SLEEP_SLOT_MINUTES, false);
+}
+
+/**
+ * Show a date's sessions on the grid
+ * @param {Array} sessions - From getEntrySleepSessions()
+ * @param {string} dateStr - The entry date
+ */
+function setSleepData(sessions, dateStr) {
+  initSleepTracker();
+  sleepRange = null;
+  sleepLoadedSessions = Array.isArray(sessions) ? sessions.slice() : [];
+  sleepGridEdited = false;
+  sleepSlots = sleepSlotsFromSessions(sleepLoadedSessions, dateStr, sleepSlotMinutes);
+  renderSleepSlots();
+}
 
-  // Convert to hours (2 slots = 1 hour)
-  return sleepSlots / 2;
+// Grid contents as sessions for the date being edited
+function getSleepSessions() {
+  if (!sleepGridEdited) return sleepLoadedSessions.map((session) => Object.assign({}, session));
+  return sleepSessionsFromSlots(sleepSlots, getSleepGridDate(), sleepSlotMinutes);
+}
+
+// Night details on the Sleep tab
+function setSleepDetails(details) {
+  initSleepTracker();
+  setSleepDetailsFields(document.getElementById("sleepDetails"), details);
+}
+
+function getSleepDetails() {
+  return readSleepDetailsFields(document.getElementById("sleepDetails"));
+}
+
+// Hours asleep on the grid (awake-in-bed slots are not counted)
+function calculateSleepDuration() {
+  const asleep = sleepSlots.filter((slot) => slot === SLEEP_SLOT_ASLEEP).length;
+  return (asleep * sleepSlotMinutes) / 60;
 }
 
 window.setSleepData = setSleepData;
-
+window.getSleepSessions = getSleepSessions;
+window.setSleepPaintMode = setSleepPaintMode;
+window.setSleepSlotMinutes = setSleepSlotMinutes;
+window.loadSleepGridSettings = loadSleepGridSettings;
+window.resetSleepGridSettings = resetSleepGridSettings;
+window.setSleepDetails = setSleepDetails;
+window.getSleepDetails = getSleepDetails;
+window.renderSleepDetailsFields = renderSleepDetailsFields;
+window.setSleepDetailsFields = setSleepDetailsFields;
+window.readSleepDetailsFields = readSleepDetailsFields;
+window.getEntrySleepSessions = getEntrySleepSessions;
+window.isLegacySleepEntry = isLegacySleepEntry;
+window.convertLegacySleepEntries = convertLegacySleepEntries;
+window.getEntrySleepDetails = getEntrySleepDetails;
+window.buildSleepSessionFromTimes = buildSleepSessionFromTimes;
+window.parseSleepTimestamp = parseSleepTimestamp;
+window.getSleepDayStart = getSleepDayStart;
@@ -0,0 +1,263 @@
+// trackers/tag-manager.js
+// "Manage tags" on the Note tab: every note tag with its usage, and rename,
+// merge-into and delete. Changes are previewed as the list of affected days,
+// then each of those days is read again and gets its noteTags rewritten through
+// the tracker repository, TAG_REWRITE_BATCH_SIZE days at a time, before the
+// library (trackers/note-tags.js) is updated. Each rewrite is a version of its
+// own, so it can be undone per day from History. Renaming to a tag that already
+// exists merges the two.
+
+const TAG_REWRITE_BATCH_SIZE = 20;
+const TAG_PREVIEW_DAY_LIMIT = 30;
+const TAG_MANAGER_ACTIONS = [
+    { id: 'rename', label: 'Rename' },
+    { id: 'merge', label: 'Merge into' },
+    { id: 'delete', label: 'Delete' }
+];
+
+let tagManagerTag = ''; // Tag being edited, '' while showing the list
+let tagManagerAction = 'rename';
+let tagManagerValue = ''; // New name for rename, target tag for merge
+let tagManagerPreview = null; // { from, to, action, entries } once previewed
+let tagManagerProgress = null; // { done, total } while rewriting
+let tagManagerStatus = '';
+
+function formatTagManagerDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * noteTags with `from` replaced by `to`, or removed when `to` is empty
+ */
+function rewriteNoteTags(tags, from, to) {
+    const key = normalizeNoteTag(from);
+    const next = [];
+    normalizeTagList(tags).forEach((tag) => {
+        const name = normalizeNoteTag(tag) === key ? to : tag;
+        if (name) next.push(name);
+    });
+    return normalizeTagList(next);
+}
+
+function describeTagChange(preview) {
+    const from = `"${escapeMetricText(preview.from)}"`;
+    const to = `"${escapeMetricText(preview.to)}"`;
+    if (preview.action === 'delete') return `Remove ${from}`;
+    if (preview.action === 'merge') return `Merge ${from} into ${to}`;
+    return `Rename ${from} to ${to}`;
+}
+
+function renderTagManagerList() {
+    const library = getNoteTagLibrary();
+    if (!library.length) return '<p class="metric-editor-note">No tags yet. Create one above.</p>';
+    return library.map((record, index) => `
+        <div class="metric-editor-row tag-manager-row">
+            <span class="tag-manager-name">${escapeMetricText(record.name)}</span>
+            <span class="medication-meta">${record.count} day${record.count === 1 ? '' : 's'}${record.lastUsed ? ` &middot; last ${escapeMetricText(formatTagManagerDate(record.lastUsed))}` : ''}</span>
+            <button type="button" class="check-in-action" onclick="editManagedTag(${index})">Edit</button>
+        </div>`).join('');
+}
+
+function renderTagManagerForm() {
+    const others = getNoteTagNames().filter((name) => normalizeNoteTag(name) !== normalizeNoteTag(tagManagerTag));
+    const actions = TAG_MANAGER_ACTIONS.map((action) =>
+        `<button type="button" class="medication-status-btn${action.id === tagManagerAction ? ' active' : ''}"
+            onclick="setTagManagerAction('${action.id}')"${action.id === 'merge' && !others.length ? ' disabled' : ''}>${action.label}</button>`).join('');
+    let field = '<p class="metric-editor-note">The tag is removed from every day that has it.</p>';
+    if (tagManagerAction === 'rename') {
+        field = `<label>New name <input type="text" class="metric-editor-label" maxlength="24" value="${escapeMetricText(tagManagerValue)}"
+            oninput="setTagManagerValue(this.value)"></label>`;
+    } else if (tagManagerAction === 'merge') {
+        field = `<label class="backfill-range">Into <select onchange="setTagManagerValue(this.value)">
+            ${others.map((name) => `<option value="${escapeMetricText(name)}"${name === tagManagerValue ? ' selected' : ''}>${escapeMetricText(name)}</option>`).join('')}
+        </select></label>`;
+    }
+    return `
+        <div class="backfill-head">
+            <h2>${escapeMetricText(tagManagerTag)}</h2>
+            <button type="button" class="check-in-action" onclick="closeManagedTag()" aria-label="Back to all tags">&times;</button>
+        </div>
+        <div class="medication-status-row">${actions}</div>
+        <div class="metric-editor-row">${field}</div>
+        <div class="metric-editor-actions">
+            <button type="button" class="btn-primary" onclick="previewTagChange()">Preview</button>
+        </div>`;
+}
+
+function renderTagManagerPreview() {
+    const preview = tagManagerPreview;
+    const days = preview.entries.map((entry) => entry.date).sort().reverse();
+    const shown = days.slice(0, TAG_PREVIEW_DAY_LIMIT).map((dateStr) =>
+        `<span class="simple-missed-day">${escapeMetricText(formatTagManagerDate(dateStr))}</span>`).join('');
+    const more = days.length > TAG_PREVIEW_DAY_LIMIT ? `<span class="medication-meta">and ${days.length - TAG_PREVIEW_DAY_LIMIT} more</span>` : '';
+    const progress = tagManagerProgress
+        ? `<div class="backfill-progress"><span style="width: ${Math.round(tagManagerProgress.done / Math.max(1, tagManagerProgress.total) * 100)}%"></span></div>
+            <div class="backfill-summary">Updated ${tagManagerProgress.done} of ${tagManagerProgress.total} days...</div>`
+        : `<div class="metric-editor-actions">
+                <button type="button" class="btn-secondary" onclick="cancelTagPreview()">Back</button>
+                <button type="button" class="btn-primary" onclick="applyTagChange()">Apply</button>
+            </div>`;
+    return `
+        <div class="backfill-head"><h2>${describeTagChange(preview)}</h2></div>
+        <div class="backfill-summary">${days.length
+            ? `Changes ${days.length} day${days.length === 1 ? '' : 's'}:`
+            : 'No saved day uses this tag; only the tag list changes.'}</div>
+        ${shown ? `<div class="simple-missed-list">${shown}${more}</div>` : ''}
+        ${progress}`;
+}
+
+function renderTagManager() {
+    const editor = document.getElementById('noteTagManager');
+    if (!editor || editor.hidden) return;
+    let body = renderTagManagerList();
+    if (tagManagerPreview) body = renderTagManagerPreview();
+    else if (tagManagerTag) body = renderTagManagerForm();
+    editor.innerHTML = `${body}<div class="metric-editor-status">${escapeMetricText(tagManagerStatus)}</div>`;
+}
+
+function toggleNoteTagManager() {
+    const editor = document.getElementById('noteTagManager');
+    if (!editor || tagManagerProgress) return;
+    editor.hidden = !editor.hidden;
+    tagManagerTag = '';
+    tagManagerPreview = null;
+    tagManagerStatus = '';
+    renderTagManager();
+}
+
+function editManagedTag(index) {
+    const record = getNoteTagLibrary()[index];
+    if (!record) return;
+    tagManagerTag = record.name;
+    tagManagerStatus = '';
+    setTagManagerAction('rename');
+}
+
+function closeManagedTag() {
+    tagManagerTag = '';
+    tagManagerPreview = null;
+    renderTagManager();
+}
+
+function setTagManagerAction(action) {
+    tagManagerAction = action;
+    tagManagerValue = '';
+    if (action === 'rename') tagManagerValue = tagManagerTag;
+    if (action === 'merge') {
+        tagManagerValue = getNoteTagNames().find((name) => normalizeNoteTag(name) !== normalizeNoteTag(tagManagerTag)) || '';
+    }
+    renderTagManager();
+}
+
+// Kept without a redraw so the field keeps focus while typing
+function setTagManagerValue(value) {
+    tagManagerValue = value;
+}
+
+async function previewTagChange() {
+    const user = window.currentUser;
+    if (!user || !window.trackerRepository) {
+        tagManagerStatus = 'Sign in to manage tags.';
+        renderTagManager();
+        return;
+    }
+    const to = tagManagerAction === 'delete' ? '' : sanitizeNoteTag(tagManagerValue);
+    if (tagManagerAction !== 'delete' && !to) {
+        tagManagerStatus = tagManagerAction === 'merge' ? 'Pick a tag to merge into.' : 'Enter a new name.';
+        renderTagManager();
+        return;
+    }
+    if (tagManagerAction === 'rename' && to === tagManagerTag) {
+        tagManagerStatus = 'That is already its name.';
+        renderTagManager();
+        return;
+    }
+    // Renaming onto another existing tag is a merge
+    const existing = getNoteTagNames().find((name) =>
+        normalizeNoteTag(name) === normalizeNoteTag(to) && normalizeNoteTag(name) !== normalizeNoteTag(tagManagerTag));
+    const action = tagManagerAction === 'rename' && existing ? 'merge' : tagManagerAction;
+
+    tagManagerStatus = 'Finding affected days...';
+    renderTagManager();
+    try {
+        const key = normalizeNoteTag(tagManagerTag);
+        const entries = (await window.trackerRepository.listEntries(user.uid)).filter((entry) =>
+            Array.isArray(entry.noteTags) && entry.noteTags.some((tag) => normalizeNoteTag(tag) === key));
+        tagManagerPreview = { from: tagManagerTag, to: existing || to, action, entries };
+        tagManagerStatus = '';
+    } catch (e) {
+        console.error('Tag preview failed:', e);
+        tagManagerStatus = 'Could not load your days. Please try again.';
+    }
+    renderTagManager();
+}
+
+function cancelTagPreview() {
+    tagManagerPreview = null;
+    tagManagerStatus = '';
+    renderTagManager();
+}
+
+/**
+ * Rewrite one day's noteTags as stored now, not as they were when previewed,
+ * so tag edits made in between (e.g. the open tracker's autosave) are kept
+ * @returns {Promise<Object|null>} - The write result, null when the day no longer has the tag
+ */
+async function rewriteDayNoteTags(user, dateStr, from, to) {
+    const entry = await window.trackerRepository.getEntry(user.uid, dateStr);
+    const key = normalizeNoteTag(from);
+    if (!entry || !Array.isArray(entry.noteTags) || !entry.noteTags.some((tag) => normalizeNoteTag(tag) === key)) return null;
+    return window.trackerRepository.putEntry(user.uid, dateStr, {
+        userId: user.uid,
+        userEmail: user.email,
+        date: dateStr,
+        noteTags: rewriteNoteTags(entry.noteTags, from, to)
+    }, { merge: true, newVersion: true });
+}
+
+async function applyTagChange() {
+    const user = window.currentUser;
+    const preview = tagManagerPreview;
+    if (!user || !preview || tagManagerProgress) return;
+    tagManagerProgress = { done: 0, total: preview.entries.length };
+    tagManagerStatus = '';
+    renderTagManager();
+
+    let pending = false;
+    try {
+        for (let start = 0; start < preview.entries.length; start += TAG_REWRITE_BATCH_SIZE) {
+            const batch = preview.entries.slice(start, start + TAG_REWRITE_BATCH_SIZE);
+            const results = await Promise.all(batch.map((entry) => rewriteDayNoteTags(user, entry.date, preview.from, preview.to)));
+            pending = pending || results.some((result) => result && result.pending);
+            tagManagerProgress.done += batch.length;
+            renderTagManager();
+        }
+    } catch (e) {
+        console.error('Tag rewrite failed:', e);
+        tagManagerStatus = `Stopped after ${tagManagerProgress.done} of ${tagManagerProgress.total} days. Preview again to finish the rest.`;
+        tagManagerProgress = null;
+        tagManagerPreview = null;
+        renderTagManager();
+        return;
+    }
+
+    replaceNoteTagInLibrary(preview.from, preview.to);
+    renderNoteTags(rewriteNoteTags(getSelectedNoteTags(), preview.from, preview.to));
+    queueTrackerStatsRefresh();
+    const done = { delete: 'Deleted', merge: 'Merged', rename: 'Renamed' }[preview.action];
+    tagManagerStatus = `${done} on ${preview.entries.length} day${preview.entries.length === 1 ? '' : 's'}.` +
+        (pending ? ' Some changes will sync when you are back online.' : '');
+    tagManagerProgress = null;
+    tagManagerPreview = null;
+    tagManagerTag = '';
+    renderTagManager();
+}
+
+window.toggleNoteTagManager = toggleNoteTagManager;
+window.editManagedTag = editManagedTag;
+window.closeManagedTag = closeManagedTag;
+window.setTagManagerAction = setTagManagerAction;
+window.setTagManagerValue = setTagManagerValue;
+window.previewTagChange = previewTagChange;
+window.cancelTagPreview = cancelTagPreview;
+window.applyTagChange = applyTagChange;